@@ -0,0 +1,20 @@
+// Cancellation policy, keyed by the order status at the time of cancellation.
+// Fees are a percentage of the order's final amount and only apply to
+// customer-initiated cancellations.
+const feePercent = Number(process.env.CANCELLATION_FEE_PERCENT || 50);
+
+module.exports = {
+  feePercentByStatus: {
+    pending_payment: 0,
+    scheduled: 0,
+    placed: 0,
+    accepted: 0,
+    preparing: feePercent,
+    ready: feePercent
+  },
+  // Payment methods that are refunded on cancellation
+  refundablePaymentMethods: ['card', 'upi'],
+  // Refunds the payment provider did not receive are sent again once they are this old
+  refundRetryDelayMs: Number(process.env.REFUND_RETRY_DELAY_MS || 2 * 60 * 1000),
+  refundRetryIntervalMs: Number(process.env.REFUND_RETRY_INTERVAL_MS || 5 * 60 * 1000)
+};
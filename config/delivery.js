@@ -0,0 +1,7 @@
+// Delivery area rules (services/deliveryZone.js)
+module.exports = {
+  // Radius used for restaurants that have not set their own delivery zone
+  defaultRadiusKm: Number(process.env.DELIVERY_RADIUS_KM || 10),
+  // Search radius for nearby restaurants when the client does not give one
+  nearbyMaxDistanceKm: Number(process.env.NEARBY_MAX_DISTANCE_KM || 20)
+};
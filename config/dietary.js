@@ -0,0 +1,5 @@
+// Allergen flags and diet labels for menu items and customer preferences (services/dietary.js)
+module.exports = {
+  allergens: ['nuts', 'peanuts', 'gluten', 'dairy', 'eggs', 'soy', 'fish', 'shellfish', 'sesame', 'mustard'],
+  dietLabels: ['vegan', 'jain', 'halal', 'keto']
+};
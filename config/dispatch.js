@@ -0,0 +1,23 @@
+// Automatic delivery agent dispatch (services/dispatch.js)
+module.exports = {
+  // Agents further than this from the restaurant are not considered
+  maxDistanceKm: Number(process.env.DISPATCH_MAX_DISTANCE_KM || 8),
+  // Active orders an agent may carry unless an admin set their own limit
+  maxActiveOrders: Number(process.env.DISPATCH_MAX_ACTIVE_ORDERS || 2),
+  // Share of each factor in an agent's score (0-1 each, higher is better)
+  weights: {
+    distance: 0.5,
+    load: 0.3,
+    rating: 0.2
+  },
+  // Rating used for agents nobody has rated yet
+  defaultRating: 4,
+  // How long to wait before looking again when no agent is free
+  retryIntervalMs: Number(process.env.DISPATCH_RETRY_INTERVAL_MS || 60 * 1000),
+  // Attempts before the order is left for manual assignment; every offer counts as one
+  maxAttempts: Number(process.env.DISPATCH_MAX_ATTEMPTS || 10),
+  // How long an agent has to accept an offer before it moves on to the next candidate
+  offerTimeoutMs: Number(process.env.DISPATCH_OFFER_TIMEOUT_MS || 45 * 1000),
+  // How often expired offers are picked up
+  offerCheckIntervalMs: Number(process.env.DISPATCH_OFFER_CHECK_INTERVAL_MS || 10 * 1000)
+};
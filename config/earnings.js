@@ -0,0 +1,16 @@
+// Delivery agent pay (services/earnings.js)
+module.exports = {
+  // Paid for every delivered order
+  basePay: Number(process.env.AGENT_BASE_PAY || 30),
+  // Paid per km from the restaurant to the delivery address
+  perKmPay: Number(process.env.AGENT_PER_KM_PAY || 8),
+  // Extra pay for orders delivered during peak hours
+  peakBonus: Number(process.env.AGENT_PEAK_BONUS || 20),
+  // Peak windows in the restaurant's timezone; days may be left out for every day
+  peakHours: [
+    { open: '12:00', close: '14:30' },
+    { open: '19:00', close: '22:30' }
+  ],
+  // Days and payout weeks are counted in this timezone (DEFAULT_TIMEZONE if unset); weeks start on Monday
+  timezone: process.env.PAYOUT_TIMEZONE
+};
@@ -0,0 +1,23 @@
+// Order delivery estimates (services/eta.js)
+module.exports = {
+  // A restaurant's prep time is learned from the accepted -> ready times of its recent orders
+  prepHistoryDays: Number(process.env.ETA_PREP_HISTORY_DAYS || 30),
+  prepSampleSize: Number(process.env.ETA_PREP_SAMPLE_SIZE || 50),
+  // With fewer measured orders the restaurant's own deliveryTime is used as its prep time
+  minPrepSamples: Number(process.env.ETA_MIN_PREP_SAMPLES || 5),
+  // Longer prep times are treated as late status updates and ignored
+  maxPrepMinutes: 120,
+  // Least prep time left while the kitchen is still on an order
+  minRemainingPrepMinutes: 2,
+  // Extra wait for every order ahead in the kitchen queue
+  queueMinutesPerOrder: Number(process.env.ETA_QUEUE_MINUTES_PER_ORDER || 3),
+  // Road distance is roughly this times the straight-line distance
+  roadFactor: Number(process.env.ETA_ROAD_FACTOR || 1.3),
+  // Time for an agent to reach the restaurant when none is assigned or their location is unknown
+  defaultPickupMinutes: Number(process.env.ETA_DEFAULT_PICKUP_MINUTES || 10),
+  // Travel time when the restaurant or delivery location is unknown
+  defaultTravelMinutes: Number(process.env.ETA_DEFAULT_TRAVEL_MINUTES || 15),
+  // The window is the prep time spread plus this share of the travel time, at least minWindowMinutes either side
+  travelSpreadRatio: 0.2,
+  minWindowMinutes: 5
+};
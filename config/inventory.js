@@ -0,0 +1,7 @@
+// Stock tracking settings
+module.exports = {
+  // How often the daily stock reset checks for restaurants that have started a new day
+  resetIntervalMs: Number(process.env.STOCK_RESET_INTERVAL_MS || 15 * 60 * 1000),
+  // Orders whose reserved stock is still held when the daily quantity is restored
+  openReservationStatuses: ['scheduled', 'pending_payment']
+};
@@ -0,0 +1,35 @@
+// Pricing rules used by the pricing engine (services/pricing.js)
+module.exports = {
+  // Delivery fee by distance between restaurant and delivery address.
+  // The first band whose upToKm covers the distance applies.
+  deliveryBands: [
+    { upToKm: 3, fee: 20 },
+    { upToKm: 6, fee: 35 },
+    { upToKm: 10, fee: 50 },
+    { upToKm: Infinity, fee: 75 }
+  ],
+  // Used when either side has no coordinates
+  defaultDeliveryFee: 50,
+
+  packaging: {
+    perItem: 5,
+    maxPerOrder: 50
+  },
+
+  // Tax rates in percent. The most specific matching rule wins:
+  // state + category, then category, then state, then the default rate.
+  tax: {
+    defaultRate: 5,
+    rules: [
+      { category: 'Beverages', rate: 12 }
+    ]
+  },
+
+  smallOrder: {
+    threshold: 150,
+    surcharge: 25
+  },
+
+  // Optional tip for the delivery agent, passed on in full with their earnings
+  maxTip: Number(process.env.MAX_TIP || 500)
+};
@@ -0,0 +1,11 @@
+// Rules for scheduled (order-for-later) deliveries
+module.exports = {
+  // Earliest slot that can be booked, counted from now
+  minLeadMinutes: Number(process.env.SCHEDULE_MIN_LEAD_MINUTES || 60),
+  // Latest slot that can be booked
+  maxDaysAhead: Number(process.env.SCHEDULE_MAX_DAYS_AHEAD || 7),
+  // How long before the slot the order is released to the restaurant
+  releaseMinutesBefore: Number(process.env.SCHEDULE_RELEASE_MINUTES || 60),
+  // How often the sweeper looks for orders to release
+  sweepIntervalMs: Number(process.env.SCHEDULE_SWEEP_INTERVAL_MS || 60 * 1000)
+};
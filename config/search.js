@@ -0,0 +1,14 @@
+// Search rules (services/search.js)
+module.exports = {
+  // Shorter queries are rejected
+  minQueryLength: 2,
+  // Most candidates read per collection and match type before ranking and facets
+  candidateLimit: Number(process.env.SEARCH_CANDIDATE_LIMIT || 200),
+  // Dish price buckets for the price range facet; max is exclusive, null means no upper bound
+  priceRanges: [
+    { min: 0, max: 100 },
+    { min: 100, max: 250 },
+    { min: 250, max: 500 },
+    { min: 500, max: null }
+  ]
+};
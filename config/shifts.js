@@ -0,0 +1,13 @@
+// Delivery agent shift rules (services/shifts.js)
+module.exports = {
+  minShiftMinutes: Number(process.env.SHIFT_MIN_MINUTES || 60),
+  maxShiftHours: Number(process.env.SHIFT_MAX_HOURS || 10),
+  // Latest shift start that can be booked
+  maxDaysAhead: Number(process.env.SHIFT_MAX_DAYS_AHEAD || 14),
+  // How early before the start agents may check in
+  checkInEarlyMinutes: Number(process.env.SHIFT_CHECK_IN_EARLY_MINUTES || 15),
+  // Agents still checked in this long after their shift ends are checked out automatically
+  autoCheckOutMinutes: Number(process.env.SHIFT_AUTO_CHECK_OUT_MINUTES || 30),
+  // How often ended shifts are closed
+  sweepIntervalMs: Number(process.env.SHIFT_SWEEP_INTERVAL_MS || 5 * 60 * 1000)
+};
@@ -0,0 +1,11 @@
+// Live delivery tracking (services/tracking.js)
+module.exports = {
+  // How long location pings are kept before MongoDB removes them
+  trailTtlMinutes: Number(process.env.TRACKING_TRAIL_TTL_MINUTES || 180),
+  // Pings sent with the first event of a tracking stream
+  trailLength: Number(process.env.TRACKING_TRAIL_LENGTH || 50),
+  // Average agent speed used to estimate the arrival time
+  averageSpeedKmh: Number(process.env.TRACKING_AVERAGE_SPEED_KMH || 20),
+  // Keep-alive comment interval for open streams
+  heartbeatIntervalMs: Number(process.env.TRACKING_HEARTBEAT_INTERVAL_MS || 15 * 1000)
+};
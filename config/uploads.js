@@ -0,0 +1,19 @@
+const path = require('path');
+
+// Image and menu file upload settings
+module.exports = {
+  storage: process.env.UPLOAD_STORAGE || 'local',
+  // Directory used by the local disk storage adapter
+  localDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  // URL prefix the local files are served from
+  publicPath: '/uploads',
+  maxFileSize: Number(process.env.UPLOAD_MAX_FILE_SIZE || 5 * 1024 * 1024),
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  image: { width: 1200, height: 1200 },
+  thumbnail: { width: 300, height: 300 },
+  // Bulk menu import files (CSV or JSON)
+  menuImport: {
+    maxFileSize: Number(process.env.MENU_IMPORT_MAX_FILE_SIZE || 2 * 1024 * 1024),
+    maxRows: Number(process.env.MENU_IMPORT_MAX_ROWS || 1000)
+  }
+};
@@ -0,0 +1,37 @@
+const Order = require('../models/Order');
+const config = require('../config/dispatch');
+const { DISPATCH_STATUSES, dispatchOrder } = require('../services/dispatch');
+
+// Look again for agents for orders whose retry time has passed
+const retryPendingDispatches = async (now = new Date()) => {
+  const orders = await Order.find({
+    'dispatch.status': 'searching',
+    'dispatch.nextAttemptAt': { $lte: now },
+    deliveryAgent: null,
+    status: { $in: DISPATCH_STATUSES }
+  }).sort({ 'dispatch.nextAttemptAt': 1 });
+
+  // One at a time so each order sees the load added by the previous offer
+  let offered = 0;
+  for (const order of orders) {
+    const result = await dispatchOrder(order, { now });
+    if (result.offered) offered += 1;
+  }
+
+  return offered;
+};
+
+const startDispatchRetrier = (intervalMs = config.retryIntervalMs) => {
+  const timer = setInterval(() => {
+    retryPendingDispatches()
+      .catch(err => console.error('Dispatch retry error:', err));
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  retryPendingDispatches,
+  startDispatchRetrier
+};
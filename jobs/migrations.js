@@ -0,0 +1,67 @@
+const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const { resolveCategories } = require('../services/menuCategories');
+
+// Move plain latitude/longitude restaurant coordinates into the GeoJSON location field
+const migrateRestaurantLocations = async () => {
+  const result = await Restaurant.collection.updateMany(
+    {
+      location: { $exists: false },
+      'address.coordinates.latitude': { $type: 'number' },
+      'address.coordinates.longitude': { $type: 'number' }
+    },
+    [
+      {
+        $set: {
+          location: {
+            type: 'Point',
+            coordinates: ['$address.coordinates.longitude', '$address.coordinates.latitude']
+          }
+        }
+      },
+      { $unset: 'address.coordinates' }
+    ]
+  );
+  return result.modifiedCount;
+};
+
+// Create MenuCategory documents for the free-text categories of existing menu items.
+// Categories are ordered alphabetically, as the menu used to be. Items without a usable
+// category name are left for an admin to fix.
+const migrateMenuCategories = async () => {
+  const pending = await MenuItem.aggregate([
+    { $match: { menuCategory: { $exists: false }, category: { $type: 'string', $regex: /\S/ } } },
+    { $group: { _id: '$restaurant', categories: { $addToSet: '$category' } } }
+  ]);
+
+  let migrated = 0;
+  for (const { _id: restaurantId, categories: names } of pending) {
+    const categories = await resolveCategories(restaurantId, names.sort((a, b) => a.localeCompare(b)));
+
+    for (const name of names) {
+      const category = categories.get(name.trim().toLowerCase());
+      const result = await MenuItem.updateMany(
+        { restaurant: restaurantId, category: name, menuCategory: { $exists: false } },
+        { category: category.name, menuCategory: category._id }
+      );
+      migrated += result.modifiedCount;
+    }
+  }
+
+  return migrated;
+};
+
+// Data migrations run on startup; each one only touches documents still in the old shape
+const runMigrations = async () => {
+  const restaurantLocations = await migrateRestaurantLocations();
+  if (restaurantLocations > 0) {
+    console.log(`Migrated ${restaurantLocations} restaurant locations to GeoJSON`);
+  }
+
+  const menuItems = await migrateMenuCategories();
+  if (menuItems > 0) {
+    console.log(`Moved ${menuItems} menu items into menu categories`);
+  }
+};
+
+module.exports = { runMigrations };
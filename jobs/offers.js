@@ -0,0 +1,14 @@
+const config = require('../config/dispatch');
+const { expireOffers } = require('../services/offers');
+
+const startOfferExpirer = (intervalMs = config.offerCheckIntervalMs) => {
+  const timer = setInterval(() => {
+    expireOffers()
+      .catch(err => console.error('Offer expiry error:', err));
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startOfferExpirer };
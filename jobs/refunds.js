@@ -0,0 +1,14 @@
+const config = require('../config/cancellation');
+const { submitPendingRefunds } = require('../services/refunds');
+
+const startRefundRetrier = (intervalMs = config.refundRetryIntervalMs) => {
+  const timer = setInterval(() => {
+    submitPendingRefunds()
+      .catch(err => console.error('Refund retry error:', err));
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startRefundRetrier };
@@ -0,0 +1,47 @@
+const Order = require('../models/Order');
+const config = require('../config/scheduling');
+const { updateOrderEta } = require('../services/eta');
+
+// Move scheduled orders whose release time has passed into the restaurant's queue
+const releaseDueScheduledOrders = async (now = new Date()) => {
+  const due = await Order.find({ status: 'scheduled', releaseAt: { $lte: now } }).select('_id');
+
+  const result = await Order.updateMany(
+    { _id: { $in: due.map(order => order._id) }, status: 'scheduled' },
+    {
+      $set: { status: 'placed' },
+      $push: {
+        statusHistory: {
+          status: 'placed',
+          role: 'system',
+          timestamp: now,
+          reason: 'Scheduled order released to restaurant'
+        }
+      }
+    }
+  );
+
+  // Released orders get an estimate from the kitchen queue they joined
+  const released = await Order.find({ _id: { $in: due.map(order => order._id) }, status: 'placed' });
+  for (const order of released) {
+    await updateOrderEta(order, now);
+    await order.save();
+  }
+
+  return result.modifiedCount;
+};
+
+const startScheduledOrderSweeper = (intervalMs = config.sweepIntervalMs) => {
+  const timer = setInterval(() => {
+    releaseDueScheduledOrders()
+      .catch(err => console.error('Scheduled order sweeper error:', err));
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  releaseDueScheduledOrders,
+  startScheduledOrderSweeper
+};
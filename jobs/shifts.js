@@ -0,0 +1,14 @@
+const config = require('../config/shifts');
+const { closeEndedShifts } = require('../services/shifts');
+
+const startShiftSweeper = (intervalMs = config.sweepIntervalMs) => {
+  const timer = setInterval(() => {
+    closeEndedShifts()
+      .catch(err => console.error('Shift sweeper error:', err));
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startShiftSweeper };
@@ -0,0 +1,17 @@
+const config = require('../config/inventory');
+const { resetDailyStock } = require('../services/inventory');
+
+// Periodically restore daily stock; each item is reset once per local calendar day
+const startDailyStockReset = (intervalMs = config.resetIntervalMs) => {
+  const run = () => {
+    resetDailyStock()
+      .catch(err => console.error('Daily stock reset error:', err));
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startDailyStockReset };
@@ -23,6 +23,14 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Like auth, but lets requests without a token through as anonymous
+const optionalAuth = async (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return auth(req, res, next);
+};
+
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -32,4 +40,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
\ No newline at end of file
+module.exports = { auth, optionalAuth, authorize };
\ No newline at end of file
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// A request still in progress after this long is assumed to have crashed, and its key can be retried
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Replays the stored response when a request is retried with the same Idempotency-Key.
+// Only successful responses are stored, so a failed request can be retried with the same key.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = crypto.createHash('sha256')
+    .update(JSON.stringify(req.body || {}))
+    .digest('hex');
+
+  try {
+    const existing = await IdempotencyKey.findOne({ user: req.user._id, endpoint, key });
+    let record;
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ message: 'Idempotency-Key was already used with a different request' });
+      }
+
+      if (existing.statusCode !== undefined) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.response);
+      }
+
+      // Take over a stale lock; only one retry can win it
+      const now = new Date();
+      if (existing.lockedAt && now - existing.lockedAt >= LOCK_TIMEOUT_MS) {
+        record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, statusCode: { $exists: false }, lockedAt: existing.lockedAt },
+          { lockedAt: now },
+          { new: true }
+        );
+      }
+
+      if (!record) {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still in progress' });
+      }
+    } else {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user._id,
+        endpoint,
+        requestHash
+      });
+    }
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        record.statusCode = res.statusCode;
+        record.response = JSON.parse(JSON.stringify(body));
+        record.save().catch(err => console.error('Idempotency key save error:', err));
+      } else {
+        IdempotencyKey.deleteOne({ _id: record._id })
+          .catch(err => console.error('Idempotency key release error:', err));
+      }
+      return originalJson(body);
+    };
+
+    next();
+  } catch (error) {
+    // Lost a race with a concurrent request using the same key
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is still in progress' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = idempotency;
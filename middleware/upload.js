@@ -0,0 +1,56 @@
+const multer = require('multer');
+const config = require('../config/uploads');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!config.allowedMimeTypes.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single image in the given form field and turn upload errors into 400 responses
+const uploadImage = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Image must be smaller than ${Math.round(config.maxFileSize / 1024 / 1024)}MB`
+        : `Only ${config.allowedMimeTypes.join(', ')} images are allowed in the "${field}" field`;
+      return res.status(400).json({ message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: `No image uploaded in the "${field}" field` });
+    }
+
+    next();
+  });
+};
+
+const menuFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.menuImport.maxFileSize, files: 1 }
+});
+
+// Accept a single menu import file in the given form field and turn upload errors into 400 responses
+const uploadMenuFile = (field) => (req, res, next) => {
+  menuFileUpload.single(field)(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Menu file must be smaller than ${Math.round(config.menuImport.maxFileSize / 1024 / 1024)}MB`
+        : `Upload a single menu file in the "${field}" field`;
+      return res.status(400).json({ message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: `No menu file uploaded in the "${field}" field` });
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadImage, uploadMenuFile };
@@ -1,4 +1,63 @@
 const Joi = require('joi');
+const dietaryConfig = require('../config/dietary');
+
+const timeOfDay = Joi.string().pattern(/^\d{1,2}:\d{2}(\s*(AM|PM|am|pm))?$/);
+
+const weekday = Joi.string().valid('sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat');
+
+// Recurring windows such as breakfast or happy hour; no days means every day
+const timeWindowsSchema = Joi.array().items(Joi.object({
+  days: Joi.array().items(weekday).unique(),
+  open: timeOfDay.required(),
+  close: timeOfDay.required()
+}));
+
+// IANA timezone name, e.g. "Asia/Kolkata"
+const timeZone = Joi.string().custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message('"timezone" must be a valid IANA timezone');
+  }
+});
+
+const coordinatesSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required()
+});
+
+const deliveryZoneSchema = Joi.object({
+  type: Joi.string().valid('radius', 'polygon').required(),
+  radiusKm: Joi.number().positive().when('type', { is: 'polygon', then: Joi.forbidden() }),
+  polygon: Joi.array().items(coordinatesSchema).min(3).when('type', {
+    is: 'polygon',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const intervalsSchema = Joi.array().items(Joi.object({
+  open: timeOfDay.required(),
+  close: timeOfDay.required()
+}));
+
+const scheduleSchema = Joi.object({
+  weekly: Joi.array().items(Joi.object({
+    day: weekday.required(),
+    intervals: intervalsSchema.min(1).required()
+  })).unique('day'),
+  exceptions: Joi.array().items(Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+    closed: Joi.boolean(),
+    intervals: intervalsSchema.when('closed', {
+      is: true,
+      then: Joi.array().max(0),
+      otherwise: Joi.array().min(1).required()
+    }),
+    note: Joi.string().max(200)
+  })).unique('date')
+});
 
 const validateUser = (req, res, next) => {
   const schema = Joi.object({
@@ -36,7 +95,8 @@ const validateRestaurant = (req, res, next) => {
       street: Joi.string().required(),
       city: Joi.string().required(),
       state: Joi.string().required(),
-      zipCode: Joi.string().required()
+      zipCode: Joi.string().required(),
+      coordinates: coordinatesSchema
     }).required(),
     contact: Joi.object({
       phone: Joi.string().pattern(/^[0-9]{10}$/).required(),
@@ -44,10 +104,13 @@ const validateRestaurant = (req, res, next) => {
     }).required(),
     cuisineTypes: Joi.array().items(Joi.string()).min(1).required(),
     hours: Joi.object({
-      opening: Joi.string().required(),
-      closing: Joi.string().required()
-    }).required()
-  });
+      opening: timeOfDay.required(),
+      closing: timeOfDay.required()
+    }),
+    schedule: scheduleSchema,
+    timezone: timeZone,
+    deliveryZone: deliveryZoneSchema
+  }).or('hours', 'schedule');
 
   const { error } = schema.validate(req.body);
   if (error) {
@@ -56,15 +119,322 @@ const validateRestaurant = (req, res, next) => {
   next();
 };
 
+const menuItemSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().min(10).max(500).required(),
+  category: Joi.string().required(),
+  price: Joi.number().min(0).required(),
+  isVegetarian: Joi.boolean(),
+  restaurantId: Joi.string().optional(),
+  tags: Joi.array().items(Joi.string()),
+  allergens: Joi.array().items(Joi.string().valid(...dietaryConfig.allergens)).unique(),
+  dietLabels: Joi.array().items(Joi.string().valid(...dietaryConfig.dietLabels)).unique(),
+  nutritionalInfo: Joi.object({
+    calories: Joi.number().min(0),
+    protein: Joi.number().min(0),
+    carbs: Joi.number().min(0),
+    fat: Joi.number().min(0)
+  }),
+  optionGroups: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    required: Joi.boolean(),
+    minSelections: Joi.number().integer().min(0),
+    maxSelections: Joi.number().integer().min(1).when('minSelections', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minSelections'))
+    }),
+    options: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      priceDelta: Joi.number(),
+      isAvailable: Joi.boolean()
+    })).min(1).required()
+  })),
+  stock: Joi.object({
+    isTracked: Joi.boolean(),
+    quantity: Joi.number().integer().min(0),
+    dailyResetQuantity: Joi.number().integer().min(0),
+    lowStockThreshold: Joi.number().integer().min(0)
+  })
+});
+
 const validateMenuItem = (req, res, next) => {
+  // Updates may change any subset of fields but not move the item to another restaurant;
+  // uploaded images and the category id are managed by the server
+  const schema = req.method === 'PUT'
+    ? menuItemSchema.fork(['name', 'description', 'category', 'price'], field => field.optional()).keys({
+      image: Joi.string().allow(''),
+      isAvailable: Joi.boolean(),
+      restaurantId: Joi.forbidden()
+    })
+    : menuItemSchema;
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const menuCategorySchema = Joi.object({
+  name: Joi.string().min(2).max(50).required(),
+  description: Joi.string().max(300).allow(''),
+  displayOrder: Joi.number().integer(),
+  availability: timeWindowsSchema,
+  isActive: Joi.boolean()
+});
+
+const validateMenuCategory = (req, res, next) => {
+  // Updates may change any subset of fields
+  const schema = req.method === 'PUT' ? menuCategorySchema.fork(['name'], field => field.optional()) : menuCategorySchema;
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateCategoryOrder = (req, res, next) => {
   const schema = Joi.object({
-    name: Joi.string().min(2).max(100).required(),
-    description: Joi.string().min(10).max(500).required(),
-    category: Joi.string().required(),
-    price: Joi.number().min(0).required(),
-    isVegetarian: Joi.boolean(),
-    restaurantId: Joi.string().optional(),
-    tags: Joi.array().items(Joi.string())
+    categoryIds: Joi.array().items(Joi.string()).min(1).unique().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateDietaryPreferences = (req, res, next) => {
+  const schema = Joi.object({
+    vegOnly: Joi.boolean(),
+    excludeAllergens: Joi.array().items(Joi.string().valid(...dietaryConfig.allergens)).unique(),
+    dietLabels: Joi.array().items(Joi.string().valid(...dietaryConfig.dietLabels)).unique(),
+    maxCalories: Joi.number().positive().allow(null)
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const discountRuleSchema = Joi.object({
+  restaurant: Joi.string().required(),
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(300).allow(''),
+  type: Joi.string().valid('percentage', 'flat', 'fixed_price').required(),
+  value: Joi.number().min(0).required().when('type', {
+    is: 'percentage',
+    then: Joi.number().greater(0).max(100)
+  }),
+  maxDiscount: Joi.number().min(0),
+  scope: Joi.string().valid('menu', 'categories', 'items'),
+  categories: Joi.array().items(Joi.string()).when('scope', {
+    is: 'categories',
+    then: Joi.array().min(1).required()
+  }),
+  menuItems: Joi.array().items(Joi.string()).when('scope', {
+    is: 'items',
+    then: Joi.array().min(1).required()
+  }),
+  validFrom: Joi.date(),
+  validUntil: Joi.when('validFrom', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('validFrom')),
+    otherwise: Joi.date()
+  }),
+  windows: timeWindowsSchema,
+  isActive: Joi.boolean()
+});
+
+const validateDiscountRule = (req, res, next) => {
+  // Updates may change any subset of fields but not move the rule to another restaurant
+  const schema = req.method === 'PUT'
+    ? discountRuleSchema.fork(['name', 'type', 'value'], field => field.optional()).keys({ restaurant: Joi.forbidden() })
+    : discountRuleSchema;
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const couponSchema = Joi.object({
+  code: Joi.string().alphanum().min(3).max(20).required(),
+  description: Joi.string().max(200),
+  type: Joi.string().valid('flat', 'percentage', 'free_delivery').required(),
+  value: Joi.number().min(0)
+    .when('type', { is: 'percentage', then: Joi.number().max(100) })
+    .when('type', { is: Joi.valid('flat', 'percentage').required(), then: Joi.required() }),
+  maxDiscount: Joi.number().min(0),
+  firstOrderOnly: Joi.boolean(),
+  minCartValue: Joi.number().min(0),
+  validFrom: Joi.date(),
+  validUntil: Joi.when('validFrom', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('validFrom')),
+    otherwise: Joi.date()
+  }),
+  usageLimit: Joi.number().integer().min(1),
+  perUserLimit: Joi.number().integer().min(1),
+  restaurants: Joi.array().items(Joi.string()),
+  categories: Joi.array().items(Joi.string()),
+  isActive: Joi.boolean()
+});
+
+const validateCoupon = (req, res, next) => {
+  // Updates may change any subset of fields
+  const schema = req.method === 'PUT'
+    ? couponSchema.fork(['code', 'type', 'value'], field => field.optional())
+    : couponSchema;
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateStockUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    items: Joi.array().items(Joi.object({
+      menuItemId: Joi.string().required(),
+      isTracked: Joi.boolean(),
+      quantity: Joi.number().integer().min(0),
+      delta: Joi.number().integer(),
+      dailyResetQuantity: Joi.number().integer().min(0).allow(null),
+      lowStockThreshold: Joi.number().integer().min(0)
+    }).oxor('quantity', 'delta')).min(1).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateSchedule = (req, res, next) => {
+  const schema = Joi.object({
+    schedule: scheduleSchema.required(),
+    timezone: timeZone
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validatePause = (req, res, next) => {
+  const schema = Joi.object({
+    minutes: Joi.number().integer().min(1).max(24 * 60).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateLocationPing = (req, res, next) => {
+  const schema = coordinatesSchema.keys({
+    heading: Joi.number().min(0).max(360),
+    speedKmh: Joi.number().min(0)
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateEarningAdjustment = (req, res, next) => {
+  const schema = Joi.object({
+    type: Joi.string().valid('adjustment', 'deduction').required(),
+    amount: Joi.number().positive().required(),
+    note: Joi.string().max(300).required(),
+    orderId: Joi.string()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validatePayoutBatch = (req, res, next) => {
+  const schema = Joi.object({
+    weekStart: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const zoneSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  city: Joi.string().required(),
+  center: coordinatesSchema.required(),
+  radiusKm: Joi.number().positive().required(),
+  maxAgents: Joi.number().integer().min(1).allow(null),
+  isActive: Joi.boolean()
+});
+
+const validateZone = (req, res, next) => {
+  // Updates may change any subset of fields
+  const schema = req.method === 'PUT'
+    ? zoneSchema.fork(['name', 'city', 'center', 'radiusKm'], field => field.optional())
+    : zoneSchema;
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateShift = (req, res, next) => {
+  const schema = Joi.object({
+    zone: Joi.string().required(),
+    startsAt: Joi.date().required(),
+    endsAt: Joi.date().greater(Joi.ref('startsAt')).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateAgentCapacity = (req, res, next) => {
+  const schema = Joi.object({
+    // null goes back to the default limit
+    maxActiveOrders: Joi.number().integer().min(1).max(20).allow(null).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateOfferDecline = (req, res, next) => {
+  const schema = Joi.object({
+    reason: Joi.string().max(200)
   });
 
   const { error } = schema.validate(req.body);
@@ -75,8 +445,24 @@ const validateMenuItem = (req, res, next) => {
 };
 
 module.exports = {
+  menuItemSchema,
   validateUser,
   validateLogin,
   validateRestaurant,
-  validateMenuItem
+  validateMenuItem,
+  validateMenuCategory,
+  validateCategoryOrder,
+  validateDietaryPreferences,
+  validateDiscountRule,
+  validateCoupon,
+  validateStockUpdate,
+  validateSchedule,
+  validatePause,
+  validateLocationPing,
+  validateEarningAdjustment,
+  validatePayoutBatch,
+  validateZone,
+  validateShift,
+  validateAgentCapacity,
+  validateOfferDecline
 };
\ No newline at end of file
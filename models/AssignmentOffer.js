@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// An order offered to a delivery agent, who accepts or declines it before it expires
+const assignmentOfferSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // cancelled offers were withdrawn because the order was cancelled, offered to someone else or taken
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  // auto offers come from dispatch, manual ones from PUT /api/orders/:id/assign
+  method: {
+    type: String,
+    enum: ['auto', 'manual'],
+    required: true
+  },
+  offeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Dispatch ranking at the time of the offer
+  score: Number,
+  distanceKm: Number,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  declineReason: String
+}, {
+  timestamps: true
+});
+
+assignmentOfferSchema.index({ agent: 1, status: 1, expiresAt: 1 });
+assignmentOfferSchema.index({ status: 1, expiresAt: 1 });
+assignmentOfferSchema.index({ createdAt: -1 });
+// An order has at most one open offer
+assignmentOfferSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('AssignmentOffer', assignmentOfferSchema);
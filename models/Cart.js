@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 
+// Snapshot of a chosen option
+const selectedOptionSchema = new mongoose.Schema({
+  group: mongoose.Schema.Types.ObjectId,
+  groupName: String,
+  option: mongoose.Schema.Types.ObjectId,
+  name: String,
+  priceDelta: Number
+}, {
+  _id: false
+});
+
+// Discount rule applied to a line when it was priced (amount is per unit)
+const appliedDiscountSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscountRule'
+  },
+  name: String,
+  amount: Number
+}, {
+  _id: false
+});
+
 const cartItemSchema = new mongoose.Schema({
   menuItem: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,10 +34,16 @@ const cartItemSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Unit price including option price deltas, after any item discount
   price: {
     type: Number,
     required: true
-  }
+  },
+  // Unit price before the item discount
+  originalPrice: Number,
+  basePrice: Number,
+  options: [selectedOptionSchema],
+  discount: appliedDiscountSchema
 });
 
 const cartSchema = new mongoose.Schema({
@@ -29,6 +58,10 @@ const cartSchema = new mongoose.Schema({
     ref: 'Restaurant'
   },
   items: [cartItemSchema],
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
   totalAmount: {
     type: Number,
     default: 0
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['flat', 'percentage', 'free_delivery'],
+    required: true
+  },
+  // Amount for flat coupons, percent for percentage coupons
+  value: {
+    type: Number,
+    min: 0,
+    default: 0,
+    validate: {
+      // Update validators run without the document, where the route checks the resulting type instead
+      validator: function(value) {
+        return !(this instanceof mongoose.Document) || this.type !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage coupons can take at most 100% off'
+    }
+  },
+  // Cap for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  minCartValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  // Global cap across all users (unlimited when not set)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  // Empty means valid for every restaurant / category
+  restaurants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant'
+  }],
+  categories: [String],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/time');
+
+// A recurring time window (e.g. happy hour 15:00-18:00) in the restaurant's timezone
+const discountWindowSchema = new mongoose.Schema({
+  // Empty means every day
+  days: [{ type: String, enum: WEEKDAYS }],
+  open: { type: String, required: true },
+  close: { type: String, required: true }
+}, { _id: false });
+
+const discountRuleSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'fixed_price'],
+    required: true
+  },
+  // Percent off, amount off, or the new price for fixed_price rules
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cap per unit for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  scope: {
+    type: String,
+    enum: ['menu', 'categories', 'items'],
+    default: 'menu'
+  },
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuCategory'
+  }],
+  menuItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem'
+  }],
+  validFrom: Date,
+  validUntil: Date,
+  // Without windows the rule runs all day between validFrom and validUntil
+  windows: [discountWindowSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+discountRuleSchema.index({ restaurant: 1, isActive: 1 });
+
+module.exports = mongoose.model('DiscountRule', discountRuleSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One line of a delivery agent's earnings ledger
+const earningEntrySchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // delivery, tip and peak_bonus are credited automatically; adjustment and deduction are added by admins
+  type: {
+    type: String,
+    enum: ['delivery', 'tip', 'peak_bonus', 'adjustment', 'deduction'],
+    required: true
+  },
+  // Deductions are negative
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Pay details for delivery entries
+  basePay: Number,
+  distanceKm: Number,
+  distancePay: Number,
+  note: String,
+  // Local calendar date and Monday of its week in the payout timezone
+  earnedOn: {
+    type: String,
+    required: true
+  },
+  weekStart: {
+    type: String,
+    required: true
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+earningEntrySchema.index({ agent: 1, earnedOn: -1 });
+earningEntrySchema.index({ weekStart: 1, payout: 1 });
+// An order is credited once
+earningEntrySchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: 'delivery' } }
+);
+
+module.exports = mongoose.model('EarningEntry', earningEntrySchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // When the request holding the key started; stale locks can be taken over by a retry
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Filled in once the original request has completed
+  statusCode: Number,
+  response: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 // keys are kept for 24 hours
+  }
+});
+
+idempotencyKeySchema.index({ user: 1, endpoint: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const config = require('../config/tracking');
+
+// One point of an agent's breadcrumb trail for an active order
+const locationPingSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  // Degrees clockwise from north
+  heading: Number,
+  speedKmh: Number,
+  // Pings expire trailTtlMinutes after they were recorded
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+    expires: config.trailTtlMinutes * 60
+  }
+});
+
+locationPingSchema.index({ order: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
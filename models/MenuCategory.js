@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/time');
+
+// Names are unique per restaurant regardless of case; queries by name must use the same collation
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// A time-of-day window (e.g. breakfast 07:00-11:00) in the restaurant's timezone
+const availabilityWindowSchema = new mongoose.Schema({
+  // Empty means every day
+  days: [{ type: String, enum: WEEKDAYS }],
+  open: { type: String, required: true },
+  close: { type: String, required: true }
+}, { _id: false });
+
+const menuCategorySchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Lower values are shown first
+  displayOrder: {
+    type: Number,
+    default: 0
+  },
+  // Without windows the category is shown whenever the restaurant is open
+  availability: [availabilityWindowSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+menuCategorySchema.index({ restaurant: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+menuCategorySchema.statics.NAME_COLLATION = NAME_COLLATION;
+
+module.exports = mongoose.model('MenuCategory', menuCategorySchema);
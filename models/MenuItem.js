@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const dietaryConfig = require('../config/dietary');
+
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Added to the item's base price when selected (may be negative)
+  priceDelta: {
+    type: Number,
+    default: 0
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// A set of choices such as "Size" (pick exactly one) or "Toppings" (pick up to 3)
+const optionGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  minSelections: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxSelections: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  options: [optionSchema]
+});
 
 const menuItemSchema = new mongoose.Schema({
   restaurant: {
@@ -15,16 +57,24 @@ const menuItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Category name, kept alongside menuCategory for pricing rules and coupons
   category: {
     type: String,
     required: true
   },
+  menuCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuCategory'
+  },
   price: {
     type: Number,
     required: true,
     min: 0
   },
   image: String,
+  thumbnail: String,
+  // Storage keys of uploaded image files, removed when the image is replaced
+  imageKeys: [String],
   isAvailable: {
     type: Boolean,
     default: true
@@ -34,14 +84,49 @@ const menuItemSchema = new mongoose.Schema({
     default: false
   },
   tags: [String],
+  // Allergens the item contains
+  allergens: [{
+    type: String,
+    enum: dietaryConfig.allergens
+  }],
+  dietLabels: [{
+    type: String,
+    enum: dietaryConfig.dietLabels
+  }],
+  optionGroups: [optionGroupSchema],
+  // Optional stock tracking; untracked items are never limited
+  stock: {
+    isTracked: { type: Boolean, default: false },
+    quantity: { type: Number, min: 0, default: 0 },
+    // Quantity restored every day (leave empty to skip the daily reset)
+    dailyResetQuantity: { type: Number, min: 0 },
+    lowStockThreshold: { type: Number, min: 0, default: 0 },
+    // Set when the item was made unavailable because it ran out
+    autoSoldOut: { type: Boolean, default: false },
+    lastResetDate: String
+  },
+  // Per serving; calories are used by the maxCalories filter
   nutritionalInfo: {
-    calories: Number,
-    protein: Number,
-    carbs: Number,
-    fat: Number
+    calories: { type: Number, min: 0 },
+    protein: { type: Number, min: 0 },
+    carbs: { type: Number, min: 0 },
+    fat: { type: Number, min: 0 }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+menuItemSchema.index(
+  { name: 'text', description: 'text', tags: 'text' },
+  { weights: { name: 10, tags: 5, description: 1 }, name: 'menu_item_search' }
+);
+
+menuItemSchema.virtual('isLowStock').get(function() {
+  if (!this.stock || !this.stock.isTracked) return false;
+  return this.stock.quantity <= this.stock.lowStockThreshold;
 });
 
 module.exports = mongoose.model('MenuItem', menuItemSchema);
\ No newline at end of file
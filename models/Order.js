@@ -12,12 +12,69 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Unit price including option price deltas, after any item discount
   price: {
     type: Number,
     required: true
+  },
+  // Unit price before the item discount
+  originalPrice: Number,
+  basePrice: Number,
+  options: [{
+    _id: false,
+    group: mongoose.Schema.Types.ObjectId,
+    groupName: String,
+    option: mongoose.Schema.Types.ObjectId,
+    name: String,
+    priceDelta: Number
+  }],
+  // Discount rule applied at checkout (amount is per unit)
+  discount: {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DiscountRule'
+    },
+    name: String,
+    amount: Number
   }
 });
 
+// Allowed status transitions, keyed by current status
+const STATUS_TRANSITIONS = {
+  pending_payment: ['placed', 'scheduled', 'cancelled'],
+  scheduled: ['placed', 'cancelled'],
+  placed: ['accepted', 'cancelled'],
+  accepted: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['picked_up', 'cancelled'],
+  picked_up: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Statuses restaurants do not see in their order queue
+const RESTAURANT_HIDDEN_STATUSES = ['pending_payment'];
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  reason: String
+}, {
+  _id: false
+});
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -38,12 +95,43 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // How the delivery agent was found (services/dispatch.js)
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['searching', 'offered', 'assigned', 'failed']
+    },
+    method: {
+      type: String,
+      enum: ['auto', 'manual']
+    },
+    attempts: { type: Number, default: 0 },
+    lastAttemptAt: Date,
+    // When to look again while no agent is free
+    nextAttemptAt: {
+      type: Date,
+      index: true
+    },
+    // Open offer while the order waits for an agent to accept
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssignmentOffer'
+    },
+    offerExpiresAt: Date,
+    assignedAt: Date,
+    score: Number,
+    distanceKm: Number
+  },
   items: [orderItemSchema],
   deliveryAddress: {
     street: { type: String, required: true },
     city: { type: String, required: true },
     state: { type: String, required: true },
-    zipCode: { type: String, required: true }
+    zipCode: { type: String, required: true },
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    }
   },
   totalAmount: {
     type: Number,
@@ -57,26 +145,96 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  packagingCharge: {
+    type: Number,
+    default: 0
+  },
+  smallOrderFee: {
+    type: Number,
+    default: 0
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  // Paid out in full to the delivery agent
+  tip: {
+    type: Number,
+    default: 0
+  },
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String
+  },
+  priceBreakdown: [{
+    _id: false,
+    code: String,
+    label: String,
+    amount: Number
+  }],
   finalAmount: {
     type: Number,
     required: true
   },
   status: {
     type: String,
-    enum: ['placed', 'accepted', 'preparing', 'ready', 'picked_up', 'delivered', 'cancelled'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'placed'
   },
+  statusHistory: [statusHistorySchema],
   paymentMethod: {
     type: String,
     enum: ['cash', 'card', 'upi'],
     required: true
   },
+  paymentProvider: String,
+  paymentIntentId: {
+    type: String,
+    index: true
+  },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String,
+    fee: { type: Number, default: 0 },
+    cancelledAt: Date
+  },
+  // Requested delivery slot for scheduled orders
+  scheduledFor: Date,
+  // When a scheduled order is released to the restaurant as placed
+  releaseAt: {
+    type: Date,
+    index: true
+  },
+  // Whether stock for tracked items is currently held for this order
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
   estimatedDeliveryTime: Date,
+  // Delivery window around estimatedDeliveryTime, recomputed on every status change (services/eta.js)
+  eta: {
+    earliest: Date,
+    latest: Date,
+    // Minutes from calculatedAt for each step
+    queueMinutes: Number,
+    prepMinutes: Number,
+    pickupMinutes: Number,
+    travelMinutes: Number,
+    distanceKm: Number,
+    calculatedAt: Date
+  },
   actualDeliveryTime: Date,
   notes: String
 }, {
@@ -91,4 +249,36 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Record the initial status in the history for new orders
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      actor: this.customer,
+      role: 'customer'
+    });
+  }
+  next();
+});
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.RESTAURANT_HIDDEN_STATUSES = RESTAURANT_HIDDEN_STATUSES;
+
+// Check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the order to a new status and record who made the change.
+// Pass no user for automatic (system) transitions.
+orderSchema.methods.transitionTo = function(status, user, reason) {
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    actor: user ? user._id : undefined,
+    role: user ? user.role : 'system',
+    reason
+  });
+};
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Weekly payout of every agent's unpaid earnings
+const payoutBatchSchema = new mongoose.Schema({
+  // Monday of the payout week, "YYYY-MM-DD" in the payout timezone
+  weekStart: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  weekEnd: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'settled'],
+    default: 'pending'
+  },
+  agents: [{
+    _id: false,
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number,
+    entryCount: Number
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  settledAt: Date,
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bank or transfer reference recorded when settling
+  reference: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
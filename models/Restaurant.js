@@ -1,4 +1,43 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, WEEKDAYS } = require('../utils/time');
+
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  // [longitude, latitude]
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
+const polygonSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Polygon'], default: 'Polygon' },
+  // Linear rings of [longitude, latitude] positions; the first ring is the outer boundary
+  coordinates: { type: [[[Number]]], required: true }
+}, { _id: false });
+
+// Either a radius around the restaurant or a drawn polygon
+const deliveryZoneSchema = new mongoose.Schema({
+  type: { type: String, enum: ['radius', 'polygon'], default: 'radius' },
+  // Falls back to the configured default radius when not set
+  radiusKm: Number,
+  area: polygonSchema
+}, { _id: false });
+
+const intervalSchema = new mongoose.Schema({
+  open: { type: String, required: true },
+  close: { type: String, required: true }
+}, { _id: false });
+
+const weeklyHoursSchema = new mongoose.Schema({
+  day: { type: String, enum: WEEKDAYS, required: true },
+  intervals: [intervalSchema]
+}, { _id: false });
+
+// Holidays and special hours for one local calendar date
+const scheduleExceptionSchema = new mongoose.Schema({
+  date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  closed: { type: Boolean, default: false },
+  intervals: [intervalSchema],
+  note: String
+});
 
 const restaurantSchema = new mongoose.Schema({
   name: {
@@ -15,11 +54,12 @@ const restaurantSchema = new mongoose.Schema({
     street: { type: String, required: true },
     city: { type: String, required: true },
     state: { type: String, required: true },
-    zipCode: { type: String, required: true },
-    coordinates: {
-      latitude: Number,
-      longitude: Number
-    }
+    zipCode: { type: String, required: true }
+  },
+  location: pointSchema,
+  deliveryZone: {
+    type: deliveryZoneSchema,
+    default: () => ({})
   },
   contact: {
     phone: { type: String, required: true },
@@ -29,11 +69,25 @@ const restaurantSchema = new mongoose.Schema({
     type: String,
     required: true
   }],
+  // Single daily opening hours, used when no weekly schedule is set
   hours: {
-    opening: { type: String, required: true },
-    closing: { type: String, required: true }
+    opening: String,
+    closing: String
+  },
+  // Days missing from a non-empty weekly schedule are closed
+  schedule: {
+    weekly: [weeklyHoursSchema],
+    exceptions: [scheduleExceptionSchema]
+  },
+  // IANA timezone the opening hours are given in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE
   },
   image: String,
+  thumbnail: String,
+  // Storage keys of uploaded image files, removed when the image is replaced
+  imageKeys: [String],
   isActive: {
     type: Boolean,
     default: true
@@ -42,6 +96,8 @@ const restaurantSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // New orders are paused until this time (e.g. when the kitchen is overloaded)
+  pausedUntil: Date,
   rating: {
     average: { type: Number, default: 0 },
     count: { type: Number, default: 0 }
@@ -50,6 +106,13 @@ const restaurantSchema = new mongoose.Schema({
     type: Number,
     default: 30 // minutes
   },
+  // Prep time learned from order history (services/eta.js), in minutes
+  prepTime: {
+    average: Number,
+    stdDev: Number,
+    samples: { type: Number, default: 0 },
+    updatedAt: Date
+  },
   minimumOrder: {
     type: Number,
     default: 0
@@ -58,4 +121,10 @@ const restaurantSchema = new mongoose.Schema({
   timestamps: true
 });
 
+restaurantSchema.index({ location: '2dsphere' });
+restaurantSchema.index(
+  { name: 'text', cuisineTypes: 'text' },
+  { weights: { name: 10, cuisineTypes: 5 }, name: 'restaurant_search' }
+);
+
 module.exports = mongoose.model('Restaurant', restaurantSchema);
\ No newline at end of file
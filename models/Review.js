@@ -16,6 +16,11 @@ const reviewSchema = new mongoose.Schema({
     ref: 'Order',
     required: true
   },
+  // Agent who delivered the order, rated by deliveryRating
+  deliveryAgent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   restaurantRating: {
     type: Number,
     required: true,
@@ -39,5 +44,6 @@ const reviewSchema = new mongoose.Schema({
 
 // Ensure one review per customer per order
 reviewSchema.index({ customer: 1, order: 1 }, { unique: true });
+reviewSchema.index({ deliveryAgent: 1 });
 
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
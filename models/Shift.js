@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A delivery agent's booked working period in a zone
+const shiftSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // missed: never checked in; completed: checked in and out
+  status: {
+    type: String,
+    enum: ['booked', 'checked_in', 'completed', 'missed', 'cancelled'],
+    default: 'booked'
+  },
+  checkedInAt: Date,
+  checkedOutAt: Date,
+  // Set when the agent did not check out and the shift was closed automatically
+  autoCheckedOut: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+shiftSchema.index({ agent: 1, startsAt: -1 });
+shiftSchema.index({ zone: 1, startsAt: 1, endsAt: 1 });
+shiftSchema.index({ status: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const dietaryConfig = require('../config/dietary');
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -38,9 +39,20 @@ const userSchema = new mongoose.Schema({
     city: String,
     state: String,
     zipCode: String,
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    },
     isDefault: { type: Boolean, default: false }
   }],
-  // For delivery agents
+  // Applied to menus and search for customers unless they opt out per request
+  dietaryPreferences: {
+    vegOnly: { type: Boolean, default: false },
+    excludeAllergens: [{ type: String, enum: dietaryConfig.allergens }],
+    dietLabels: [{ type: String, enum: dietaryConfig.dietLabels }],
+    maxCalories: { type: Number, min: 0 }
+  },
+  // For delivery agents; on while checked in to a shift, agents may pause it
   isAvailable: {
     type: Boolean,
     default: false
@@ -48,6 +60,22 @@ const userSchema = new mongoose.Schema({
   currentLocation: {
     latitude: Number,
     longitude: Number
+  },
+  // Most concurrent active orders; the dispatch default applies when empty
+  maxActiveOrders: {
+    type: Number,
+    min: 1
+  },
+  // Raised by every shift booking of the agent so concurrent bookings conflict (services/shifts.js)
+  shiftBookingVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Average delivery rating from customer reviews
+  agentRating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
   }
 }, {
   timestamps: true
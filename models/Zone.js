@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Area delivery agents book shifts in
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  city: {
+    type: String,
+    required: true
+  },
+  center: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true }
+  },
+  radiusKm: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Most agents booked at the same time; empty means no limit
+  maxAgents: {
+    type: Number,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Raised by every shift booking in the zone so concurrent bookings conflict (services/shifts.js)
+  bookingVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Zone', zoneSchema);
@@ -1,7 +1,15 @@
 const express = require('express');
 const User = require('../models/User');
 const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const AssignmentOffer = require('../models/AssignmentOffer');
+const { rankAgents } = require('../services/dispatch');
+const { isOnShift } = require('../services/shifts');
+const { acceptOffer, declineOffer, getOfferStats } = require('../services/offers');
+const { recordAgentLocation } = require('../services/tracking');
+const { getEarningsSummary, getEarningsStatement, addManualEntry } = require('../services/earnings');
 const { auth, authorize } = require('../middleware/auth');
+const { validateLocationPing, validateEarningAdjustment, validateAgentCapacity, validateOfferDecline } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -51,17 +59,24 @@ router.get('/me/orders', auth, authorize('delivery_agent'), async (req, res) =>
  * /api/agents/me/status:
  *   put:
  *     summary: Update delivery agent availability status
+ *     description: Agents can only go available while checked in to a shift; checking in and out sets availability too.
  *     tags: [Delivery Agents]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Status updated successfully
+ *       400:
+ *         description: Not checked in to a shift
  */
 router.put('/me/status', auth, authorize('delivery_agent'), async (req, res) => {
   try {
     const { isAvailable, currentLocation } = req.body;
-    
+
+    if (isAvailable === true && !(await isOnShift(req.user._id))) {
+      return res.status(400).json({ message: 'Check in to a shift to go available' });
+    }
+
     const updates = {};
     if (isAvailable !== undefined) updates.isAvailable = isAvailable;
     if (currentLocation) updates.currentLocation = currentLocation;
@@ -81,6 +96,231 @@ router.put('/me/status', auth, authorize('delivery_agent'), async (req, res) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/agents/me/location:
+ *   post:
+ *     summary: Report the delivery agent's current position
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [latitude, longitude]
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               heading:
+ *                 type: number
+ *               speedKmh:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Position recorded for the agent's active orders
+ */
+router.post('/me/location', auth, authorize('delivery_agent'), validateLocationPing, async (req, res) => {
+  try {
+    const orders = await recordAgentLocation(req.user, req.body);
+
+    res.json({
+      message: 'Location recorded',
+      orders
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/agents/me/offers:
+ *   get:
+ *     summary: Get orders offered to the delivery agent that are still open
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open offers, soonest to expire first
+ */
+router.get('/me/offers', auth, authorize('delivery_agent'), async (req, res) => {
+  try {
+    const offers = await AssignmentOffer.find({
+      agent: req.user._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate({
+        path: 'order',
+        select: 'orderNumber status restaurant deliveryAddress items finalAmount tip paymentMethod',
+        populate: { path: 'restaurant', select: 'name address location' }
+      })
+      .sort({ expiresAt: 1 });
+
+    res.json(offers);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/agents/me/offers/{id}/accept:
+ *   post:
+ *     summary: Accept an order offer; the order is assigned to the agent
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Offer accepted
+ *       409:
+ *         description: Offer closed or expired, order no longer available, or agent at their order limit
+ */
+router.post('/me/offers/:id/accept', auth, authorize('delivery_agent'), async (req, res) => {
+  try {
+    const offer = await AssignmentOffer.findById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    if (offer.agent.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const result = await acceptOffer(offer, req.user);
+
+    res.json({
+      message: 'Offer accepted',
+      offer: result.offer,
+      order: result.order
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/agents/me/offers/{id}/decline:
+ *   post:
+ *     summary: Decline an order offer; the order is offered to the next agent
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       409:
+ *         description: Offer closed or expired
+ */
+router.post('/me/offers/:id/decline', auth, authorize('delivery_agent'), validateOfferDecline, async (req, res) => {
+  try {
+    const offer = await AssignmentOffer.findById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    if (offer.agent.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const declined = await declineOffer(offer, req.body);
+
+    res.json({
+      message: 'Offer declined',
+      offer: declined
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/agents/me/earnings:
+ *   get:
+ *     summary: Get the delivery agent's earnings with daily and weekly summaries
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to 30 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Totals by type, unpaid balance, daily and weekly summaries
+ */
+router.get('/me/earnings', auth, authorize('delivery_agent'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json(await getEarningsSummary(req.user._id, { from, to }));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/agents/me/earnings/statement:
+ *   get:
+ *     summary: Download the delivery agent's earnings statement as CSV
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: CSV file with one row per ledger entry
+ */
+router.get('/me/earnings/statement', auth, authorize('delivery_agent'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const { filename, body } = await getEarningsStatement(req.user._id, { from, to });
+
+    res.attachment(filename);
+    res.send(body);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/agents/available:
@@ -89,19 +329,228 @@ router.put('/me/status', auth, authorize('delivery_agent'), async (req, res) =>
  *     tags: [Delivery Agents]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         description: Rank agents for this order's restaurant by distance, load and rating
  *     responses:
  *       200:
- *         description: Available agents
+ *         description: Available agents, best first when ranked for an order
+ *       404:
+ *         description: Order or restaurant not found
  */
 router.get('/available', auth, authorize('restaurant_owner', 'admin'), async (req, res) => {
   try {
-    const agents = await User.find({
-      role: 'delivery_agent',
-      isAvailable: true,
-      isActive: true
-    }).select('fullName mobile currentLocation');
+    const { orderId } = req.query;
+
+    if (!orderId) {
+      const agents = await User.find({
+        role: 'delivery_agent',
+        isAvailable: true,
+        isActive: true
+      }).select('fullName mobile currentLocation');
+
+      return res.json(agents);
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const restaurant = await Restaurant.findById(order.restaurant);
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (req.user.role === 'restaurant_owner' && restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const candidates = await rankAgents(restaurant);
+
+    res.json(candidates.map(({ agent, distanceKm, activeOrders, pendingOffers, maxActiveOrders, rating, score }) => ({
+      _id: agent._id,
+      fullName: agent.fullName,
+      mobile: agent.mobile,
+      currentLocation: agent.currentLocation,
+      distanceKm,
+      activeOrders,
+      pendingOffers,
+      maxActiveOrders,
+      rating,
+      score
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/agents/offer-stats:
+ *   get:
+ *     summary: Offer acceptance, decline and expiry rates per delivery agent (Admin only)
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: agent
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Offer counts and rates per agent, most offers first
+ */
+router.get('/offer-stats', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { agent, from, to } = req.query;
+    res.json(await getOfferStats({ agent, from, to }));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/agents/{id}/earnings:
+ *   get:
+ *     summary: Get a delivery agent's earnings (Admin only)
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Totals by type, unpaid balance, daily and weekly summaries
+ */
+router.get('/:id/earnings', auth, authorize('admin'), async (req, res) => {
+  try {
+    const agent = await User.findById(req.params.id);
+    if (!agent || agent.role !== 'delivery_agent') {
+      return res.status(404).json({ message: 'Delivery agent not found' });
+    }
+
+    const { from, to } = req.query;
+    res.json(await getEarningsSummary(agent._id, { from, to }));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/agents/{id}/earnings/adjustments:
+ *   post:
+ *     summary: Add an adjustment or deduction to a delivery agent's earnings (Admin only)
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, amount, note]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [adjustment, deduction]
+ *               amount:
+ *                 type: number
+ *                 description: Positive amount; deductions are subtracted
+ *               note:
+ *                 type: string
+ *               orderId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Ledger entry added
+ */
+router.post('/:id/earnings/adjustments', auth, authorize('admin'), validateEarningAdjustment, async (req, res) => {
+  try {
+    const agent = await User.findById(req.params.id);
+    if (!agent || agent.role !== 'delivery_agent') {
+      return res.status(404).json({ message: 'Delivery agent not found' });
+    }
+
+    const { orderId } = req.body;
+    if (orderId) {
+      const order = await Order.findById(orderId);
+      if (!order || order.deliveryAgent?.toString() !== agent._id.toString()) {
+        return res.status(400).json({ message: 'Order was not delivered by this agent' });
+      }
+    }
+
+    const entry = await addManualEntry(agent._id, req.body, req.user);
+
+    res.status(201).json({
+      message: 'Earnings entry added',
+      entry
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/agents/{id}/capacity:
+ *   put:
+ *     summary: Set how many orders a delivery agent can carry at once (Admin only)
+ *     tags: [Delivery Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [maxActiveOrders]
+ *             properties:
+ *               maxActiveOrders:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null goes back to the platform default
+ *     responses:
+ *       200:
+ *         description: Capacity updated
+ */
+router.put('/:id/capacity', auth, authorize('admin'), validateAgentCapacity, async (req, res) => {
+  try {
+    const { maxActiveOrders } = req.body;
+    const update = maxActiveOrders === null
+      ? { $unset: { maxActiveOrders: 1 } }
+      : { maxActiveOrders };
 
-    res.json(agents);
+    const agent = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'delivery_agent' },
+      update,
+      { new: true, runValidators: true }
+    ).select('fullName mobile maxActiveOrders');
+
+    if (!agent) {
+      return res.status(404).json({ message: 'Delivery agent not found' });
+    }
+
+    res.json({
+      message: 'Capacity updated successfully',
+      agent
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
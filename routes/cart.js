@@ -1,10 +1,39 @@
 const express = require('express');
 const Cart = require('../models/Cart');
 const MenuItem = require('../models/MenuItem');
+const Restaurant = require('../models/Restaurant');
+const Coupon = require('../models/Coupon');
 const { auth, authorize } = require('../middleware/auth');
+const { calculateQuote, cartToPricingItems, validateTip } = require('../services/pricing');
+const { checkCouponEligibility, getCartCoupon } = require('../services/coupons');
+const { getRestaurantAvailability, toRejection } = require('../services/availability');
+const { getItemsOutsideCategoryHours } = require('../services/menuCategories');
+const { resolveItemOptions, getLineKey } = require('../services/menuOptions');
+const { sumQuantities, getRemainingStock } = require('../services/inventory');
+const { getActiveDiscountRules } = require('../services/discounts');
+const { priceCartLine, repriceCartItems } = require('../services/cart');
 
 const router = express.Router();
 
+// Reject a cart whose lines for a menu item ask for more than the stock left
+const checkStock = (cart, menuItem) => {
+  const requested = sumQuantities(cart.items).get(menuItem._id.toString()) || 0;
+  const available = getRemainingStock(menuItem);
+
+  if (requested > available) {
+    return {
+      message: `Only ${available} of ${menuItem.name} left in stock`,
+      available
+    };
+  }
+  return null;
+};
+
+// A cart line is addressed by its own id; a menu item id matches its lines for older clients
+const matchesLine = (item, itemId) => {
+  return item._id.toString() === itemId || item.menuItem.toString() === itemId;
+};
+
 /**
  * @swagger
  * /api/cart:
@@ -33,6 +62,102 @@ router.get('/', auth, authorize('customer'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/cart/quote:
+ *   get:
+ *     summary: Get price breakdown for the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: addressId
+ *         description: One of the user's saved addresses
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: tip
+ *         description: Tip for the delivery agent
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Price breakdown; removedItems lists cart lines whose menu item no longer exists
+ *       400:
+ *         description: Cart is empty
+ */
+router.get('/quote', auth, authorize('customer'), async (req, res) => {
+  try {
+    const { addressId, latitude, longitude } = req.query;
+
+    const tipCheck = validateTip(req.query.tip);
+    if (!tipCheck.valid) {
+      return res.status(400).json({ message: tipCheck.message });
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id })
+      .populate('items.menuItem', 'name price category');
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    let deliveryAddress;
+    if (addressId) {
+      deliveryAddress = req.user.addresses.id(addressId);
+      if (!deliveryAddress) {
+        return res.status(404).json({ message: 'Address not found' });
+      }
+    } else if (latitude !== undefined && longitude !== undefined) {
+      deliveryAddress = {
+        coordinates: { latitude: Number(latitude), longitude: Number(longitude) }
+      };
+    }
+
+    const restaurant = await Restaurant.findById(cart.restaurant);
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const items = cartToPricingItems(cart);
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'None of the items in the cart can still be ordered' });
+    }
+    const { coupon, message: couponError } = await getCartCoupon(cart, req.user, items);
+
+    const quote = calculateQuote({
+      items,
+      restaurant,
+      deliveryAddress,
+      coupon,
+      tip: tipCheck.tip
+    });
+
+    if (couponError) quote.couponError = couponError;
+
+    const removedItems = cart.items.filter(item => !item.menuItem).map(item => item._id);
+    if (removedItems.length > 0) quote.removedItems = removedItems;
+
+    quote.availability = getRestaurantAvailability(restaurant, {
+      subtotal: quote.subtotal,
+      deliveryAddress
+    });
+
+    res.json(quote);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/cart:
@@ -41,21 +166,60 @@ router.get('/', auth, authorize('customer'), async (req, res) => {
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               menuItemId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               options:
+ *                 type: array
+ *                 description: Ids of the selected options
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
  *         description: Item added to cart
  */
 router.post('/', auth, authorize('customer'), async (req, res) => {
   try {
-    const { menuItemId, quantity = 1 } = req.body;
+    const { menuItemId, quantity = 1, options: optionIds = [] } = req.body;
 
     const menuItem = await MenuItem.findById(menuItemId)
-      .populate('restaurant', '_id name');
+      .populate('restaurant');
 
     if (!menuItem || !menuItem.isAvailable) {
       return res.status(400).json({ message: 'Menu item not available' });
     }
 
+    const availability = getRestaurantAvailability(menuItem.restaurant);
+    if (!availability.available) {
+      return res.status(400).json(toRejection(availability));
+    }
+
+    const [outsideHours] = await getItemsOutsideCategoryHours([menuItem], menuItem.restaurant);
+    if (outsideHours) {
+      return res.status(400).json({ message: `${menuItem.name} is not being served right now` });
+    }
+
+    const selection = resolveItemOptions(menuItem, optionIds);
+    if (!selection.valid) {
+      return res.status(400).json({ message: selection.message });
+    }
+
+    const discountRules = await getActiveDiscountRules(menuItem.restaurant);
+
+    const line = {
+      menuItem: menuItemId,
+      quantity,
+      ...priceCartLine(menuItem, selection, discountRules),
+      options: selection.options
+    };
+
     let cart = await Cart.findOne({ user: req.user._id });
 
     if (!cart) {
@@ -63,11 +227,7 @@ router.post('/', auth, authorize('customer'), async (req, res) => {
       cart = new Cart({
         user: req.user._id,
         restaurant: menuItem.restaurant._id,
-        items: [{
-          menuItem: menuItemId,
-          quantity,
-          price: menuItem.price
-        }]
+        items: [line]
       });
     } else {
       // Check if adding from same restaurant
@@ -77,19 +237,16 @@ router.post('/', auth, authorize('customer'), async (req, res) => {
         });
       }
 
-      // Check if item already exists
+      // Check if the same item with the same options already exists
+      const lineKey = getLineKey(menuItemId, selection.options);
       const existingItem = cart.items.find(item => 
-        item.menuItem.toString() === menuItemId
+        getLineKey(item.menuItem, item.options) === lineKey
       );
 
       if (existingItem) {
         existingItem.quantity += quantity;
       } else {
-        cart.items.push({
-          menuItem: menuItemId,
-          quantity,
-          price: menuItem.price
-        });
+        cart.items.push(line);
       }
 
       if (!cart.restaurant) {
@@ -97,6 +254,11 @@ router.post('/', auth, authorize('customer'), async (req, res) => {
       }
     }
 
+    const stockError = checkStock(cart, menuItem);
+    if (stockError) {
+      return res.status(400).json(stockError);
+    }
+
     await cart.save();
     await cart.populate('restaurant', 'name image');
     await cart.populate('items.menuItem', 'name price image');
@@ -110,6 +272,161 @@ router.post('/', auth, authorize('customer'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   post:
+ *     summary: Apply coupon to cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coupon applied
+ */
+router.post('/coupon', auth, authorize('customer'), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Coupon code is required' });
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id })
+      .populate('items.menuItem', 'name price category');
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    const coupon = await Coupon.findOne({ code: code.toUpperCase().trim() });
+    if (!coupon) {
+      return res.status(404).json({ message: 'Invalid coupon code' });
+    }
+
+    const items = cartToPricingItems(cart);
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'None of the items in the cart can still be ordered' });
+    }
+    const eligibility = await checkCouponEligibility(coupon, {
+      user: req.user,
+      restaurantId: cart.restaurant,
+      items
+    });
+
+    if (!eligibility.valid) {
+      return res.status(400).json({ message: eligibility.message });
+    }
+
+    cart.coupon = coupon._id;
+    await cart.save();
+
+    const restaurant = await Restaurant.findById(cart.restaurant);
+    const quote = calculateQuote({ items, restaurant, coupon });
+
+    res.json({
+      message: 'Coupon applied successfully',
+      coupon: quote.coupon,
+      discount: quote.discount,
+      quote
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   delete:
+ *     summary: Remove coupon from cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon removed
+ */
+router.delete('/coupon', auth, authorize('customer'), async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+
+    cart.coupon = null;
+    await cart.save();
+
+    res.json({ message: 'Coupon removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/refresh:
+ *   post:
+ *     summary: Update cart prices to the current menu and running discounts
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Updated cart and the price changes made
+ */
+router.post('/refresh', auth, authorize('customer'), async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+
+    const priceChanges = await repriceCartItems(cart);
+    await cart.save();
+    await cart.populate('restaurant', 'name image');
+    await cart.populate('items.menuItem', 'name price image');
+
+    res.json({
+      message: priceChanges.length > 0 ? 'Cart prices updated' : 'Cart prices are up to date',
+      priceChanges,
+      cart
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/clear:
+ *   delete:
+ *     summary: Clear entire cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared successfully
+ */
+router.delete('/clear', auth, authorize('customer'), async (req, res) => {
+  try {
+    await Cart.findOneAndDelete({ user: req.user._id });
+    res.json({ message: 'Cart cleared successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/cart/{itemId}:
@@ -118,6 +435,13 @@ router.post('/', auth, authorize('customer'), async (req, res) => {
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         description: Cart line id (a menu item id also works when the item has a single line)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Cart item updated
@@ -135,15 +459,20 @@ router.put('/:itemId', auth, authorize('customer'), async (req, res) => {
       return res.status(404).json({ message: 'Cart not found' });
     }
 
-    const item = cart.items.find(item => 
-      item.menuItem.toString() === req.params.itemId
-    );
+    const item = cart.items.find(item => matchesLine(item, req.params.itemId));
 
     if (!item) {
       return res.status(404).json({ message: 'Item not found in cart' });
     }
 
     item.quantity = quantity;
+
+    const menuItem = await MenuItem.findById(item.menuItem).select('name stock');
+    const stockError = menuItem && checkStock(cart, menuItem);
+    if (stockError) {
+      return res.status(400).json(stockError);
+    }
+
     await cart.save();
 
     await cart.populate('restaurant', 'name image');
@@ -166,6 +495,13 @@ router.put('/:itemId', auth, authorize('customer'), async (req, res) => {
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         description: Cart line id (a menu item id also works when the item has a single line)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Item removed from cart
@@ -177,12 +513,14 @@ router.delete('/:itemId', auth, authorize('customer'), async (req, res) => {
       return res.status(404).json({ message: 'Cart not found' });
     }
 
+    const line = cart.items.find(item => item._id.toString() === req.params.itemId);
     cart.items = cart.items.filter(item => 
-      item.menuItem.toString() !== req.params.itemId
+      line ? item !== line : !matchesLine(item, req.params.itemId)
     );
 
     if (cart.items.length === 0) {
       cart.restaurant = null;
+      cart.coupon = null;
     }
 
     await cart.save();
@@ -196,25 +534,4 @@ router.delete('/:itemId', auth, authorize('customer'), async (req, res) => {
   }
 });
 
-/**
- * @swagger
- * /api/cart/clear:
- *   delete:
- *     summary: Clear entire cart
- *     tags: [Cart]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Cart cleared successfully
- */
-router.delete('/clear', auth, authorize('customer'), async (req, res) => {
-  try {
-    await Cart.findOneAndDelete({ user: req.user._id });
-    res.json({ message: 'Cart cleared successfully' });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,220 @@
+const express = require('express');
+const Coupon = require('../models/Coupon');
+const Restaurant = require('../models/Restaurant');
+const { auth, authorize } = require('../middleware/auth');
+const { validateCoupon } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Restaurant owners may only scope coupons to restaurants they own
+const ownsRestaurants = async (user, restaurantIds = []) => {
+  if (restaurantIds.length === 0) return false;
+
+  const count = await Restaurant.countDocuments({
+    _id: { $in: restaurantIds },
+    owner: user._id
+  });
+  return count === restaurantIds.length;
+};
+
+// Admins manage every coupon, owners only the ones they created
+const canManageCoupon = (coupon, user) => {
+  return user.role === 'admin' || coupon.createdBy.toString() === user._id.toString();
+};
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   post:
+ *     summary: Create coupon (Admin or Restaurant Owner)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ */
+router.post('/', auth, authorize('admin', 'restaurant_owner'), validateCoupon, async (req, res) => {
+  try {
+    if (req.user.role === 'restaurant_owner' && !(await ownsRestaurants(req.user, req.body.restaurants))) {
+      return res.status(403).json({ message: 'Coupons must be scoped to your own restaurants' });
+    }
+
+    const coupon = new Coupon({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    await coupon.save();
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Coupon code already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: List coupons (Admin sees all, Restaurant Owner sees own)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of coupons
+ */
+router.get('/', auth, authorize('admin', 'restaurant_owner'), async (req, res) => {
+  try {
+    const { isActive, page = 1, limit = 10 } = req.query;
+    const filters = {};
+
+    if (req.user.role === 'restaurant_owner') filters.createdBy = req.user._id;
+    if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+    const coupons = await Coupon.find(filters)
+      .populate('restaurants', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Coupon.countDocuments(filters);
+
+    res.json({
+      coupons,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get coupon details
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon details
+ */
+router.get('/:id', auth, authorize('admin', 'restaurant_owner'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('restaurants', 'name');
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    if (!canManageCoupon(coupon, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(coupon);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   put:
+ *     summary: Update coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ */
+router.put('/:id', auth, authorize('admin', 'restaurant_owner'), validateCoupon, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    if (!canManageCoupon(coupon, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const updates = req.body;
+
+    // An empty list would make an owner's coupon valid platform-wide
+    if (req.user.role === 'restaurant_owner' && updates.restaurants !== undefined &&
+        !(await ownsRestaurants(req.user, updates.restaurants))) {
+      return res.status(403).json({ message: 'Coupons must be scoped to your own restaurants' });
+    }
+
+    // The value may change without the type, so check it against the coupon's resulting type
+    const type = updates.type || coupon.type;
+    const value = updates.value !== undefined ? updates.value : coupon.value;
+    if (type === 'percentage' && value > 100) {
+      return res.status(400).json({ message: 'Percentage coupons can take at most 100% off' });
+    }
+
+    const updatedCoupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon: updatedCoupon
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   delete:
+ *     summary: Delete coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon deleted successfully
+ */
+router.delete('/:id', auth, authorize('admin', 'restaurant_owner'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    if (!canManageCoupon(coupon, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await Coupon.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const express = require('express');
+const DiscountRule = require('../models/DiscountRule');
+const MenuCategory = require('../models/MenuCategory');
+const MenuItem = require('../models/MenuItem');
+const Restaurant = require('../models/Restaurant');
+const { auth, authorize } = require('../middleware/auth');
+const { validateDiscountRule } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Rules may only target categories and items of their own restaurant
+const targetsBelongTo = async (restaurantId, { categories = [], menuItems = [] }) => {
+  const [categoryCount, itemCount] = await Promise.all([
+    MenuCategory.countDocuments({ _id: { $in: categories }, restaurant: restaurantId }),
+    MenuItem.countDocuments({ _id: { $in: menuItems }, restaurant: restaurantId })
+  ]);
+  return categoryCount === new Set(categories).size && itemCount === new Set(menuItems).size;
+};
+
+/**
+ * @swagger
+ * /api/discounts:
+ *   post:
+ *     summary: Create a discount rule (Owner only)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [restaurant, name, type, value]
+ *             properties:
+ *               restaurant:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, flat, fixed_price]
+ *               value:
+ *                 type: number
+ *                 description: Percent off, amount off, or the new unit price for fixed_price
+ *               maxDiscount:
+ *                 type: number
+ *                 description: Cap per unit for percentage rules
+ *               scope:
+ *                 type: string
+ *                 enum: [menu, categories, items]
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               menuItems:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               windows:
+ *                 type: array
+ *                 description: Recurring times the rule runs in, e.g. happy hour 15:00-18:00
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [sun, mon, tue, wed, thu, fri, sat]
+ *                     open:
+ *                       type: string
+ *                     close:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Discount rule created
+ */
+router.post('/', auth, authorize('restaurant_owner'), validateDiscountRule, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.body.restaurant);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!(await targetsBelongTo(restaurant._id, req.body))) {
+      return res.status(400).json({ message: 'Discounts can only target categories and items of this restaurant' });
+    }
+
+    const rule = new DiscountRule({
+      ...req.body,
+      createdBy: req.user._id
+    });
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Discount rule created successfully',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/discounts:
+ *   get:
+ *     summary: List discount rules of your restaurants (Owner only)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: restaurant
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of discount rules
+ */
+router.get('/', auth, authorize('restaurant_owner'), async (req, res) => {
+  try {
+    const { restaurant, isActive, page = 1, limit = 10 } = req.query;
+
+    const restaurants = await Restaurant.find({ owner: req.user._id }).select('_id');
+    const ownIds = restaurants.map(r => r._id.toString());
+
+    if (restaurant && !ownIds.includes(restaurant)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const filters = { restaurant: restaurant || { $in: ownIds } };
+    if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+    const rules = await DiscountRule.find(filters)
+      .populate('restaurant', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await DiscountRule.countDocuments(filters);
+
+    res.json({
+      rules,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/discounts/{id}:
+ *   get:
+ *     summary: Get discount rule details (Owner only)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Discount rule details
+ */
+router.get('/:id', auth, authorize('restaurant_owner'), async (req, res) => {
+  try {
+    const rule = await DiscountRule.findById(req.params.id)
+      .populate('restaurant', 'name owner')
+      .populate('categories', 'name')
+      .populate('menuItems', 'name price');
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Discount rule not found' });
+    }
+
+    if (rule.restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/discounts/{id}:
+ *   put:
+ *     summary: Update a discount rule (Owner only)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Discount rule updated
+ */
+router.put('/:id', auth, authorize('restaurant_owner'), validateDiscountRule, async (req, res) => {
+  try {
+    const rule = await DiscountRule.findById(req.params.id).populate('restaurant', 'owner');
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Discount rule not found' });
+    }
+
+    if (rule.restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!(await targetsBelongTo(rule.restaurant._id, req.body))) {
+      return res.status(400).json({ message: 'Discounts can only target categories and items of this restaurant' });
+    }
+
+    const updatedRule = await DiscountRule.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Discount rule updated successfully',
+      rule: updatedRule
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/discounts/{id}:
+ *   delete:
+ *     summary: Delete a discount rule (Owner only)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Discount rule deleted
+ */
+router.delete('/:id', auth, authorize('restaurant_owner'), async (req, res) => {
+  try {
+    const rule = await DiscountRule.findById(req.params.id).populate('restaurant', 'owner');
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Discount rule not found' });
+    }
+
+    if (rule.restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await DiscountRule.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Discount rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,10 @@ const MenuItem = require('../models/MenuItem');
 const Restaurant = require('../models/Restaurant');
 const { auth, authorize } = require('../middleware/auth');
 const { validateMenuItem } = require('../middleware/validation');
+const { stockChangeUpdate } = require('../services/inventory');
+const { storeImage, removeImages } = require('../services/images');
+const { uploadImage } = require('../middleware/upload');
+const { resolveCategory } = require('../services/menuCategories');
 
 const router = express.Router();
 
@@ -30,8 +34,13 @@ router.post('/', auth, authorize('restaurant_owner'), validateMenuItem, async (r
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Unknown category names create a new category at the end of the menu
+    const category = await resolveCategory(restaurant._id, itemData.category);
+
     const menuItem = new MenuItem({
       ...itemData,
+      category: category.name,
+      menuCategory: category._id,
       restaurant: restaurantId
     });
 
@@ -59,7 +68,7 @@ router.post('/', auth, authorize('restaurant_owner'), validateMenuItem, async (r
  *       200:
  *         description: Menu item updated successfully
  */
-router.put('/:id', auth, authorize('restaurant_owner'), async (req, res) => {
+router.put('/:id', auth, authorize('restaurant_owner'), validateMenuItem, async (req, res) => {
   try {
     const menuItem = await MenuItem.findById(req.params.id)
       .populate('restaurant', 'owner');
@@ -72,12 +81,34 @@ router.put('/:id', auth, authorize('restaurant_owner'), async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const updatedItem = await MenuItem.findByIdAndUpdate(
+    // Stock goes through the same update as owner stock changes so availability follows it
+    const { stock, ...updates } = req.body;
+    if (updates.category) {
+      const category = await resolveCategory(menuItem.restaurant._id, updates.category);
+      updates.category = category.name;
+      updates.menuCategory = category._id;
+    }
+
+    const replacesUploadedImage = updates.image !== undefined && updates.image !== menuItem.image;
+    if (replacesUploadedImage) {
+      updates.thumbnail = null;
+      updates.imageKeys = [];
+    }
+
+    let updatedItem = await MenuItem.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
+    if (stock) {
+      updatedItem = await MenuItem.findByIdAndUpdate(req.params.id, stockChangeUpdate(stock), { new: true });
+    }
+
+    if (replacesUploadedImage) {
+      await removeImages(menuItem.imageKeys);
+    }
+
     res.json({
       message: 'Menu item updated successfully',
       menuItem: updatedItem
@@ -113,6 +144,7 @@ router.delete('/:id', auth, authorize('restaurant_owner'), async (req, res) => {
     }
 
     await MenuItem.findByIdAndDelete(req.params.id);
+    await removeImages(menuItem.imageKeys);
 
     res.json({ message: 'Menu item deleted successfully' });
   } catch (error) {
@@ -120,4 +152,99 @@ router.delete('/:id', auth, authorize('restaurant_owner'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/menu/{id}/image:
+ *   post:
+ *     summary: Upload menu item image (Owner only)
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Image uploaded
+ */
+router.post('/:id/image', auth, authorize('restaurant_owner'), uploadImage('image'), async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findById(req.params.id)
+      .populate('restaurant', 'owner');
+
+    if (!menuItem) {
+      return res.status(404).json({ message: 'Menu item not found' });
+    }
+
+    if (menuItem.restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const stored = await storeImage(req.file.buffer, `menu-items/${menuItem._id}`);
+    const oldKeys = [...menuItem.imageKeys];
+
+    menuItem.image = stored.image;
+    menuItem.thumbnail = stored.thumbnail;
+    menuItem.imageKeys = stored.keys;
+    await menuItem.save();
+
+    await removeImages(oldKeys);
+
+    res.json({
+      message: 'Image uploaded successfully',
+      image: menuItem.image,
+      thumbnail: menuItem.thumbnail
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/menu/{id}/image:
+ *   delete:
+ *     summary: Remove menu item image (Owner only)
+ *     tags: [Menu]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Image removed
+ */
+router.delete('/:id/image', auth, authorize('restaurant_owner'), async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findById(req.params.id)
+      .populate('restaurant', 'owner');
+
+    if (!menuItem) {
+      return res.status(404).json({ message: 'Menu item not found' });
+    }
+
+    if (menuItem.restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const oldKeys = [...menuItem.imageKeys];
+
+    menuItem.image = undefined;
+    menuItem.thumbnail = undefined;
+    menuItem.imageKeys = [];
+    await menuItem.save();
+
+    await removeImages(oldKeys);
+
+    res.json({ message: 'Image removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,290 @@
+const express = require('express');
+const MenuCategory = require('../models/MenuCategory');
+const MenuItem = require('../models/MenuItem');
+const Restaurant = require('../models/Restaurant');
+const { auth, authorize } = require('../middleware/auth');
+const { validateMenuCategory, validateCategoryOrder } = require('../middleware/validation');
+const { isCategoryAvailableAt } = require('../services/menuCategories');
+
+// Mounted under /api/restaurants/:id/categories
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/categories:
+ *   get:
+ *     summary: List a restaurant's menu categories in display order
+ *     tags: [Menu Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Menu categories with whether each is being served now
+ */
+router.get('/', async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const categories = await MenuCategory.find({ restaurant: restaurant._id })
+      .sort({ displayOrder: 1, name: 1 });
+
+    res.json(categories.map(category => ({
+      ...category.toObject(),
+      isAvailableNow: isCategoryAvailableAt(category, restaurant)
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/categories:
+ *   post:
+ *     summary: Create a menu category (Owner only)
+ *     tags: [Menu Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               displayOrder:
+ *                 type: integer
+ *               availability:
+ *                 type: array
+ *                 description: Time windows the category is served in, e.g. breakfast 07:00-11:00
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [sun, mon, tue, wed, thu, fri, sat]
+ *                     open:
+ *                       type: string
+ *                     close:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       409:
+ *         description: A category with this name already exists
+ */
+router.post('/', auth, authorize('restaurant_owner'), validateMenuCategory, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // New categories go to the end of the menu unless placed explicitly
+    let { displayOrder } = req.body;
+    if (displayOrder === undefined) {
+      const last = await MenuCategory.findOne({ restaurant: restaurant._id }).sort({ displayOrder: -1 });
+      displayOrder = last ? last.displayOrder + 1 : 0;
+    }
+
+    const category = new MenuCategory({
+      ...req.body,
+      displayOrder,
+      restaurant: restaurant._id
+    });
+    await category.save();
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A category with this name already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/categories/order:
+ *   put:
+ *     summary: Reorder menu categories (Owner only)
+ *     tags: [Menu Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [categoryIds]
+ *             properties:
+ *               categoryIds:
+ *                 type: array
+ *                 description: Every category of the restaurant, in the new display order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Categories reordered
+ */
+router.put('/order', auth, authorize('restaurant_owner'), validateCategoryOrder, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { categoryIds } = req.body;
+    const categories = await MenuCategory.find({ restaurant: restaurant._id }).select('_id');
+    const ownIds = new Set(categories.map(category => category._id.toString()));
+
+    if (categoryIds.length !== ownIds.size || !categoryIds.every(id => ownIds.has(id))) {
+      return res.status(400).json({ message: 'categoryIds must list every category of this restaurant exactly once' });
+    }
+
+    await MenuCategory.bulkWrite(categoryIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, restaurant: restaurant._id },
+        update: { $set: { displayOrder: index } }
+      }
+    })));
+
+    const reordered = await MenuCategory.find({ restaurant: restaurant._id })
+      .sort({ displayOrder: 1, name: 1 });
+
+    res.json({
+      message: 'Categories reordered successfully',
+      categories: reordered
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/categories/{categoryId}:
+ *   put:
+ *     summary: Update a menu category (Owner only)
+ *     tags: [Menu Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Category updated
+ */
+router.put('/:categoryId', auth, authorize('restaurant_owner'), validateMenuCategory, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const category = await MenuCategory.findOne({ _id: req.params.categoryId, restaurant: restaurant._id });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const renamed = req.body.name !== undefined && req.body.name !== category.name;
+    category.set(req.body);
+    await category.save();
+
+    // Items keep the category name for pricing rules and coupons
+    if (renamed) {
+      await MenuItem.updateMany({ menuCategory: category._id }, { category: category.name });
+    }
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A category with this name already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/categories/{categoryId}:
+ *   delete:
+ *     summary: Delete an empty menu category (Owner only)
+ *     tags: [Menu Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       409:
+ *         description: Category still has menu items
+ */
+router.delete('/:categoryId', auth, authorize('restaurant_owner'), async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const category = await MenuCategory.findOne({ _id: req.params.categoryId, restaurant: restaurant._id });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const itemCount = await MenuItem.countDocuments({ menuCategory: category._id });
+    if (itemCount > 0) {
+      return res.status(409).json({
+        message: 'Move or delete the items in this category first',
+        itemCount
+      });
+    }
+
+    await category.deleteOne();
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,51 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const User = require('../models/User');
+const Restaurant = require('../models/Restaurant');
+const Refund = require('../models/Refund');
+const { getCancellationTerms } = require('../services/cancellation');
+const { calculateQuote, cartToPricingItems, validateTip } = require('../services/pricing');
+const { getCartCoupon, redeemCoupon, releaseCoupon } = require('../services/coupons');
+const { getPaymentProvider, ONLINE_PAYMENT_METHODS } = require('../services/payments');
+const { submitRefund } = require('../services/refunds');
+const { getStaleCartItems, buildCartItemsFromOrder } = require('../services/cart');
+const { validateScheduledTime, getReleaseTime } = require('../services/scheduling');
+const { getLineKey } = require('../services/menuOptions');
+const { reserveStock, releaseOrderStock } = require('../services/inventory');
+const { getRestaurantAvailability, toRejection } = require('../services/availability');
+const { getItemsOutsideCategoryHours } = require('../services/menuCategories');
+const { DISPATCH_STATUSES, dispatchOrder, offerOrder, hasCapacity } = require('../services/dispatch');
+const { withdrawOffers } = require('../services/offers');
+const { updateOrderEta, updatePrepTime } = require('../services/eta');
+const { publishOrderEvent, subscribeToOrder, getTrackingSnapshot } = require('../services/tracking');
+const { creditDelivery } = require('../services/earnings');
+const { openEventStream, sendEvent, sendHeartbeat } = require('../utils/sse');
+const trackingConfig = require('../config/tracking');
 const { auth, authorize } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 
 const router = express.Router();
 
+// Check whether a user may view an order (customer, assigned agent, restaurant owner or admin)
+const canViewOrder = async (order, user) => {
+  if (user.role === 'admin') return true;
+
+  const userId = user._id.toString();
+  const customerId = (order.customer._id || order.customer).toString();
+  const agentId = order.deliveryAgent && (order.deliveryAgent._id || order.deliveryAgent).toString();
+
+  if (user.role === 'restaurant_owner') {
+    if (Order.RESTAURANT_HIDDEN_STATUSES.includes(order.status)) return false;
+
+    const restaurant = await Restaurant.findById(order.restaurant._id || order.restaurant);
+    return !!restaurant && restaurant.owner.toString() === userId;
+  }
+
+  return customerId === userId || agentId === userId;
+};
+
 /**
  * @swagger
  * /api/orders:
@@ -14,25 +54,116 @@ const router = express.Router();
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         description: Retries with the same key return the original response
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Deliver at this time instead of as soon as possible
+ *               tip:
+ *                 type: number
+ *                 description: Tip for the delivery agent
  *     responses:
  *       201:
  *         description: Order placed successfully
+ *       409:
+ *         description: Cart is out of date with the current menu
  */
-router.post('/', auth, authorize('customer'), async (req, res) => {
+router.post('/', auth, authorize('customer'), idempotency, async (req, res) => {
   try {
-    const { deliveryAddress, paymentMethod, notes } = req.body;
+    const { deliveryAddress, paymentMethod, notes, scheduledFor } = req.body;
+
+    const tipCheck = validateTip(req.body.tip);
+    if (!tipCheck.valid) {
+      return res.status(400).json({ message: tipCheck.message });
+    }
 
-    const cart = await Cart.findOne({ user: req.user._id })
-      .populate('items.menuItem', 'name price');
+    const cart = await Cart.findOne({ user: req.user._id });
 
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({ message: 'Cart is empty' });
     }
 
+    // Reject carts whose prices or availability no longer match the menu
+    const changes = await getStaleCartItems(cart);
+    if (changes.length > 0) {
+      return res.status(409).json({
+        message: 'Some items in your cart have changed. Please review your cart.',
+        changes
+      });
+    }
+
+    await cart.populate('items.menuItem', 'name price category menuCategory');
+
+    const restaurant = await Restaurant.findById(cart.restaurant);
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    let schedule = null;
+    if (scheduledFor) {
+      schedule = validateScheduledTime(scheduledFor, restaurant);
+      if (!schedule.valid) {
+        return res.status(400).json({ message: schedule.message });
+      }
+    }
+
+    const items = cartToPricingItems(cart);
+
+    // Re-validate the applied coupon
+    const { coupon, message: couponError } = await getCartCoupon(cart, req.user, items);
+    if (couponError) {
+      return res.status(400).json({ message: couponError });
+    }
+
     // Calculate amounts
-    const deliveryFee = 50; // Fixed delivery fee
-    const tax = Math.round(cart.totalAmount * 0.05); // 5% tax
-    const finalAmount = cart.totalAmount + deliveryFee + tax;
+    const quote = calculateQuote({
+      items,
+      restaurant,
+      deliveryAddress,
+      coupon,
+      tip: tipCheck.tip
+    });
+
+    // The restaurant must be able to take the order now (or at the scheduled slot)
+    const availability = getRestaurantAvailability(restaurant, {
+      at: schedule ? schedule.scheduledFor : new Date(),
+      scheduled: !!schedule,
+      subtotal: quote.subtotal,
+      deliveryAddress: deliveryAddress || null
+    });
+    if (!availability.available) {
+      return res.status(400).json(toRejection(availability));
+    }
+
+    // Time-of-day categories (e.g. breakfast) must be served at the delivery time
+    const outsideHours = await getItemsOutsideCategoryHours(
+      cart.items.map(item => item.menuItem),
+      restaurant,
+      schedule ? schedule.scheduledFor : new Date()
+    );
+    if (outsideHours.length > 0) {
+      return res.status(400).json({
+        message: 'Some items are not served at the requested time',
+        items: outsideHours
+      });
+    }
+
+    // Online payments must succeed before the restaurant sees the order,
+    // and scheduled orders wait until shortly before their slot
+    const isOnlinePayment = ONLINE_PAYMENT_METHODS.includes(paymentMethod);
+    let initialStatus = schedule ? 'scheduled' : 'placed';
+    if (isOnlinePayment) initialStatus = 'pending_payment';
 
     // Create order
     const order = new Order({
@@ -42,31 +173,93 @@ router.post('/', auth, authorize('customer'), async (req, res) => {
         menuItem: item.menuItem._id,
         name: item.menuItem.name,
         quantity: item.quantity,
-        price: item.price
+        price: item.price,
+        originalPrice: item.originalPrice || item.price,
+        basePrice: item.basePrice,
+        options: item.options,
+        discount: item.discount
       })),
       deliveryAddress,
-      totalAmount: cart.totalAmount,
-      deliveryFee,
-      tax,
-      finalAmount,
+      totalAmount: quote.subtotal,
+      deliveryFee: quote.deliveryFee,
+      tax: quote.tax,
+      packagingCharge: quote.packagingCharge,
+      smallOrderFee: quote.smallOrderFee,
+      discount: quote.discount,
+      tip: quote.tip,
+      coupon: coupon ? { coupon: coupon._id, code: coupon.code } : undefined,
+      priceBreakdown: quote.lines,
+      finalAmount: quote.total,
       paymentMethod,
+      status: initialStatus,
       notes,
-      estimatedDeliveryTime: new Date(Date.now() + 45 * 60 * 1000) // 45 minutes
+      scheduledFor: schedule ? schedule.scheduledFor : undefined,
+      releaseAt: schedule ? getReleaseTime(schedule.scheduledFor) : undefined,
+      estimatedDeliveryTime: schedule ? schedule.scheduledFor : undefined
     });
 
-    await order.save();
+    // Scheduled orders are due at their slot; the rest are estimated from the kitchen queue, prep time and distance
+    if (!schedule) await updateOrderEta(order);
+
+    let payment = null;
+    if (isOnlinePayment) {
+      const provider = getPaymentProvider();
+      const intent = await provider.createPaymentIntent({ order });
+
+      order.paymentProvider = provider.name;
+      order.paymentIntentId = intent.id;
+      payment = {
+        provider: provider.name,
+        intentId: intent.id,
+        clientSecret: intent.clientSecret,
+        amount: intent.amount
+      };
+    }
 
-    // Clear cart
-    await Cart.findOneAndDelete({ user: req.user._id });
+    // Reserve stock, redeem the coupon, save the order and clear the cart together
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await reserveStock(order.items, session);
+        order.stockReserved = true;
+
+        if (coupon) {
+          const redemption = await redeemCoupon(coupon, {
+            user: req.user,
+            order,
+            discount: quote.discount
+          }, session);
+
+          if (!redemption) {
+            const error = new Error('Coupon usage limit reached');
+            error.status = 400;
+            throw error;
+          }
+        }
+
+        await order.save({ session });
+        await Cart.deleteOne({ _id: cart._id }, { session });
+      });
+    } catch (error) {
+      // The order was not placed, so its payment must not go through
+      if (payment) {
+        await getPaymentProvider(order.paymentProvider).cancelPaymentIntent(order.paymentIntentId)
+          .catch(err => console.error('Payment intent cancel error:', err));
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
 
     await order.populate('restaurant', 'name address contact');
 
     res.status(201).json({
       message: 'Order placed successfully',
-      order
+      order,
+      payment
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
@@ -92,7 +285,6 @@ router.get('/', auth, async (req, res) => {
       filters.customer = req.user._id;
     } else if (req.user.role === 'restaurant_owner') {
       // Get user's restaurants
-      const Restaurant = require('../models/Restaurant');
       const userRestaurants = await Restaurant.find({ owner: req.user._id });
       const restaurantIds = userRestaurants.map(r => r._id);
       filters.restaurant = { $in: restaurantIds };
@@ -102,6 +294,15 @@ router.get('/', auth, async (req, res) => {
 
     if (status) filters.status = status;
 
+    // Restaurants only see orders that have been released to them;
+    // upcoming scheduled orders are listed by GET /api/orders/scheduled
+    if (req.user.role === 'restaurant_owner') {
+      const excluded = [...Order.RESTAURANT_HIDDEN_STATUSES, 'scheduled'];
+      filters.status = status
+        ? { $eq: status, $nin: excluded }
+        : { $nin: excluded };
+    }
+
     const orders = await Order.find(filters)
       .populate('customer', 'fullName mobile')
       .populate('restaurant', 'name address contact')
@@ -125,6 +326,58 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/scheduled:
+ *   get:
+ *     summary: Get upcoming scheduled orders (Restaurant Owner only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: restaurantId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled orders sorted by delivery slot
+ */
+router.get('/scheduled', auth, authorize('restaurant_owner'), async (req, res) => {
+  try {
+    const { restaurantId, page = 1, limit = 10 } = req.query;
+
+    const restaurantFilter = { owner: req.user._id };
+    if (restaurantId) restaurantFilter._id = restaurantId;
+
+    const userRestaurants = await Restaurant.find(restaurantFilter);
+    const filters = {
+      restaurant: { $in: userRestaurants.map(r => r._id) },
+      status: 'scheduled'
+    };
+
+    const orders = await Order.find(filters)
+      .populate('customer', 'fullName mobile')
+      .populate('restaurant', 'name')
+      .sort({ scheduledFor: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Order.countDocuments(filters);
+
+    res.json({
+      orders,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/orders/{id}:
@@ -150,18 +403,7 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Check access permissions
-    const hasAccess = 
-      order.customer._id.toString() === req.user._id.toString() ||
-      order.deliveryAgent?._id.toString() === req.user._id.toString() ||
-      req.user.role === 'admin';
-
-    if (req.user.role === 'restaurant_owner') {
-      const Restaurant = require('../models/Restaurant');
-      const restaurant = await Restaurant.findById(order.restaurant._id);
-      if (restaurant.owner.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
-    } else if (!hasAccess) {
+    if (!(await canViewOrder(order, req.user))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -171,6 +413,120 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/{id}/timeline:
+ *   get:
+ *     summary: Get order status history
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Order status timeline
+ */
+router.get('/:id/timeline', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber customer restaurant deliveryAgent status statusHistory')
+      .populate('statusHistory.actor', 'fullName role');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!(await canViewOrder(order, req.user))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      orderNumber: order.orderNumber,
+      status: order.status,
+      timeline: order.statusHistory
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/track:
+ *   get:
+ *     summary: Follow an order out for delivery as a Server-Sent Events stream (Customer only)
+ *     description: Sends a snapshot event with the agent's position, recent trail and ETA, then location and status events. The stream ends when the order leaves picked_up.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: text/event-stream of snapshot, location and status events
+ *       409:
+ *         description: Order is not out for delivery
+ */
+router.get('/:id/track', auth, authorize('customer'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (order.status !== 'picked_up') {
+      return res.status(409).json({
+        message: 'Orders can only be tracked while out for delivery',
+        status: order.status
+      });
+    }
+
+    const snapshot = await getTrackingSnapshot(order);
+
+    openEventStream(res);
+    sendEvent(res, 'snapshot', snapshot);
+
+    let stop;
+    let closed = false;
+    const heartbeat = setInterval(() => sendHeartbeat(res), trackingConfig.heartbeatIntervalMs);
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      stop();
+      res.end();
+    };
+
+    stop = subscribeToOrder(order._id, ({ type, data }) => {
+      if (type === 'location') {
+        sendEvent(res, 'location', data);
+      } else if (type === 'status') {
+        sendEvent(res, 'status', data);
+        if (data.status !== 'picked_up') close();
+      }
+    });
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      stop();
+    });
+
+    // A status change made before the subscription started sent no event, so check again now
+    const current = await Order.findById(order._id).select('status');
+    if (!closed && (!current || current.status !== 'picked_up')) {
+      if (current) sendEvent(res, 'status', { status: current.status, timestamp: new Date() });
+      close();
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/orders/{id}/status:
@@ -182,10 +538,12 @@ router.get('/:id', auth, async (req, res) => {
  *     responses:
  *       200:
  *         description: Order status updated
+ *       409:
+ *         description: Order status changed while updating
  */
 router.put('/:id/status', auth, async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     const order = await Order.findById(req.params.id);
 
     if (!order) {
@@ -201,7 +559,6 @@ router.put('/:id/status', auth, async (req, res) => {
         return res.status(400).json({ message: 'Invalid status for restaurant owner' });
       }
       
-      const Restaurant = require('../models/Restaurant');
       const restaurant = await Restaurant.findById(order.restaurant);
       if (restaurant.owner.toString() !== req.user._id.toString()) {
         return res.status(403).json({ message: 'Access denied' });
@@ -218,19 +575,292 @@ router.put('/:id/status', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    order.status = status;
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        allowedStatuses: Order.STATUS_TRANSITIONS[order.status]
+      });
+    }
+
+    const previousStatus = order.status;
+    order.transitionTo(status, req.user, reason);
     
     if (status === 'delivered') {
       order.actualDeliveryTime = new Date();
-      order.paymentStatus = 'paid';
+      // Cash is collected on delivery; online payments are settled by the payment webhook
+      if (order.paymentMethod === 'cash') {
+        order.paymentStatus = 'paid';
+      }
     }
 
-    await order.save();
+    await updateOrderEta(order);
+
+    // Only save over the status checked above, so a concurrent cancellation or update is not overwritten
+    order.$where = { status: previousStatus };
+    try {
+      await order.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        return res.status(409).json({ message: 'Order status has changed, please try again' });
+      }
+      throw error;
+    }
+    publishOrderEvent(order._id, 'status', { status, timestamp: new Date() });
+
+    if (status === 'delivered') {
+      try {
+        await creditDelivery(order);
+      } catch (error) {
+        console.error('Earnings credit error:', error);
+      }
+    }
+
+    if (status === 'ready') {
+      try {
+        await updatePrepTime(order.restaurant);
+      } catch (error) {
+        console.error('Prep time update error:', error);
+      }
+    }
+
+    // Accepted and ready orders without an agent start a new round of offers
+    let updatedOrder = order;
+    if (['accepted', 'ready'].includes(status) && !order.deliveryAgent) {
+      try {
+        ({ order: updatedOrder } = await dispatchOrder(order, { restart: true }));
+      } catch (error) {
+        console.error('Dispatch error:', error);
+      }
+    }
 
     res.json({
       message: 'Order status updated successfully',
+      order: updatedOrder
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel order (Customer, Restaurant Owner or Admin)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *       409:
+ *         description: Order status changed while cancelling
+ */
+router.post('/:id/cancel', auth, authorize('customer', 'restaurant_owner', 'admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'Cancellation reason is required' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (req.user.role === 'customer' && order.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (req.user.role === 'restaurant_owner') {
+      const restaurant = await Restaurant.findById(order.restaurant);
+      if (restaurant.owner.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
+    const terms = getCancellationTerms(order, req.user);
+    if (!terms.allowed) {
+      return res.status(400).json({ message: terms.message });
+    }
+
+    const previousStatus = order.status;
+    order.transitionTo('cancelled', req.user, reason);
+    order.cancellation = {
+      reason,
+      cancelledBy: req.user._id,
+      role: req.user.role,
+      fee: terms.fee,
+      cancelledAt: new Date()
+    };
+
+    // The refund is recorded with the cancellation and sent to the provider once both are saved
+    let refund = null;
+    if (terms.refundable) {
+      refund = new Refund({
+        order: order._id,
+        customer: order.customer,
+        amount: terms.refundAmount,
+        cancellationFee: terms.fee,
+        paymentMethod: order.paymentMethod,
+        reason,
+        initiatedBy: req.user._id
+      });
+      order.paymentStatus = terms.fee > 0 ? 'partially_refunded' : 'refunded';
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Claim the cancellation so concurrent requests cannot cancel and refund the order twice
+        const claimed = await Order.findOneAndUpdate(
+          { _id: order._id, status: previousStatus },
+          { status: 'cancelled' },
+          { session }
+        );
+        if (!claimed) {
+          const error = new Error('Order status has changed, please try again');
+          error.status = 409;
+          throw error;
+        }
+
+        await releaseOrderStock(order, session);
+        await releaseCoupon(order, session);
+        if (refund) await refund.save({ session });
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (refund) {
+      try {
+        await submitRefund(refund, order);
+      } catch (error) {
+        // The refund stays pending and is sent again by the refund retrier
+        console.error('Refund submission error:', error);
+      }
+    }
+
+    await withdrawOffers(order);
+
+    res.json({
+      message: 'Order cancelled successfully',
+      cancellationFee: terms.fee,
+      refund,
       order
     });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/reorder:
+ *   post:
+ *     summary: Rebuild the cart from a past order (Customer only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               replaceCart:
+ *                 type: boolean
+ *                 description: Replace an existing cart from a different restaurant
+ *     responses:
+ *       200:
+ *         description: Cart rebuilt with price changes and dropped items
+ *       409:
+ *         description: Cart holds items from another restaurant
+ */
+router.post('/:id/reorder', auth, authorize('customer'), async (req, res) => {
+  try {
+    const { replaceCart = false } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { items, priceChanges, quantityChanges, droppedItems } = await buildCartItemsFromOrder(order);
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        message: 'None of the items from this order are available',
+        droppedItems
+      });
+    }
+
+    let cart = await Cart.findOne({ user: req.user._id });
+    const hasOtherRestaurant = cart && cart.items.length > 0 &&
+      cart.restaurant && cart.restaurant.toString() !== order.restaurant.toString();
+
+    if (hasOtherRestaurant && !replaceCart) {
+      return res.status(409).json({
+        message: 'Your cart has items from another restaurant. Set replaceCart to replace them.',
+        requiresReplace: true
+      });
+    }
+
+    if (!cart) {
+      cart = new Cart({ user: req.user._id });
+    }
+
+    if (replaceCart || hasOtherRestaurant || cart.items.length === 0) {
+      cart.items = items;
+      cart.coupon = null;
+    } else {
+      // Same restaurant: merge into the existing cart
+      items.forEach(newItem => {
+        const lineKey = getLineKey(newItem.menuItem, newItem.options);
+        const existingItem = cart.items.find(item =>
+          getLineKey(item.menuItem, item.options) === lineKey
+        );
+
+        if (existingItem) {
+          const { menuItem, options, quantity, ...pricing } = newItem;
+          existingItem.quantity += quantity;
+          existingItem.set(pricing);
+        } else {
+          cart.items.push(newItem);
+        }
+      });
+    }
+
+    cart.restaurant = order.restaurant;
+    await cart.save();
+
+    await cart.populate('restaurant', 'name image');
+    await cart.populate('items.menuItem', 'name price image');
+
+    res.json({
+      message: droppedItems.length > 0 || priceChanges.length > 0 || quantityChanges.length > 0
+        ? 'Cart rebuilt with some changes from your previous order'
+        : 'Cart rebuilt from your previous order',
+      cart,
+      priceChanges,
+      quantityChanges,
+      droppedItems
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -240,13 +870,26 @@ router.put('/:id/status', auth, async (req, res) => {
  * @swagger
  * /api/orders/{id}/assign:
  *   put:
- *     summary: Assign delivery agent to order (Admin simulation)
+ *     summary: Offer an order to a delivery agent (Restaurant Owner or Admin)
+ *     description: The agent gets the order once they accept the offer; an open offer to someone else is withdrawn.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [deliveryAgentId]
+ *             properties:
+ *               deliveryAgentId:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Delivery agent assigned
+ *         description: Offer sent to the delivery agent
+ *       409:
+ *         description: Agent is at their order limit or the order changed meanwhile
  */
 router.put('/:id/assign', auth, async (req, res) => {
   try {
@@ -262,19 +905,106 @@ router.put('/:id/assign', auth, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    if (!DISPATCH_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        message: `Orders can only be assigned while ${DISPATCH_STATUSES.join(', ')}`
+      });
+    }
+
     const agent = await User.findById(deliveryAgentId);
     if (!agent || agent.role !== 'delivery_agent') {
       return res.status(400).json({ message: 'Invalid delivery agent' });
     }
 
-    order.deliveryAgent = deliveryAgentId;
-    await order.save();
+    if (order.deliveryAgent && order.deliveryAgent.toString() === agent._id.toString()) {
+      return res.status(400).json({ message: 'Delivery agent is already assigned to this order' });
+    }
+
+    if (!(await hasCapacity(agent))) {
+      return res.status(409).json({ message: 'Delivery agent is at their order limit' });
+    }
 
-    await order.populate('deliveryAgent', 'fullName mobile');
+    const result = await offerOrder(await withdrawOffers(order), agent, {
+      method: 'manual',
+      offeredBy: req.user._id
+    });
+
+    if (!result.offer) {
+      return res.status(409).json({ message: 'Order changed while sending the offer, try again' });
+    }
 
     res.json({
-      message: 'Delivery agent assigned successfully',
-      order
+      message: 'Offer sent to delivery agent',
+      offer: result.offer,
+      order: result.order
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/dispatch:
+ *   post:
+ *     summary: Re-run automatic dispatch for an order (Admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reassign:
+ *                 type: boolean
+ *                 description: Offer the order to another agent; the current agent keeps it until someone accepts, or if nobody else is free
+ *     responses:
+ *       200:
+ *         description: Dispatch result with the offer and the best candidate, if any
+ *       409:
+ *         description: Order already has a delivery agent or an open offer
+ */
+router.post('/:id/dispatch', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { reassign = false } = req.body;
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!DISPATCH_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        message: `Orders can only be dispatched while ${DISPATCH_STATUSES.join(', ')}`
+      });
+    }
+
+    if (order.deliveryAgent && !reassign) {
+      return res.status(409).json({ message: 'Order already has a delivery agent' });
+    }
+
+    if (order.dispatch.status === 'offered') {
+      return res.status(409).json({ message: 'Order is waiting for an agent to answer an offer' });
+    }
+
+    const result = await dispatchOrder(order, { restart: true, reassign });
+    await result.order.populate('deliveryAgent', 'fullName mobile');
+
+    res.json({
+      message: result.offered ? 'Order offered to a delivery agent' : 'No delivery agent is free right now',
+      offered: result.offered,
+      offer: result.offer,
+      candidate: result.candidate && {
+        agent: result.candidate.agent._id,
+        distanceKm: result.candidate.distanceKm,
+        activeOrders: result.candidate.activeOrders,
+        pendingOffers: result.candidate.pendingOffers,
+        rating: result.candidate.rating,
+        score: result.candidate.score
+      },
+      order: result.order
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -0,0 +1,186 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { getPaymentProvider } = require('../services/payments');
+const { submitRefund } = require('../services/refunds');
+const { releaseOrderStock } = require('../services/inventory');
+const { releaseCoupon } = require('../services/coupons');
+const { updateOrderEta } = require('../services/eta');
+
+const router = express.Router();
+
+// Whether an event that changed nothing was for a known payment (a replay) or an unknown one
+const alreadyHandled = async (filter, message) => {
+  const exists = await Order.exists(filter);
+  return exists ? { handled: true } : { handled: false, message };
+};
+
+/*
+ * Each handler claims its state change with a conditional update inside a transaction,
+ * so replayed or concurrent events, or a cancellation running at the same time, apply it only once.
+ */
+const handlePaymentSucceeded = async (event) => {
+  let order = null;
+  let refund = null;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      refund = null;
+      order = await Order.findOneAndUpdate(
+        { paymentIntentId: event.paymentIntentId, paymentStatus: { $in: ['pending', 'failed'] } },
+        { paymentStatus: 'paid' },
+        { new: true, session }
+      );
+      if (!order) return;
+
+      if (order.status === 'pending_payment') {
+        order.transitionTo(order.scheduledFor ? 'scheduled' : 'placed', null, 'Payment received');
+        await updateOrderEta(order);
+      } else if (order.status === 'cancelled') {
+        // Paid after the order was cancelled: give the money back in full
+        refund = new Refund({
+          order: order._id,
+          customer: order.customer,
+          amount: order.finalAmount,
+          paymentMethod: order.paymentMethod,
+          reason: 'Payment received for cancelled order'
+        });
+        await refund.save({ session });
+        order.paymentStatus = 'refunded';
+      }
+
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!order) {
+    return alreadyHandled({ paymentIntentId: event.paymentIntentId }, 'Order not found');
+  }
+
+  if (refund) {
+    try {
+      await submitRefund(refund, order);
+    } catch (error) {
+      // The refund stays pending and is sent again by the refund retrier
+      console.error('Refund submission error:', error);
+    }
+  }
+
+  return { handled: true };
+};
+
+const handlePaymentFailed = async (event) => {
+  let order = null;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findOneAndUpdate(
+        { paymentIntentId: event.paymentIntentId, paymentStatus: 'pending' },
+        { paymentStatus: 'failed' },
+        { new: true, session }
+      );
+      if (!order) return;
+
+      if (order.status === 'pending_payment') {
+        order.transitionTo('cancelled', null, event.reason || 'Payment failed');
+        await releaseOrderStock(order, session);
+        await releaseCoupon(order, session);
+      }
+
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!order) {
+    return alreadyHandled({ paymentIntentId: event.paymentIntentId }, 'Order not found');
+  }
+
+  return { handled: true };
+};
+
+const handleRefundUpdated = async (event, succeeded) => {
+  const refund = await Refund.findOneAndUpdate(
+    { providerRefundId: event.refundId, status: 'pending' },
+    { status: succeeded ? 'processed' : 'failed' },
+    { new: true }
+  );
+
+  if (!refund) {
+    const exists = await Refund.exists({ providerRefundId: event.refundId });
+    return exists ? { handled: true } : { handled: false, message: 'Refund not found' };
+  }
+
+  // A failed refund leaves the customer's money with us
+  if (!succeeded) {
+    await Order.findByIdAndUpdate(refund.order, { paymentStatus: 'paid' });
+  }
+
+  return { handled: true };
+};
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Payment provider webhook
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: x-payment-signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event processed
+ *       400:
+ *         description: Invalid signature or event
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    const signature = req.header('x-payment-signature');
+
+    if (!provider.verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    const event = provider.parseWebhookEvent(req.body);
+    let result;
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        result = await handlePaymentSucceeded(event);
+        break;
+      case 'payment.failed':
+        result = await handlePaymentFailed(event);
+        break;
+      case 'refund.succeeded':
+        result = await handleRefundUpdated(event, true);
+        break;
+      case 'refund.failed':
+        result = await handleRefundUpdated(event, false);
+        break;
+      default:
+        // Acknowledge events we don't act on so the provider stops retrying
+        return res.json({ received: true, ignored: true });
+    }
+
+    if (!result.handled) {
+      return res.status(404).json({ message: result.message });
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const PayoutBatch = require('../models/PayoutBatch');
+const { auth, authorize } = require('../middleware/auth');
+const { validatePayoutBatch } = require('../middleware/validation');
+const { createPayoutBatch } = require('../services/earnings');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/payouts:
+ *   post:
+ *     summary: Create the payout batch for a finished week (Admin only)
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [weekStart]
+ *             properties:
+ *               weekStart:
+ *                 type: string
+ *                 format: date
+ *                 description: Monday of the week
+ *     responses:
+ *       201:
+ *         description: Payout batch created with a total per agent
+ *       409:
+ *         description: The week already has a payout batch
+ */
+router.post('/', auth, authorize('admin'), validatePayoutBatch, async (req, res) => {
+  try {
+    const batch = await createPayoutBatch(req.body.weekStart, req.user);
+
+    res.status(201).json({
+      message: 'Payout batch created successfully',
+      batch
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payouts:
+ *   get:
+ *     summary: List payout batches (Admin only)
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, settled]
+ *     responses:
+ *       200:
+ *         description: Payout batches, latest week first
+ */
+router.get('/', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const filters = {};
+
+    if (status) filters.status = status;
+
+    const batches = await PayoutBatch.find(filters)
+      .select('-agents')
+      .sort({ weekStart: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PayoutBatch.countDocuments(filters);
+
+    res.json({
+      batches,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payouts/{id}:
+ *   get:
+ *     summary: Get a payout batch with the amount per agent (Admin only)
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payout batch details
+ */
+router.get('/:id', auth, authorize('admin'), async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate('agents.agent', 'fullName mobile email');
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Payout batch not found' });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payouts/{id}/settle:
+ *   post:
+ *     summary: Mark a payout batch as paid (Admin only)
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reference:
+ *                 type: string
+ *                 description: Bank or transfer reference
+ *     responses:
+ *       200:
+ *         description: Payout batch settled
+ *       409:
+ *         description: Payout batch is already settled
+ */
+router.post('/:id/settle', auth, authorize('admin'), async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Payout batch not found' });
+    }
+
+    if (batch.status === 'settled') {
+      return res.status(409).json({ message: 'Payout batch is already settled' });
+    }
+
+    batch.status = 'settled';
+    batch.settledAt = new Date();
+    batch.settledBy = req.user._id;
+    batch.reference = req.body.reference;
+    await batch.save();
+
+    res.json({
+      message: 'Payout batch settled',
+      batch
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
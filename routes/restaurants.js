@@ -1,11 +1,50 @@
 const express = require('express');
 const Restaurant = require('../models/Restaurant');
 const MenuItem = require('../models/MenuItem');
-const { auth, authorize } = require('../middleware/auth');
-const { validateRestaurant } = require('../middleware/validation');
+const { auth, optionalAuth, authorize } = require('../middleware/auth');
+const {
+  validateRestaurant,
+  validateStockUpdate,
+  validateSchedule,
+  validatePause
+} = require('../middleware/validation');
+const { getRestaurantAvailability } = require('../services/availability');
+const { roundDistance, checkDeliveryZone, toRestaurantGeoFields } = require('../services/deliveryZone');
+const deliveryConfig = require('../config/delivery');
+const { hasCoordinates, toGeoPoint } = require('../utils/geo');
+const { stockChangeUpdate } = require('../services/inventory');
+const { getGroupedMenu } = require('../services/menuCategories');
+const { getActiveDiscountRules, withDiscountedPrice } = require('../services/discounts');
+const { getDietaryFilters, toMenuItemQuery } = require('../services/dietary');
+const { storeImage, removeImages } = require('../services/images');
+const { parseMenuFile, importMenu, exportMenu, FORMATS } = require('../services/menuTransfer');
+const { estimateRestaurantEtas } = require('../services/eta');
+const { uploadImage, uploadMenuFile } = require('../middleware/upload');
 
 const router = express.Router();
 
+// Add each restaurant's current delivery estimate, to point when known
+const withEtas = async (restaurants, point) => {
+  const etas = await estimateRestaurantEtas(restaurants, { point });
+  return restaurants.map(restaurant => ({ ...restaurant, eta: etas.get(restaurant._id.toString()) }));
+};
+
+const byEta = (a, b) => a.eta.minutes - b.eta.minutes;
+
+// Restaurant JSON with its computed open state, next opening time and any reasons it cannot take orders.
+// The stored manual switch is returned as acceptingOrders; isOpen is computed from the schedule.
+const withAvailability = (restaurant) => {
+  const availability = getRestaurantAvailability(restaurant);
+  const { isOpen: acceptingOrders, ...data } = restaurant.toObject();
+  return {
+    ...data,
+    acceptingOrders,
+    isOpen: availability.isOpenNow,
+    nextOpeningTime: availability.nextOpeningTime,
+    availability
+  };
+};
+
 /**
  * @swagger
  * /api/restaurants:
@@ -21,7 +60,7 @@ const router = express.Router();
 router.post('/', auth, authorize('restaurant_owner'), validateRestaurant, async (req, res) => {
   try {
     const restaurant = new Restaurant({
-      ...req.body,
+      ...toRestaurantGeoFields(req.body),
       owner: req.user._id
     });
 
@@ -56,26 +95,152 @@ router.post('/', auth, authorize('restaurant_owner'), validateRestaurant, async
  *         name: isOpen
  *         schema:
  *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [rating, eta]
+ *         description: Best rated first (default) or fastest delivery estimate first
  *     responses:
  *       200:
- *         description: List of restaurants
+ *         description: List of restaurants with their delivery estimate (eta)
  */
 router.get('/', async (req, res) => {
   try {
-    const { cuisine, city, isOpen, page = 1, limit = 10 } = req.query;
+    const { cuisine, city, isOpen, sort = 'rating', page = 1, limit = 10 } = req.query;
     const filters = { isActive: true };
 
     if (cuisine) filters.cuisineTypes = { $in: [cuisine] };
     if (city) filters['address.city'] = new RegExp(city, 'i');
-    if (isOpen !== undefined) filters.isOpen = isOpen === 'true';
 
-    const restaurants = await Restaurant.find(filters)
-      .populate('owner', 'fullName')
-      .sort({ 'rating.average': -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    let restaurants;
+    let total;
 
-    const total = await Restaurant.countDocuments(filters);
+    if (isOpen !== undefined || sort === 'eta') {
+      // Open state and estimates depend on the current time, so filter, sort and paginate after computing them
+      let matching = (await Restaurant.find(filters)
+        .populate('owner', 'fullName')
+        .sort({ 'rating.average': -1 }))
+        .map(withAvailability);
+
+      if (isOpen !== undefined) {
+        const wantOpen = isOpen === 'true';
+        matching = matching.filter(restaurant => restaurant.isOpen === wantOpen);
+      }
+      matching = await withEtas(matching);
+      if (sort === 'eta') matching.sort(byEta);
+
+      total = matching.length;
+      restaurants = matching.slice((page - 1) * limit, page * limit);
+    } else {
+      restaurants = await withEtas((await Restaurant.find(filters)
+        .populate('owner', 'fullName')
+        .sort({ 'rating.average': -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit))
+        .map(withAvailability));
+
+      total = await Restaurant.countDocuments(filters);
+    }
+
+    res.json({
+      restaurants,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/nearby:
+ *   get:
+ *     summary: Get restaurants near a location, closest first
+ *     tags: [Restaurants]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxDistanceKm
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: cuisine
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [distance, eta]
+ *         description: Closest first (default) or fastest delivery estimate to the location first
+ *     responses:
+ *       200:
+ *         description: Restaurants with distanceKm, deliversHere and their delivery estimate (eta)
+ *       400:
+ *         description: Missing or invalid coordinates
+ */
+router.get('/nearby', async (req, res) => {
+  try {
+    const { cuisine, sort = 'distance', page = 1, limit = 10 } = req.query;
+    const point = { latitude: Number(req.query.lat), longitude: Number(req.query.lng) };
+
+    if (!hasCoordinates(point) || Math.abs(point.latitude) > 90 || Math.abs(point.longitude) > 180) {
+      return res.status(400).json({ message: 'Valid lat and lng query parameters are required' });
+    }
+
+    const maxDistanceKm = Number(req.query.maxDistanceKm) || deliveryConfig.nearbyMaxDistanceKm;
+    const query = { isActive: true };
+    if (cuisine) query.cuisineTypes = { $in: [cuisine] };
+
+    const [result] = await Restaurant.aggregate([
+      {
+        $geoNear: {
+          near: toGeoPoint(point),
+          key: 'location',
+          distanceField: 'distance',
+          maxDistance: maxDistanceKm * 1000,
+          spherical: true,
+          query
+        }
+      },
+      {
+        $facet: {
+          // Estimates are computed per restaurant, so sorting by them needs every match
+          restaurants: sort === 'eta'
+            ? [{ $sort: { distance: 1 } }]
+            : [{ $skip: (page - 1) * limit }, { $limit: limit * 1 }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const found = result.restaurants.map(doc => Restaurant.hydrate(doc));
+    await Restaurant.populate(found, { path: 'owner', select: 'fullName' });
+
+    let restaurants = await withEtas(found.map((restaurant, index) => ({
+      ...withAvailability(restaurant),
+      // $geoNear reports metres
+      distanceKm: roundDistance(result.restaurants[index].distance / 1000),
+      deliversHere: checkDeliveryZone(restaurant, { coordinates: point }).deliverable
+    })), point);
+    if (sort === 'eta') {
+      restaurants = restaurants.sort(byEta).slice((page - 1) * limit, page * limit);
+    }
+    const total = result.total.length > 0 ? result.total[0].count : 0;
 
     res.json({
       restaurants,
@@ -115,7 +280,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
 
-    res.json(restaurant);
+    res.json(withAvailability(restaurant));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -145,12 +310,25 @@ router.put('/:id', auth, authorize('restaurant_owner'), async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Uploaded files, the schedule and pauses are managed through their own endpoints
+    const { thumbnail, imageKeys, schedule, pausedUntil, ...changes } = req.body;
+    const updates = toRestaurantGeoFields(changes);
+    const replacesUploadedImage = updates.image !== undefined && updates.image !== restaurant.image;
+    if (replacesUploadedImage) {
+      updates.thumbnail = null;
+      updates.imageKeys = [];
+    }
+
     const updatedRestaurant = await Restaurant.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
+    if (replacesUploadedImage) {
+      await removeImages(restaurant.imageKeys);
+    }
+
     res.json({
       message: 'Restaurant updated successfully',
       restaurant: updatedRestaurant
@@ -160,32 +338,527 @@ router.put('/:id', auth, authorize('restaurant_owner'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/restaurants/{id}/image:
+ *   post:
+ *     summary: Upload restaurant image (Owner only)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Image uploaded
+ */
+router.post('/:id/image', auth, authorize('restaurant_owner'), uploadImage('image'), async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const stored = await storeImage(req.file.buffer, `restaurants/${restaurant._id}`);
+    const oldKeys = [...restaurant.imageKeys];
+
+    restaurant.image = stored.image;
+    restaurant.thumbnail = stored.thumbnail;
+    restaurant.imageKeys = stored.keys;
+    await restaurant.save();
+
+    await removeImages(oldKeys);
+
+    res.json({
+      message: 'Image uploaded successfully',
+      image: restaurant.image,
+      thumbnail: restaurant.thumbnail
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/image:
+ *   delete:
+ *     summary: Remove restaurant image (Owner only)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Image removed
+ */
+router.delete('/:id/image', auth, authorize('restaurant_owner'), async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const oldKeys = [...restaurant.imageKeys];
+
+    restaurant.image = undefined;
+    restaurant.thumbnail = undefined;
+    restaurant.imageKeys = [];
+    await restaurant.save();
+
+    await removeImages(oldKeys);
+
+    res.json({ message: 'Image removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/schedule:
+ *   put:
+ *     summary: Replace weekly opening hours and dated exceptions (Owner only)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               schedule:
+ *                 type: object
+ *                 properties:
+ *                   weekly:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         day:
+ *                           type: string
+ *                           enum: [sun, mon, tue, wed, thu, fri, sat]
+ *                         intervals:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               open:
+ *                                 type: string
+ *                               close:
+ *                                 type: string
+ *                   exceptions:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         date:
+ *                           type: string
+ *                           example: "2026-12-25"
+ *                         closed:
+ *                           type: boolean
+ *                         intervals:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         note:
+ *                           type: string
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ */
+router.put('/:id/schedule', auth, authorize('restaurant_owner'), validateSchedule, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    restaurant.schedule = {
+      weekly: req.body.schedule.weekly || [],
+      exceptions: req.body.schedule.exceptions || []
+    };
+    if (req.body.timezone) restaurant.timezone = req.body.timezone;
+    await restaurant.save();
+
+    const { isOpen, nextOpeningTime } = withAvailability(restaurant);
+
+    res.json({
+      message: 'Schedule updated successfully',
+      schedule: restaurant.schedule,
+      timezone: restaurant.timezone,
+      isOpen,
+      nextOpeningTime
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/pause:
+ *   post:
+ *     summary: Pause new orders for a number of minutes (Owner only)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [minutes]
+ *             properties:
+ *               minutes:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Orders paused
+ */
+router.post('/:id/pause', auth, authorize('restaurant_owner'), validatePause, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    restaurant.pausedUntil = new Date(Date.now() + req.body.minutes * 60 * 1000);
+    await restaurant.save();
+
+    const { isOpen, nextOpeningTime } = withAvailability(restaurant);
+
+    res.json({
+      message: 'Orders paused',
+      pausedUntil: restaurant.pausedUntil,
+      isOpen,
+      nextOpeningTime
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/pause:
+ *   delete:
+ *     summary: Resume taking orders before a pause ends (Owner only)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Orders resumed
+ */
+router.delete('/:id/pause', auth, authorize('restaurant_owner'), async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    restaurant.pausedUntil = undefined;
+    await restaurant.save();
+
+    const { isOpen, nextOpeningTime } = withAvailability(restaurant);
+
+    res.json({
+      message: 'Orders resumed',
+      isOpen,
+      nextOpeningTime
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/restaurants/{id}/menu:
  *   get:
- *     summary: Get restaurant menu
+ *     summary: Get restaurant menu grouped by category
+ *     tags: [Restaurants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isAvailable
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Show the menu served at this time instead of now
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *         description: Include categories outside their serving hours or switched off
+ *       - in: query
+ *         name: vegOnly
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: excludeAllergens
+ *         schema:
+ *           type: string
+ *           example: nuts,dairy
+ *       - in: query
+ *         name: diet
+ *         schema:
+ *           type: string
+ *           example: vegan
+ *         description: Diet labels every item must carry
+ *       - in: query
+ *         name: maxCalories
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: ignorePreferences
+ *         schema:
+ *           type: boolean
+ *         description: Do not apply the signed-in customer's saved dietary preferences
+ *     responses:
+ *       200:
+ *         description: Categories in display order, each with its items, and the dietary filters applied
+ */
+router.get('/:id/menu', optionalAuth, async (req, res) => {
+  try {
+    const { category, isAvailable, all } = req.query;
+
+    const restaurant = await Restaurant.findById(req.params.id);
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) {
+      return res.status(400).json({ message: 'at must be a valid date-time' });
+    }
+
+    const dietaryFilters = getDietaryFilters(req.query, req.user);
+
+    const itemFilters = toMenuItemQuery(dietaryFilters);
+    if (category) itemFilters.category = category;
+    if (isAvailable !== undefined) itemFilters.isAvailable = isAvailable === 'true';
+    if (dietaryFilters.vegOnly) itemFilters.isVegetarian = true;
+
+    const [groups, discountRules] = await Promise.all([
+      getGroupedMenu(restaurant, { at, itemFilters, includeUnavailable: all === 'true' }),
+      getActiveDiscountRules(restaurant, at)
+    ]);
+
+    // Items show their list price and the price after any running discount
+    const categories = groups.map(group => ({
+      ...group,
+      items: group.items.map(item => withDiscountedPrice(item, discountRules))
+    }));
+
+    res.json({ at, dietaryFilters, categories });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/menu/import:
+ *   post:
+ *     summary: Import menu items from a CSV or JSON file (Owner only)
+ *     description: Items are matched to existing ones by name and updated, others are created. Nothing is saved if any row is invalid.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate the file and report what would change without saving
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *         description: Defaults to the file extension
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Import summary with created and updated counts
+ *       400:
+ *         description: Unreadable file, or per-row validation errors
+ */
+router.post('/:id/menu/import', auth, authorize('restaurant_owner'), uploadMenuFile('file'), async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const rows = parseMenuFile(req.file, req.query.format);
+    const result = await importMenu(restaurant, rows, { dryRun: req.query.dryRun === 'true' });
+
+    if (!result.dryRun && result.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Some rows are invalid. No items were imported.',
+        ...result
+      });
+    }
+
+    res.json({
+      message: result.dryRun ? 'Menu file checked' : 'Menu imported successfully',
+      ...result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/menu/export:
+ *   get:
+ *     summary: Export the menu as CSV or JSON for offline editing (Owner only)
  *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
  *     responses:
  *       200:
- *         description: Restaurant menu items
+ *         description: Menu file download
  */
-router.get('/:id/menu', async (req, res) => {
+router.get('/:id/menu/export', auth, authorize('restaurant_owner'), async (req, res) => {
   try {
-    const { category, isAvailable } = req.query;
-    const filters = { restaurant: req.params.id };
+    const { format = 'json' } = req.query;
+
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${FORMATS.join(', ')}` });
+    }
+
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    if (category) filters.category = category;
-    if (isAvailable !== undefined) filters.isAvailable = isAvailable === 'true';
+    const file = await exportMenu(restaurant, format);
 
-    const menuItems = await MenuItem.find(filters)
-      .sort({ category: 1, name: 1 });
+    // Content type follows the file extension
+    res.attachment(file.filename);
+    res.send(file.body);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/restaurants/{id}/stock:
+ *   get:
+ *     summary: Get stock levels for tracked menu items (Owner only)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tracked menu items with stock levels
+ */
+router.get('/:id/stock', auth, authorize('restaurant_owner'), async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const menuItems = await MenuItem.find({ restaurant: req.params.id, 'stock.isTracked': true })
+      .select('name category isAvailable stock')
+      .sort({ 'stock.quantity': 1, name: 1 });
 
     res.json(menuItems);
   } catch (error) {
@@ -193,4 +866,82 @@ router.get('/:id/menu', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/restaurants/{id}/stock:
+ *   put:
+ *     summary: Adjust stock for several menu items (Owner only)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     menuItemId:
+ *                       type: string
+ *                     isTracked:
+ *                       type: boolean
+ *                     quantity:
+ *                       type: integer
+ *                       description: Set stock to this value
+ *                     delta:
+ *                       type: integer
+ *                       description: Add to (or subtract from) the current stock
+ *                     dailyResetQuantity:
+ *                       type: integer
+ *                     lowStockThreshold:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Stock updated
+ */
+router.put('/:id/stock', auth, authorize('restaurant_owner'), validateStockUpdate, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    if (restaurant.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const updated = [];
+    const notFound = [];
+
+    for (const change of req.body.items) {
+      const menuItem = await MenuItem.findOneAndUpdate(
+        { _id: change.menuItemId, restaurant: req.params.id },
+        stockChangeUpdate(change),
+        { new: true }
+      );
+
+      if (!menuItem) {
+        notFound.push(change.menuItemId);
+        continue;
+      }
+
+      updated.push(menuItem);
+    }
+
+    res.json({
+      message: 'Stock updated successfully',
+      menuItems: updated,
+      notFound
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
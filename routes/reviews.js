@@ -2,6 +2,7 @@ const express = require('express');
 const Review = require('../models/Review');
 const Order = require('../models/Order');
 const Restaurant = require('../models/Restaurant');
+const User = require('../models/User');
 const { auth, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -55,6 +56,7 @@ router.post('/', auth, authorize('customer'), async (req, res) => {
       customer: req.user._id,
       restaurant: order.restaurant,
       order: orderId,
+      deliveryAgent: order.deliveryAgent,
       restaurantRating,
       deliveryRating,
       restaurantComment,
@@ -72,6 +74,17 @@ router.post('/', auth, authorize('customer'), async (req, res) => {
       'rating.count': reviews.length
     });
 
+    // Update delivery agent rating, used when dispatching orders
+    if (order.deliveryAgent && deliveryRating) {
+      const agentReviews = await Review.find({ deliveryAgent: order.deliveryAgent, deliveryRating: { $ne: null } });
+      const avgAgentRating = agentReviews.reduce((sum, r) => sum + r.deliveryRating, 0) / agentReviews.length;
+
+      await User.findByIdAndUpdate(order.deliveryAgent, {
+        'agentRating.average': Math.round(avgAgentRating * 10) / 10,
+        'agentRating.count': agentReviews.length
+      });
+    }
+
     await review.populate('customer', 'fullName');
 
     res.status(201).json({
@@ -0,0 +1,93 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { search } = require('../services/search');
+const { getDietaryFilters } = require('../services/dietary');
+const config = require('../config/search');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search restaurants and dishes
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cuisine
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: vegOnly
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: priceRange
+ *         schema:
+ *           type: string
+ *           example: 100-250
+ *       - in: query
+ *         name: excludeAllergens
+ *         schema:
+ *           type: string
+ *           example: nuts,dairy
+ *       - in: query
+ *         name: diet
+ *         schema:
+ *           type: string
+ *           example: vegan
+ *       - in: query
+ *         name: maxCalories
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: ignorePreferences
+ *         schema:
+ *           type: boolean
+ *         description: Do not apply the signed-in customer's saved dietary preferences
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Restaurant and dish hits ranked by relevance, with facet counts
+ *       400:
+ *         description: Query too short or unknown dietary filter
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { q = '', cuisine, priceRange, limit = 10 } = req.query;
+
+    if (typeof q !== 'string' || q.trim().length < config.minQueryLength) {
+      return res.status(400).json({
+        message: `Search query must be at least ${config.minQueryLength} characters`
+      });
+    }
+
+    const dietaryFilters = getDietaryFilters(req.query, req.user);
+
+    const results = await search(q, {
+      cuisine,
+      vegOnly: dietaryFilters.vegOnly,
+      priceRange,
+      limit: Number(limit) || 10,
+      dietaryFilters
+    });
+
+    res.json({
+      query: q,
+      dietaryFilters,
+      ...results
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
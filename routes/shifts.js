@@ -0,0 +1,237 @@
+const express = require('express');
+const Shift = require('../models/Shift');
+const { auth, authorize } = require('../middleware/auth');
+const { validateShift } = require('../middleware/validation');
+const { bookShift, checkIn, checkOut, getRoster } = require('../services/shifts');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   post:
+ *     summary: Book a shift in a zone (Delivery Agent only)
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [zone, startsAt, endsAt]
+ *             properties:
+ *               zone:
+ *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Shift booked
+ *       409:
+ *         description: Overlaps another shift of the agent, or the zone is fully booked
+ */
+router.post('/', auth, authorize('delivery_agent'), validateShift, async (req, res) => {
+  try {
+    const shift = await bookShift(req.user, req.body);
+    await shift.populate('zone', 'name city');
+
+    res.status(201).json({
+      message: 'Shift booked successfully',
+      shift
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/me:
+ *   get:
+ *     summary: Get the delivery agent's shifts
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only shifts that have not ended
+ *     responses:
+ *       200:
+ *         description: Agent's shifts, latest first (soonest first for upcoming)
+ */
+router.get('/me', auth, authorize('delivery_agent'), async (req, res) => {
+  try {
+    const { upcoming, page = 1, limit = 10 } = req.query;
+    const filters = { agent: req.user._id };
+
+    if (upcoming === 'true') {
+      filters.status = { $in: ['booked', 'checked_in'] };
+      filters.endsAt = { $gt: new Date() };
+    }
+
+    const shifts = await Shift.find(filters)
+      .populate('zone', 'name city')
+      .sort({ startsAt: upcoming === 'true' ? 1 : -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Shift.countDocuments(filters);
+
+    res.json({
+      shifts,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/roster:
+ *   get:
+ *     summary: Agents on shift now with their utilisation (Admin only)
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: zone
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Roster summary and one entry per agent on shift
+ */
+router.get('/roster', auth, authorize('admin'), async (req, res) => {
+  try {
+    res.json(await getRoster({ zone: req.query.zone }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}/check-in:
+ *   post:
+ *     summary: Check in to a booked shift (Delivery Agent only)
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Checked in; the agent is available for orders
+ */
+router.post('/:id/check-in', auth, authorize('delivery_agent'), async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    if (shift.agent.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await checkIn(shift);
+
+    res.json({
+      message: 'Checked in successfully',
+      shift
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}/check-out:
+ *   post:
+ *     summary: Check out of a shift (Delivery Agent only)
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Checked out; the agent gets no new orders unless on another shift
+ */
+router.post('/:id/check-out', auth, authorize('delivery_agent'), async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    if (shift.agent.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await checkOut(shift);
+
+    res.json({
+      message: 'Checked out successfully',
+      shift
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   delete:
+ *     summary: Cancel a booked shift before it starts (Delivery Agent only)
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shift cancelled
+ */
+router.delete('/:id', auth, authorize('delivery_agent'), async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    if (shift.agent.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (shift.status !== 'booked' || shift.startsAt <= new Date()) {
+      return res.status(400).json({ message: 'Only shifts that have not started can be cancelled' });
+    }
+
+    shift.status = 'cancelled';
+    await shift.save();
+
+    res.json({
+      message: 'Shift cancelled successfully',
+      shift
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
+const { validateDietaryPreferences } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -39,7 +40,8 @@ router.get('/me', auth, async (req, res) => {
  */
 router.put('/me', auth, async (req, res) => {
   try {
-    const allowedUpdates = ['fullName', 'mobile', 'addresses', 'isAvailable', 'currentLocation'];
+    // Agent availability follows shifts (see /api/shifts and /api/agents/me/status)
+    const allowedUpdates = ['fullName', 'mobile', 'addresses', 'currentLocation'];
     const updates = {};
     
     allowedUpdates.forEach(field => {
@@ -63,4 +65,61 @@ router.put('/me', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/me/dietary-preferences:
+ *   put:
+ *     summary: Save dietary preferences applied to menus and search (Customer only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vegOnly:
+ *                 type: boolean
+ *               excludeAllergens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: nuts
+ *               dietLabels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: vegan
+ *               maxCalories:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Dietary preferences saved
+ */
+router.put('/me/dietary-preferences', auth, authorize('customer'), validateDietaryPreferences, async (req, res) => {
+  try {
+    // Only the fields sent are changed
+    const updates = {};
+    Object.keys(req.body).forEach(field => {
+      updates[`dietaryPreferences.${field}`] = req.body[field];
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    res.json({
+      message: 'Dietary preferences saved',
+      dietaryPreferences: user.dietaryPreferences
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,126 @@
+const express = require('express');
+const Zone = require('../models/Zone');
+const { auth, authorize } = require('../middleware/auth');
+const { validateZone } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/zones:
+ *   get:
+ *     summary: List active delivery zones agents can book shifts in
+ *     tags: [Zones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery zones
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const filters = { isActive: true };
+    if (req.query.city) filters.city = req.query.city;
+
+    const zones = await Zone.find(filters).sort({ city: 1, name: 1 });
+    res.json(zones);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/zones:
+ *   post:
+ *     summary: Create a delivery zone (Admin only)
+ *     tags: [Zones]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, city, center, radiusKm]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               center:
+ *                 type: object
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *               radiusKm:
+ *                 type: number
+ *               maxAgents:
+ *                 type: integer
+ *                 description: Most agents booked at the same time
+ *     responses:
+ *       201:
+ *         description: Zone created
+ */
+router.post('/', auth, authorize('admin'), validateZone, async (req, res) => {
+  try {
+    const zone = new Zone(req.body);
+    await zone.save();
+
+    res.status(201).json({
+      message: 'Zone created successfully',
+      zone
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A zone with this name already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/zones/{id}:
+ *   put:
+ *     summary: Update a delivery zone (Admin only)
+ *     tags: [Zones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Zone updated
+ */
+router.put('/:id', auth, authorize('admin'), validateZone, async (req, res) => {
+  try {
+    const zone = await Zone.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!zone) {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+
+    res.json({
+      message: 'Zone updated successfully',
+      zone
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A zone with this name already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
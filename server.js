@@ -10,13 +10,29 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const restaurantRoutes = require('./routes/restaurants');
+const menuCategoryRoutes = require('./routes/menuCategories');
 const menuRoutes = require('./routes/menu');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const reviewRoutes = require('./routes/reviews');
 const agentRoutes = require('./routes/agents');
+const couponRoutes = require('./routes/coupons');
+const discountRoutes = require('./routes/discounts');
+const payoutRoutes = require('./routes/payouts');
+const zoneRoutes = require('./routes/zones');
+const shiftRoutes = require('./routes/shifts');
+const paymentRoutes = require('./routes/payments');
+const searchRoutes = require('./routes/search');
 
 const errorHandler = require('./middleware/errorHandler');
+const uploadConfig = require('./config/uploads');
+const { startScheduledOrderSweeper } = require('./jobs/scheduledOrders');
+const { startDailyStockReset } = require('./jobs/stockReset');
+const { startDispatchRetrier } = require('./jobs/dispatch');
+const { startShiftSweeper } = require('./jobs/shifts');
+const { startOfferExpirer } = require('./jobs/offers');
+const { startRefundRetrier } = require('./jobs/refunds');
+const { runMigrations } = require('./jobs/migrations');
 
 const app = express();
 
@@ -31,16 +47,35 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parser middleware (raw body is kept for webhook signature checks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded images (local disk storage)
+app.use(uploadConfig.publicPath, express.static(uploadConfig.localDir, {
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/delivery-app', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected'))
+.then(() => {
+  console.log('MongoDB connected');
+  runMigrations().catch(err => console.error('Migration error:', err));
+  startScheduledOrderSweeper();
+  startDailyStockReset();
+  startDispatchRetrier();
+  startShiftSweeper();
+  startOfferExpirer();
+  startRefundRetrier();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Swagger configuration
@@ -68,12 +103,20 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/restaurants/:id/categories', menuCategoryRoutes);
 app.use('/api/restaurants', restaurantRoutes);
 app.use('/api/menu', menuRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/agents', agentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/discounts', discountRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/zones', zoneRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,124 @@
+const { isOpenAt, getNextOpeningTime } = require('./openingHours');
+const { checkDeliveryZone } = require('./deliveryZone');
+
+// Machine-readable reasons a restaurant cannot take an order
+const REASONS = {
+  RESTAURANT_INACTIVE: 'RESTAURANT_INACTIVE',
+  RESTAURANT_CLOSED: 'RESTAURANT_CLOSED',
+  ORDERS_PAUSED: 'ORDERS_PAUSED',
+  OUTSIDE_OPENING_HOURS: 'OUTSIDE_OPENING_HOURS',
+  BELOW_MINIMUM_ORDER: 'BELOW_MINIMUM_ORDER',
+  OUTSIDE_DELIVERY_ZONE: 'OUTSIDE_DELIVERY_ZONE'
+};
+
+const isPaused = (restaurant, now) => !!restaurant.pausedUntil && restaurant.pausedUntil > now;
+
+/*
+ * Current open state of a restaurant from its schedule, pause and manual switch.
+ * Returns { isOpen, nextOpeningTime } where nextOpeningTime is null while open,
+ * or when it cannot be known (inactive or switched off by hand).
+ */
+const getOpeningState = (restaurant, now = new Date()) => {
+  if (!restaurant.isActive || !restaurant.isOpen) {
+    return { isOpen: false, nextOpeningTime: null };
+  }
+
+  if (isPaused(restaurant, now)) {
+    return { isOpen: false, nextOpeningTime: getNextOpeningTime(restaurant, restaurant.pausedUntil) };
+  }
+
+  if (isOpenAt(restaurant, now)) {
+    return { isOpen: true, nextOpeningTime: null };
+  }
+
+  return { isOpen: false, nextOpeningTime: getNextOpeningTime(restaurant, now) };
+};
+
+/*
+ * Check whether a restaurant can take an order.
+ * Options:
+ *   at: moment the order is for (defaults to now)
+ *   scheduled: the order is for a later slot, so the manual switch and pauses do not apply
+ *   subtotal: cart subtotal to check against the minimum order (skipped when not given)
+ *   deliveryAddress: address to check against the delivery zone (skipped when not given)
+ * Returns { available, isOpenNow, nextOpeningTime, reasons: [{ code, message, ... }] }.
+ */
+const getRestaurantAvailability = (restaurant, { at = new Date(), scheduled = false, subtotal, deliveryAddress } = {}) => {
+  const now = new Date();
+  const reasons = [];
+  const openingState = getOpeningState(restaurant, now);
+
+  if (!restaurant.isActive) {
+    reasons.push({
+      code: REASONS.RESTAURANT_INACTIVE,
+      message: 'Restaurant is not accepting orders'
+    });
+  }
+
+  if (!scheduled && !restaurant.isOpen) {
+    reasons.push({
+      code: REASONS.RESTAURANT_CLOSED,
+      message: 'Restaurant is currently closed'
+    });
+  }
+
+  if (!scheduled && isPaused(restaurant, now)) {
+    reasons.push({
+      code: REASONS.ORDERS_PAUSED,
+      message: 'Restaurant has paused new orders for a while',
+      pausedUntil: restaurant.pausedUntil
+    });
+  }
+
+  if (!isOpenAt(restaurant, at)) {
+    const nextOpeningTime = getNextOpeningTime(restaurant, at);
+    reasons.push({
+      code: REASONS.OUTSIDE_OPENING_HOURS,
+      message: nextOpeningTime
+        ? `Restaurant is closed. It opens next at ${nextOpeningTime.toISOString()}`
+        : 'Restaurant is closed',
+      nextOpeningTime
+    });
+  }
+
+  const minimumOrder = restaurant.minimumOrder || 0;
+  if (subtotal !== undefined && subtotal < minimumOrder) {
+    reasons.push({
+      code: REASONS.BELOW_MINIMUM_ORDER,
+      message: `Minimum order amount is ${minimumOrder}`,
+      minimumOrder,
+      shortBy: minimumOrder - subtotal
+    });
+  }
+
+  if (deliveryAddress !== undefined) {
+    const zone = checkDeliveryZone(restaurant, deliveryAddress);
+    if (!zone.deliverable) {
+      reasons.push({
+        code: REASONS.OUTSIDE_DELIVERY_ZONE,
+        message: zone.message,
+        distanceKm: zone.distanceKm
+      });
+    }
+  }
+
+  return {
+    available: reasons.length === 0,
+    isOpenNow: openingState.isOpen,
+    nextOpeningTime: openingState.nextOpeningTime,
+    reasons
+  };
+};
+
+// Error response body for an unavailable restaurant
+const toRejection = (availability) => ({
+  message: availability.reasons[0].message,
+  reasons: availability.reasons
+});
+
+module.exports = {
+  REASONS,
+  getOpeningState,
+  getRestaurantAvailability,
+  toRejection
+};
@@ -0,0 +1,29 @@
+const policy = require('../config/cancellation');
+
+// Work out whether an order can be cancelled by the given user and on what terms
+const getCancellationTerms = (order, user) => {
+  if (!order.canTransitionTo('cancelled')) {
+    return {
+      allowed: false,
+      message: `Order cannot be cancelled once it is ${order.status}`
+    };
+  }
+
+  const feePercent = user.role === 'customer'
+    ? (policy.feePercentByStatus[order.status] || 0)
+    : 0;
+  const fee = Math.round(order.finalAmount * feePercent / 100);
+
+  // Only money that was actually collected is refunded
+  const refundable = policy.refundablePaymentMethods.includes(order.paymentMethod) &&
+    order.paymentStatus === 'paid';
+
+  return {
+    allowed: true,
+    fee,
+    refundAmount: refundable ? order.finalAmount - fee : 0,
+    refundable
+  };
+};
+
+module.exports = { getCancellationTerms };
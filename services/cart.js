@@ -0,0 +1,222 @@
+const MenuItem = require('../models/MenuItem');
+const Restaurant = require('../models/Restaurant');
+const { resolveItemOptions } = require('./menuOptions');
+const { sumQuantities, getRemainingStock } = require('./inventory');
+const { getActiveDiscountRules, getItemDiscount, applyDiscount } = require('./discounts');
+
+/*
+ * Current prices for a cart line: the option-inclusive unit price with the best running
+ * discount applied. `selection` is the result of resolveItemOptions.
+ * Returns { price, originalPrice, basePrice, discount }.
+ */
+const priceCartLine = (menuItem, selection, discountRules) => {
+  const discount = getItemDiscount(menuItem, discountRules);
+  return {
+    price: applyDiscount(selection.unitPrice, discount),
+    originalPrice: selection.unitPrice,
+    basePrice: menuItem.price,
+    discount
+  };
+};
+
+// Running discount rules for a restaurant id
+const getRestaurantDiscountRules = async (restaurantId) => {
+  const restaurant = await Restaurant.findById(restaurantId).select('timezone');
+  return restaurant ? getActiveDiscountRules(restaurant) : [];
+};
+
+/*
+ * Re-read the menu items in an (unpopulated) cart and report lines that are out of date.
+ * Returns a list of { cartItem, menuItem, name, issue, ... } where issue is one of
+ * removed, unavailable, options_unavailable, price_changed or insufficient_stock.
+ * An empty list means the cart is current.
+ */
+const getStaleCartItems = async (cart) => {
+  const menuItems = await MenuItem.find({
+    _id: { $in: cart.items.map(item => item.menuItem) }
+  }).select('name price isAvailable optionGroups stock menuCategory');
+  const discountRules = await getRestaurantDiscountRules(cart.restaurant);
+
+  const menuItemsById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+  const changes = [];
+
+  cart.items.forEach(item => {
+    const menuItem = menuItemsById.get(item.menuItem.toString());
+
+    if (!menuItem) {
+      changes.push({ cartItem: item._id, menuItem: item.menuItem, issue: 'removed' });
+      return;
+    }
+
+    if (!menuItem.isAvailable) {
+      changes.push({ cartItem: item._id, menuItem: menuItem._id, name: menuItem.name, issue: 'unavailable' });
+      return;
+    }
+
+    const selection = resolveItemOptions(menuItem, item.options.map(option => option.option));
+    if (!selection.valid) {
+      changes.push({
+        cartItem: item._id,
+        menuItem: menuItem._id,
+        name: menuItem.name,
+        issue: 'options_unavailable',
+        detail: selection.message
+      });
+    } else {
+      // Prices change with the menu and when discounts start or end
+      const current = priceCartLine(menuItem, selection, discountRules);
+      if (current.price !== item.price) {
+        changes.push({
+          cartItem: item._id,
+          menuItem: menuItem._id,
+          name: menuItem.name,
+          issue: 'price_changed',
+          cartPrice: item.price,
+          currentPrice: current.price,
+          discount: current.discount
+        });
+      }
+    }
+  });
+
+  // Stock is checked per menu item across all of its lines
+  sumQuantities(cart.items).forEach((requested, menuItemId) => {
+    const menuItem = menuItemsById.get(menuItemId);
+    if (!menuItem || !menuItem.isAvailable) return;
+
+    const available = getRemainingStock(menuItem);
+    if (requested > available) {
+      changes.push({
+        menuItem: menuItem._id,
+        name: menuItem.name,
+        issue: 'insufficient_stock',
+        requested,
+        available
+      });
+    }
+  });
+
+  return changes;
+};
+
+/*
+ * Build cart lines from a past order using current menu prices.
+ * Items that were deleted, are unavailable, moved to another restaurant or whose
+ * options can no longer be chosen are dropped, and quantities are trimmed to the stock left.
+ * Returns { items, priceChanges, quantityChanges, droppedItems }.
+ */
+const buildCartItemsFromOrder = async (order) => {
+  const menuItems = await MenuItem.find({
+    _id: { $in: order.items.map(item => item.menuItem) }
+  }).select('name price isAvailable restaurant optionGroups stock menuCategory');
+  const discountRules = await getRestaurantDiscountRules(order.restaurant);
+
+  const menuItemsById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+  const remainingStock = new Map(menuItems.map(menuItem => [menuItem._id.toString(), getRemainingStock(menuItem)]));
+  const items = [];
+  const priceChanges = [];
+  const quantityChanges = [];
+  const droppedItems = [];
+
+  order.items.forEach(orderItem => {
+    const menuItem = menuItemsById.get(orderItem.menuItem.toString());
+
+    if (!menuItem) {
+      droppedItems.push({ menuItem: orderItem.menuItem, name: orderItem.name, reason: 'removed' });
+      return;
+    }
+
+    if (!menuItem.isAvailable || menuItem.restaurant.toString() !== order.restaurant.toString()) {
+      droppedItems.push({ menuItem: menuItem._id, name: menuItem.name, reason: 'unavailable' });
+      return;
+    }
+
+    const selection = resolveItemOptions(menuItem, orderItem.options.map(option => option.option));
+    if (!selection.valid) {
+      droppedItems.push({ menuItem: menuItem._id, name: menuItem.name, reason: 'options_unavailable' });
+      return;
+    }
+
+    const remaining = remainingStock.get(menuItem._id.toString());
+    if (remaining <= 0) {
+      droppedItems.push({ menuItem: menuItem._id, name: menuItem.name, reason: 'out_of_stock' });
+      return;
+    }
+
+    const quantity = Math.min(orderItem.quantity, remaining);
+    remainingStock.set(menuItem._id.toString(), remaining - quantity);
+    if (quantity < orderItem.quantity) {
+      quantityChanges.push({
+        menuItem: menuItem._id,
+        name: menuItem.name,
+        oldQuantity: orderItem.quantity,
+        newQuantity: quantity
+      });
+    }
+
+    const pricing = priceCartLine(menuItem, selection, discountRules);
+    if (pricing.price !== orderItem.price) {
+      priceChanges.push({
+        menuItem: menuItem._id,
+        name: menuItem.name,
+        oldPrice: orderItem.price,
+        newPrice: pricing.price
+      });
+    }
+
+    items.push({
+      menuItem: menuItem._id,
+      quantity,
+      ...pricing,
+      options: selection.options
+    });
+  });
+
+  return { items, priceChanges, quantityChanges, droppedItems };
+};
+
+/*
+ * Bring cart line prices up to date with the menu and running discounts.
+ * Lines that can no longer be ordered are left for getStaleCartItems to report.
+ * Returns the price changes made: [{ cartItem, menuItem, name, oldPrice, newPrice }].
+ */
+const repriceCartItems = async (cart) => {
+  const menuItems = await MenuItem.find({
+    _id: { $in: cart.items.map(item => item.menuItem) }
+  }).select('name price isAvailable optionGroups menuCategory');
+  const discountRules = await getRestaurantDiscountRules(cart.restaurant);
+
+  const menuItemsById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+  const priceChanges = [];
+
+  cart.items.forEach(item => {
+    const menuItem = menuItemsById.get(item.menuItem.toString());
+    if (!menuItem || !menuItem.isAvailable) return;
+
+    const selection = resolveItemOptions(menuItem, item.options.map(option => option.option));
+    if (!selection.valid) return;
+
+    const pricing = priceCartLine(menuItem, selection, discountRules);
+    if (pricing.price !== item.price) {
+      priceChanges.push({
+        cartItem: item._id,
+        menuItem: menuItem._id,
+        name: menuItem.name,
+        oldPrice: item.price,
+        newPrice: pricing.price
+      });
+    }
+
+    item.set(pricing);
+  });
+
+  return priceChanges;
+};
+
+module.exports = {
+  priceCartLine,
+  getRestaurantDiscountRules,
+  repriceCartItems,
+  getStaleCartItems,
+  buildCartItemsFromOrder
+};
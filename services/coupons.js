@@ -0,0 +1,188 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Items a coupon applies to (all items unless the coupon is scoped to categories)
+const getEligibleItems = (coupon, items) => {
+  if (!coupon.categories || coupon.categories.length === 0) return items;
+  return items.filter(item => coupon.categories.includes(item.category));
+};
+
+// Discount for a coupon against a price quote (items and delivery fee already priced)
+const calculateDiscount = (coupon, quote) => {
+  const eligibleTotal = getEligibleItems(coupon, quote.items)
+    .reduce((sum, item) => sum + item.total, 0);
+
+  let discount = 0;
+  if (coupon.type === 'flat') {
+    discount = Math.min(coupon.value, eligibleTotal);
+  } else if (coupon.type === 'percentage') {
+    discount = eligibleTotal * coupon.value / 100;
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  } else if (coupon.type === 'free_delivery') {
+    discount = quote.deliveryFee || 0;
+  }
+
+  return roundAmount(discount);
+};
+
+/*
+ * Check that a coupon can be used by a user on a set of pricing items.
+ * Returns { valid: true } or { valid: false, message }.
+ */
+const checkCouponEligibility = async (coupon, { user, restaurantId, items }) => {
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return { valid: false, message: 'Coupon is not active' };
+  }
+
+  if (coupon.validFrom && coupon.validFrom > now) {
+    return { valid: false, message: 'Coupon is not valid yet' };
+  }
+
+  if (coupon.validUntil && coupon.validUntil < now) {
+    return { valid: false, message: 'Coupon has expired' };
+  }
+
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    return { valid: false, message: 'Coupon usage limit reached' };
+  }
+
+  if (coupon.restaurants.length > 0 &&
+      !coupon.restaurants.some(id => id.toString() === restaurantId.toString())) {
+    return { valid: false, message: 'Coupon is not valid for this restaurant' };
+  }
+
+  const eligibleItems = getEligibleItems(coupon, items);
+  if (eligibleItems.length === 0) {
+    return { valid: false, message: 'Coupon is not valid for the items in your cart' };
+  }
+
+  const eligibleTotal = eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (eligibleTotal < coupon.minCartValue) {
+    return { valid: false, message: `Minimum cart value of ${coupon.minCartValue} required for this coupon` };
+  }
+
+  const userRedemptions = await CouponRedemption.countDocuments({
+    coupon: coupon._id,
+    user: user._id,
+    status: { $ne: 'released' }
+  });
+  if (userRedemptions >= coupon.perUserLimit) {
+    return { valid: false, message: 'You have already used this coupon' };
+  }
+
+  if (coupon.firstOrderOnly) {
+    const previousOrders = await Order.countDocuments({
+      customer: user._id,
+      status: { $ne: 'cancelled' }
+    });
+    if (previousOrders > 0) {
+      return { valid: false, message: 'Coupon is only valid on your first order' };
+    }
+  }
+
+  return { valid: true };
+};
+
+// Load the coupon applied to a cart and check that it can still be used
+const getCartCoupon = async (cart, user, items) => {
+  if (!cart.coupon) return { coupon: null };
+
+  const coupon = await Coupon.findById(cart.coupon);
+  const eligibility = await checkCouponEligibility(coupon, {
+    user,
+    restaurantId: cart.restaurant,
+    items
+  });
+
+  if (!eligibility.valid) {
+    return { coupon: null, message: eligibility.message };
+  }
+
+  return { coupon };
+};
+
+/*
+ * Record a coupon redemption, enforcing the global usage cap and the per-user limit atomically.
+ * Each of a user's redemptions takes the lowest free of perUserLimit slots; a unique index stops
+ * two parallel checkouts from taking the same one. Run it inside a transaction (pass the session)
+ * so the usage count is rolled back when the redemption is refused.
+ * Returns the redemption, or null when a limit is reached.
+ */
+const redeemCoupon = async (coupon, { user, order, discount }, session) => {
+  const taken = await CouponRedemption.find({
+    coupon: coupon._id,
+    user: user._id,
+    status: { $ne: 'released' }
+  }).select('slot').session(session);
+
+  if (taken.length >= coupon.perUserLimit) return null;
+
+  const usedSlots = new Set(taken.map(redemption => redemption.slot));
+  let slot = 1;
+  while (usedSlots.has(slot)) slot += 1;
+
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!updated) return null;
+
+  try {
+    const [redemption] = await CouponRedemption.create([{
+      coupon: coupon._id,
+      user: user._id,
+      order: order._id,
+      discount,
+      slot
+    }], { session });
+
+    return redemption;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/*
+ * Give back the coupon use of a cancelled order: its redemption stops counting towards the
+ * per-user limit and the coupon's usage count goes down. Releasing twice does nothing.
+ * Returns the released redemption, or null when the order had none.
+ */
+const releaseCoupon = async (order, session) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: order._id, status: { $ne: 'released' } },
+    { status: 'released', releasedAt: new Date() },
+    { new: true, session }
+  );
+
+  if (!redemption) return null;
+
+  await Coupon.updateOne(
+    { _id: redemption.coupon, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session }
+  );
+  return redemption;
+};
+
+module.exports = {
+  calculateDiscount,
+  checkCouponEligibility,
+  getCartCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,78 @@
+const config = require('../config/delivery');
+const {
+  hasCoordinates,
+  haversineDistanceKm,
+  toGeoPoint,
+  fromGeoPoint,
+  toGeoPolygon,
+  isPointInPolygon
+} = require('../utils/geo');
+
+const roundDistance = (km) => Math.round(km * 100) / 100;
+
+/*
+ * Check a delivery address against a restaurant's delivery zone.
+ * Restaurants without a location cannot be checked and accept every address.
+ * Addresses without coordinates skip the zone check and only need to be in the
+ * restaurant's city (when both cities are known).
+ * Returns { deliverable, distanceKm, message }.
+ */
+const checkDeliveryZone = (restaurant, deliveryAddress) => {
+  const from = fromGeoPoint(restaurant.location);
+  if (!from) {
+    return { deliverable: true, distanceKm: null };
+  }
+
+  const to = deliveryAddress && deliveryAddress.coordinates;
+  if (!hasCoordinates(to)) {
+    const city = deliveryAddress && deliveryAddress.city;
+    const restaurantCity = restaurant.address && restaurant.address.city;
+    if (city && restaurantCity && city.trim().toLowerCase() !== restaurantCity.trim().toLowerCase()) {
+      return { deliverable: false, distanceKm: null, message: `Restaurant only delivers within ${restaurantCity}` };
+    }
+    return { deliverable: true, distanceKm: null };
+  }
+
+  const distanceKm = roundDistance(haversineDistanceKm(from, to));
+  const zone = restaurant.deliveryZone || {};
+
+  if (zone.type === 'polygon' && zone.area) {
+    return isPointInPolygon(to, zone.area)
+      ? { deliverable: true, distanceKm }
+      : { deliverable: false, distanceKm, message: 'Delivery address is outside the restaurant\'s delivery area' };
+  }
+
+  const radiusKm = zone.radiusKm || config.defaultRadiusKm;
+  return distanceKm <= radiusKm
+    ? { deliverable: true, distanceKm }
+    : { deliverable: false, distanceKm, message: `Restaurant only delivers within ${radiusKm} km` };
+};
+
+/*
+ * Convert restaurant input to the stored geo fields:
+ * address.coordinates { latitude, longitude } becomes the GeoJSON `location`,
+ * and a deliveryZone polygon given as vertices becomes a GeoJSON `area`.
+ */
+const toRestaurantGeoFields = (data) => {
+  const result = { ...data };
+
+  if (data.address && data.address.coordinates) {
+    const { coordinates, ...address } = data.address;
+    result.address = address;
+    result.location = toGeoPoint(coordinates);
+  }
+
+  if (data.deliveryZone) {
+    const { polygon, ...zone } = data.deliveryZone;
+    result.deliveryZone = zone;
+    if (polygon) result.deliveryZone.area = toGeoPolygon(polygon);
+  }
+
+  return result;
+};
+
+module.exports = {
+  roundDistance,
+  checkDeliveryZone,
+  toRestaurantGeoFields
+};
@@ -0,0 +1,89 @@
+const config = require('../config/dietary');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Comma-separated (or repeated) query values as a lower-cased list without duplicates
+const parseList = (value) => {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(values.map(entry => String(entry).trim().toLowerCase()).filter(Boolean))];
+};
+
+const checkKnown = (values, known, name) => {
+  const unknown = values.filter(value => !known.includes(value));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown ${name}: ${unknown.join(', ')}. Expected: ${known.join(', ')}`);
+  }
+};
+
+/*
+ * Read dietary filters from query parameters: vegOnly, excludeAllergens, diet and maxCalories.
+ * Throws a 400 error for unknown allergens or diet labels and for an invalid maxCalories.
+ * Returns { vegOnly, excludeAllergens, dietLabels, maxCalories }.
+ */
+const parseDietaryFilters = (query) => {
+  const excludeAllergens = parseList(query.excludeAllergens);
+  const dietLabels = parseList(query.diet);
+  checkKnown(excludeAllergens, config.allergens, 'allergens');
+  checkKnown(dietLabels, config.dietLabels, 'diet labels');
+
+  let maxCalories;
+  if (query.maxCalories !== undefined) {
+    maxCalories = Number(query.maxCalories);
+    if (!Number.isFinite(maxCalories) || maxCalories <= 0) {
+      throw badRequest('maxCalories must be a positive number');
+    }
+  }
+
+  return {
+    vegOnly: query.vegOnly === 'true',
+    excludeAllergens,
+    dietLabels,
+    maxCalories
+  };
+};
+
+// Add a customer's saved preferences to the filters; the stricter rule wins
+const withPreferences = (filters, preferences) => {
+  const calorieLimits = [filters.maxCalories, preferences.maxCalories].filter(limit => limit !== undefined && limit !== null);
+
+  return {
+    vegOnly: filters.vegOnly || !!preferences.vegOnly,
+    excludeAllergens: [...new Set([...filters.excludeAllergens, ...(preferences.excludeAllergens || [])])],
+    dietLabels: [...new Set([...filters.dietLabels, ...(preferences.dietLabels || [])])],
+    maxCalories: calorieLimits.length > 0 ? Math.min(...calorieLimits) : undefined
+  };
+};
+
+/*
+ * Dietary filters for a request: the query parameters plus the signed-in customer's
+ * saved preferences, unless ignorePreferences=true is passed.
+ */
+const getDietaryFilters = (query, user) => {
+  const filters = parseDietaryFilters(query);
+  if (!user || !user.dietaryPreferences || query.ignorePreferences === 'true') {
+    return filters;
+  }
+  return withPreferences(filters, user.dietaryPreferences);
+};
+
+/*
+ * MongoDB conditions on menu items for the allergen, diet label and calorie filters.
+ * vegOnly is left to the caller. Items without calorie information never pass maxCalories.
+ */
+const toMenuItemQuery = (filters) => {
+  const query = {};
+  if (filters.excludeAllergens.length > 0) query.allergens = { $nin: filters.excludeAllergens };
+  if (filters.dietLabels.length > 0) query.dietLabels = { $all: filters.dietLabels };
+  if (filters.maxCalories !== undefined) query['nutritionalInfo.calories'] = { $lte: filters.maxCalories };
+  return query;
+};
+
+module.exports = {
+  getDietaryFilters,
+  toMenuItemQuery
+};
@@ -0,0 +1,87 @@
+const DiscountRule = require('../models/DiscountRule');
+const { DEFAULT_TIMEZONE, getLocalTimeParts, isWithinTimeWindow } = require('../utils/time');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Discount rules of a restaurant that are running at a moment
+const getActiveDiscountRules = async (restaurant, at = new Date()) => {
+  const rules = await DiscountRule.find({
+    restaurant: restaurant._id,
+    isActive: true,
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: at } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gte: at } }] }
+    ]
+  });
+
+  const { weekday, minutes } = getLocalTimeParts(at, restaurant.timezone || DEFAULT_TIMEZONE);
+  return rules.filter(rule =>
+    rule.windows.length === 0 || rule.windows.some(window => isWithinTimeWindow(window, weekday, minutes))
+  );
+};
+
+const ruleAppliesTo = (rule, menuItem) => {
+  if (rule.scope === 'menu') return true;
+
+  if (rule.scope === 'categories') {
+    return !!menuItem.menuCategory &&
+      rule.categories.some(id => id.toString() === menuItem.menuCategory.toString());
+  }
+
+  return rule.menuItems.some(id => id.toString() === menuItem._id.toString());
+};
+
+// Amount a rule takes off one unit at a base price
+const getRuleDiscount = (rule, basePrice) => {
+  let amount;
+  if (rule.type === 'percentage') {
+    amount = basePrice * rule.value / 100;
+    if (rule.maxDiscount) amount = Math.min(amount, rule.maxDiscount);
+  } else if (rule.type === 'flat') {
+    amount = rule.value;
+  } else {
+    amount = basePrice - rule.value;
+  }
+
+  return roundAmount(Math.max(0, Math.min(amount, basePrice)));
+};
+
+/*
+ * Best discount for a menu item among running rules; rules do not stack.
+ * Discounts apply to the item's base price, option price deltas are charged in full.
+ * Returns { rule, name, amount } with the amount per unit, or null.
+ */
+const getItemDiscount = (menuItem, rules) => {
+  let best = null;
+
+  rules.filter(rule => ruleAppliesTo(rule, menuItem)).forEach(rule => {
+    const amount = getRuleDiscount(rule, menuItem.price);
+    if (amount > 0 && (!best || amount > best.amount)) {
+      best = { rule: rule._id, name: rule.name, amount };
+    }
+  });
+
+  return best;
+};
+
+// Unit price after a discount from getItemDiscount
+const applyDiscount = (unitPrice, discount) => {
+  return discount ? roundAmount(unitPrice - discount.amount) : unitPrice;
+};
+
+// Menu item JSON with its discounted price next to the list price
+const withDiscountedPrice = (menuItem, rules) => {
+  const discount = getItemDiscount(menuItem, rules);
+  return {
+    ...menuItem.toObject(),
+    discountedPrice: applyDiscount(menuItem.price, discount),
+    discount
+  };
+};
+
+module.exports = {
+  getActiveDiscountRules,
+  getItemDiscount,
+  applyDiscount,
+  withDiscountedPrice
+};
@@ -0,0 +1,227 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Restaurant = require('../models/Restaurant');
+const AssignmentOffer = require('../models/AssignmentOffer');
+const config = require('../config/dispatch');
+const { hasCoordinates, haversineDistanceKm, fromGeoPoint } = require('../utils/geo');
+const { roundDistance } = require('./deliveryZone');
+
+// Orders in these statuses still need an agent
+const DISPATCH_STATUSES = ['accepted', 'preparing', 'ready'];
+
+// Orders in these statuses count towards an agent's load
+const ACTIVE_DELIVERY_STATUSES = ['accepted', 'preparing', 'ready', 'picked_up'];
+
+const roundScore = (score) => Math.round(score * 1000) / 1000;
+
+// Number of active orders per agent id
+const getActiveOrderCounts = async (agentIds) => {
+  const counts = await Order.aggregate([
+    { $match: { deliveryAgent: { $in: agentIds }, status: { $in: ACTIVE_DELIVERY_STATUSES } } },
+    { $group: { _id: '$deliveryAgent', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+// Number of open offers per agent id
+const getPendingOfferCounts = async (agentIds) => {
+  const counts = await AssignmentOffer.aggregate([
+    { $match: { agent: { $in: agentIds }, status: 'pending' } },
+    { $group: { _id: '$agent', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+// Most active orders an agent may carry; agents without their own limit use the default
+const getMaxActiveOrders = (agent) => agent.maxActiveOrders || config.maxActiveOrders;
+
+// Whether an agent can take another order
+const hasCapacity = async (agent) => {
+  const loads = await getActiveOrderCounts([agent._id]);
+  return (loads.get(agent._id.toString()) || 0) < getMaxActiveOrders(agent);
+};
+
+const getAgentRating = (agent) => {
+  return agent.agentRating && agent.agentRating.count > 0 ? agent.agentRating.average : config.defaultRating;
+};
+
+/*
+ * Available agents who can take an order from a restaurant, best first.
+ * Agents are scored on distance to the restaurant, load (active orders plus open offers) and rating.
+ * When the restaurant has no location every agent is considered and distance does not count.
+ * Returns [{ agent, distanceKm, activeOrders, pendingOffers, maxActiveOrders, rating, score }].
+ */
+const rankAgents = async (restaurant, { excludeAgents = [] } = {}) => {
+  const agents = await User.find({
+    _id: { $nin: excludeAgents },
+    role: 'delivery_agent',
+    isAvailable: true,
+    isActive: true
+  }).select('fullName mobile currentLocation agentRating maxActiveOrders');
+
+  const origin = fromGeoPoint(restaurant.location);
+  const agentIds = agents.map(agent => agent._id);
+  const [loads, offers] = await Promise.all([getActiveOrderCounts(agentIds), getPendingOfferCounts(agentIds)]);
+
+  return agents
+    .map(agent => {
+      const activeOrders = loads.get(agent._id.toString()) || 0;
+      const pendingOffers = offers.get(agent._id.toString()) || 0;
+      const maxActiveOrders = getMaxActiveOrders(agent);
+      const rating = getAgentRating(agent);
+      const distanceKm = origin && hasCoordinates(agent.currentLocation)
+        ? roundDistance(haversineDistanceKm(origin, agent.currentLocation))
+        : null;
+
+      const distanceScore = origin ? 1 - distanceKm / config.maxDistanceKm : 0.5;
+      const loadScore = 1 - (activeOrders + pendingOffers) / maxActiveOrders;
+      const ratingScore = (rating - 1) / 4;
+
+      return {
+        agent,
+        distanceKm,
+        activeOrders,
+        pendingOffers,
+        maxActiveOrders,
+        rating,
+        score: roundScore(
+          config.weights.distance * distanceScore +
+          config.weights.load * loadScore +
+          config.weights.rating * ratingScore
+        )
+      };
+    })
+    .filter(candidate => candidate.activeOrders + candidate.pendingOffers < candidate.maxActiveOrders)
+    .filter(candidate => !origin || (candidate.distanceKm !== null && candidate.distanceKm <= config.maxDistanceKm))
+    .sort((a, b) => b.score - a.score);
+};
+
+/*
+ * Offer an order to an agent until offerTimeoutMs from now; the order's dispatch field points at the open offer.
+ * The agent only gets the order once they accept (services/offers.js).
+ * Returns { offer, order } with the updated order; offer is null when the order already has an open offer
+ * or changed in the meantime.
+ */
+const offerOrder = async (order, agent, { method = 'auto', offeredBy, candidate, attempts, now = new Date() } = {}) => {
+  const expiresAt = new Date(now.getTime() + config.offerTimeoutMs);
+
+  let offer;
+  try {
+    offer = await AssignmentOffer.create({
+      order: order._id,
+      agent: agent._id,
+      method,
+      offeredBy,
+      score: candidate && candidate.score,
+      distanceKm: candidate && candidate.distanceKm,
+      expiresAt
+    });
+  } catch (error) {
+    if (error.code === 11000) return { offer: null, order };
+    throw error;
+  }
+
+  // Leave the order alone if its agent, status or offer changed in the meantime
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      deliveryAgent: order.deliveryAgent || null,
+      status: { $in: DISPATCH_STATUSES },
+      'dispatch.status': { $ne: 'offered' }
+    },
+    {
+      $set: {
+        'dispatch.status': 'offered',
+        'dispatch.method': method,
+        'dispatch.attempts': attempts === undefined ? order.dispatch.attempts : attempts,
+        'dispatch.lastAttemptAt': now,
+        'dispatch.offer': offer._id,
+        'dispatch.offerExpiresAt': expiresAt,
+        'dispatch.score': candidate ? candidate.score : null,
+        'dispatch.distanceKm': candidate ? candidate.distanceKm : null
+      },
+      $unset: { 'dispatch.nextAttemptAt': 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    offer.status = 'cancelled';
+    await offer.save();
+    return { offer: null, order: await Order.findById(order._id) };
+  }
+
+  return { offer, order: updated };
+};
+
+/*
+ * Offer an order that needs an agent to the best available one.
+ * Agents who declined the order or let an offer for it expire are skipped.
+ * When nobody is free the order is retried after retryIntervalMs, up to maxAttempts;
+ * restart begins a new round of attempts (used when the order changes status or an admin re-runs dispatch).
+ * With reassign an assigned order is offered to a different agent; it keeps its agent until someone accepts,
+ * and for good if nobody else is free.
+ * Orders with an open offer are left alone.
+ * Returns { offered, order, offer, candidate } with the updated order.
+ */
+const dispatchOrder = async (order, { restart = false, reassign = false, now = new Date() } = {}) => {
+  const currentAgent = order.deliveryAgent || null;
+  const skipped = { offered: false, order, offer: null, candidate: null };
+  if (!DISPATCH_STATUSES.includes(order.status) || (currentAgent && !reassign) || order.dispatch.status === 'offered') {
+    return skipped;
+  }
+
+  const restaurant = await Restaurant.findById(order.restaurant).select('location');
+  const passedAgents = await AssignmentOffer.distinct('agent', {
+    order: order._id,
+    status: { $in: ['declined', 'expired'] }
+  });
+  const excludeAgents = currentAgent ? [...passedAgents, currentAgent] : passedAgents;
+  const [candidate] = restaurant ? await rankAgents(restaurant, { excludeAgents }) : [];
+
+  if (!candidate && currentAgent) {
+    return skipped;
+  }
+
+  const attempts = (restart ? 0 : order.dispatch.attempts || 0) + 1;
+
+  if (candidate) {
+    const result = await offerOrder(order, candidate.agent, { candidate, attempts, now });
+    return {
+      offered: !!result.offer,
+      order: result.order,
+      offer: result.offer,
+      candidate: result.offer ? candidate : null
+    };
+  }
+
+  const failed = attempts >= config.maxAttempts;
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, deliveryAgent: null, status: { $in: DISPATCH_STATUSES }, 'dispatch.status': { $ne: 'offered' } },
+    {
+      $set: {
+        dispatch: {
+          status: failed ? 'failed' : 'searching',
+          method: 'auto',
+          attempts,
+          lastAttemptAt: now,
+          nextAttemptAt: failed ? undefined : new Date(now.getTime() + config.retryIntervalMs)
+        }
+      }
+    },
+    { new: true }
+  );
+
+  return { ...skipped, order: updated || await Order.findById(order._id) };
+};
+
+module.exports = {
+  DISPATCH_STATUSES,
+  ACTIVE_DELIVERY_STATUSES,
+  getActiveOrderCounts,
+  getMaxActiveOrders,
+  hasCapacity,
+  rankAgents,
+  offerOrder,
+  dispatchOrder
+};
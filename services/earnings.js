@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const EarningEntry = require('../models/EarningEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const Restaurant = require('../models/Restaurant');
+const config = require('../config/earnings');
+const { hasCoordinates, haversineDistanceKm, fromGeoPoint } = require('../utils/geo');
+const { getLocalTimeParts, addDays, getWeekday, isWithinTimeWindow, DEFAULT_TIMEZONE } = require('../utils/time');
+const { toCsv } = require('../utils/csv');
+const { roundDistance } = require('./deliveryZone');
+
+const LEDGER_TIMEZONE = config.timezone || DEFAULT_TIMEZONE;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Monday of the week a "YYYY-MM-DD" date falls in
+const getWeekStart = (localDate) => addDays(localDate, -((getWeekday(localDate) + 6) % 7));
+
+// Ledger date fields for a moment
+const getLedgerDates = (at = new Date()) => {
+  const earnedOn = getLocalTimeParts(at, LEDGER_TIMEZONE).date;
+  return { earnedOn, weekStart: getWeekStart(earnedOn) };
+};
+
+const isPeakTime = (at, timeZone) => {
+  const { weekday, minutes } = getLocalTimeParts(at, timeZone);
+  return config.peakHours.some(window => isWithinTimeWindow(window, weekday, minutes));
+};
+
+/*
+ * Pay for a delivered order: base pay, per-km pay from the restaurant to the delivery address,
+ * the customer's tip and the peak bonus when delivered during peak hours.
+ * Distance pay is zero when either location is unknown.
+ * Returns { basePay, distanceKm, distancePay, tip, peakBonus, total }.
+ */
+const calculateDeliveryPay = (order, restaurant, at = new Date()) => {
+  const from = fromGeoPoint(restaurant.location);
+  const to = order.deliveryAddress && order.deliveryAddress.coordinates;
+  const distanceKm = hasCoordinates(from) && hasCoordinates(to) ? roundDistance(haversineDistanceKm(from, to)) : 0;
+
+  const pay = {
+    basePay: config.basePay,
+    distanceKm,
+    distancePay: roundAmount(distanceKm * config.perKmPay),
+    tip: order.tip || 0,
+    peakBonus: isPeakTime(at, restaurant.timezone || DEFAULT_TIMEZONE) ? config.peakBonus : 0
+  };
+  pay.total = roundAmount(pay.basePay + pay.distancePay + pay.tip + pay.peakBonus);
+  return pay;
+};
+
+/*
+ * Credit the agent of a delivered order. Orders are only credited once;
+ * crediting again returns an empty list.
+ * Returns the ledger entries created.
+ */
+const creditDelivery = async (order, at = new Date()) => {
+  if (!order.deliveryAgent) return [];
+
+  const restaurant = await Restaurant.findById(order.restaurant).select('location timezone');
+  const pay = calculateDeliveryPay(order, restaurant || {}, at);
+  const base = { agent: order.deliveryAgent, order: order._id, ...getLedgerDates(at) };
+
+  // The delivery entry goes first: its unique index stops the rest when the order was already credited
+  const entries = [{
+    ...base,
+    type: 'delivery',
+    amount: roundAmount(pay.basePay + pay.distancePay),
+    basePay: pay.basePay,
+    distanceKm: pay.distanceKm,
+    distancePay: pay.distancePay
+  }];
+  if (pay.tip > 0) entries.push({ ...base, type: 'tip', amount: pay.tip });
+  if (pay.peakBonus > 0) entries.push({ ...base, type: 'peak_bonus', amount: pay.peakBonus });
+
+  try {
+    return await EarningEntry.insertMany(entries);
+  } catch (error) {
+    if (error.code === 11000) return [];
+    throw error;
+  }
+};
+
+// Add an admin adjustment (credit) or deduction to an agent's ledger
+const addManualEntry = async (agentId, { type, amount, note, orderId }, admin) => {
+  const entry = new EarningEntry({
+    agent: agentId,
+    order: orderId,
+    type,
+    amount: type === 'deduction' ? -Math.abs(amount) : Math.abs(amount),
+    note,
+    createdBy: admin._id,
+    ...getLedgerDates()
+  });
+  return entry.save();
+};
+
+const toLocalDate = (value, name) => {
+  if (value === undefined) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw httpError(400, `${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+};
+
+// Ledger filter for an agent and an optional from/to date range (inclusive, "YYYY-MM-DD")
+const getLedgerFilter = (agentId, { from, to } = {}) => {
+  const filter = { agent: new mongoose.Types.ObjectId(agentId) };
+  const fromDate = toLocalDate(from, 'from');
+  const toDate = toLocalDate(to, 'to');
+
+  if (fromDate || toDate) {
+    filter.earnedOn = {};
+    if (fromDate) filter.earnedOn.$gte = fromDate;
+    if (toDate) filter.earnedOn.$lte = toDate;
+  }
+  return filter;
+};
+
+/*
+ * An agent's earnings over a date range (the last 30 days by default).
+ * Returns { from, to, total, byType, deliveries, unpaid, daily: [{ date, total, deliveries }],
+ * weekly: [{ weekStart, total, deliveries, payoutStatus }] }.
+ */
+const getEarningsSummary = async (agentId, { from, to } = {}) => {
+  const today = getLedgerDates().earnedOn;
+  const range = { from: from || addDays(today, -29), to: to || today };
+  const filter = getLedgerFilter(agentId, range);
+
+  const deliveryCount = { $sum: { $cond: [{ $eq: ['$type', 'delivery'] }, 1, 0] } };
+
+  const [byType, daily, weekly, unpaid] = await Promise.all([
+    EarningEntry.aggregate([
+      { $match: filter },
+      { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]),
+    EarningEntry.aggregate([
+      { $match: filter },
+      { $group: { _id: '$earnedOn', total: { $sum: '$amount' }, deliveries: deliveryCount } },
+      { $sort: { _id: -1 } }
+    ]),
+    EarningEntry.aggregate([
+      { $match: filter },
+      { $group: { _id: '$weekStart', total: { $sum: '$amount' }, deliveries: deliveryCount } },
+      { $sort: { _id: -1 } }
+    ]),
+    EarningEntry.aggregate([
+      { $match: { agent: filter.agent } },
+      { $lookup: { from: 'payoutbatches', localField: 'payout', foreignField: '_id', as: 'batch' } },
+      { $match: { 'batch.status': { $ne: 'settled' } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const batches = await PayoutBatch.find({ weekStart: { $in: weekly.map(week => week._id) } })
+    .select('weekStart status');
+  const batchStatus = new Map(batches.map(batch => [batch.weekStart, batch.status]));
+
+  return {
+    ...range,
+    total: roundAmount(byType.reduce((sum, entry) => sum + entry.total, 0)),
+    byType: byType.reduce((acc, entry) => {
+      acc[entry._id] = roundAmount(entry.total);
+      return acc;
+    }, {}),
+    deliveries: (byType.find(entry => entry._id === 'delivery') || { count: 0 }).count,
+    unpaid: roundAmount(unpaid.length > 0 ? unpaid[0].total : 0),
+    daily: daily.map(day => ({ date: day._id, total: roundAmount(day.total), deliveries: day.deliveries })),
+    weekly: weekly.map(week => ({
+      weekStart: week._id,
+      total: roundAmount(week.total),
+      deliveries: week.deliveries,
+      payoutStatus: batchStatus.get(week._id) || 'unbatched'
+    }))
+  };
+};
+
+const STATEMENT_COLUMNS = ['date', 'orderNumber', 'type', 'distanceKm', 'amount', 'note', 'payoutStatus'];
+
+/*
+ * CSV statement of an agent's ledger entries over an optional date range, oldest first.
+ * Returns { filename, body }.
+ */
+const getEarningsStatement = async (agentId, { from, to } = {}) => {
+  const entries = await EarningEntry.find(getLedgerFilter(agentId, { from, to }))
+    .populate('order', 'orderNumber')
+    .populate('payout', 'status')
+    .sort({ earnedOn: 1, createdAt: 1 });
+
+  const records = entries.map(entry => [
+    entry.earnedOn,
+    entry.order ? entry.order.orderNumber : '',
+    entry.type,
+    entry.distanceKm === undefined ? '' : entry.distanceKm,
+    entry.amount,
+    entry.note || '',
+    entry.payout ? entry.payout.status : 'unbatched'
+  ]);
+
+  const period = [from, to].filter(Boolean).join('-to-') || 'all';
+  return {
+    filename: `earnings-${period}.csv`,
+    body: toCsv([STATEMENT_COLUMNS, ...records])
+  };
+};
+
+/*
+ * Batch every agent's unbatched entries of a finished week (weekStart is a Monday).
+ * Throws 400 for weeks that are not over yet and 409 when the week already has a batch.
+ */
+const createPayoutBatch = async (weekStart, admin) => {
+  const start = toLocalDate(weekStart, 'weekStart');
+  if (getWeekStart(start) !== start) {
+    throw httpError(400, 'weekStart must be a Monday');
+  }
+  if (start >= getLedgerDates().weekStart) {
+    throw httpError(400, 'Payouts can only be created for weeks that have ended');
+  }
+
+  if (await PayoutBatch.exists({ weekStart: start })) {
+    throw httpError(409, 'A payout batch already exists for this week');
+  }
+
+  const filter = { weekStart: start, payout: null };
+  const totals = await EarningEntry.aggregate([
+    { $match: filter },
+    { $group: { _id: '$agent', amount: { $sum: '$amount' }, entryCount: { $sum: 1 } } }
+  ]);
+
+  const batch = new PayoutBatch({
+    weekStart: start,
+    weekEnd: addDays(start, 6),
+    agents: totals.map(total => ({
+      agent: total._id,
+      amount: roundAmount(total.amount),
+      entryCount: total.entryCount
+    })),
+    totalAmount: roundAmount(totals.reduce((sum, total) => sum + total.amount, 0)),
+    entryCount: totals.reduce((sum, total) => sum + total.entryCount, 0),
+    createdBy: admin._id
+  });
+
+  try {
+    await batch.save();
+  } catch (error) {
+    if (error.code === 11000) throw httpError(409, 'A payout batch already exists for this week');
+    throw error;
+  }
+
+  await EarningEntry.updateMany(filter, { payout: batch._id });
+  return batch;
+};
+
+module.exports = {
+  calculateDeliveryPay,
+  creditDelivery,
+  addManualEntry,
+  getEarningsSummary,
+  getEarningsStatement,
+  createPayoutBatch
+};
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const User = require('../models/User');
+const config = require('../config/eta');
+const trackingConfig = require('../config/tracking');
+const { hasCoordinates, haversineDistanceKm, fromGeoPoint } = require('../utils/geo');
+const { roundDistance } = require('./deliveryZone');
+
+const MINUTE = 60 * 1000;
+
+// Orders waiting for or being cooked by the kitchen
+const KITCHEN_STATUSES = ['placed', 'accepted', 'preparing'];
+
+// Orders not yet taken on by the kitchen wait behind its queue
+const QUEUED_STATUSES = ['pending_payment', 'placed', 'accepted'];
+
+// Statuses whose estimate still changes
+const ETA_STATUSES = ['pending_payment', ...KITCHEN_STATUSES, 'ready', 'picked_up'];
+
+const roundMinutes = (minutes) => Math.round(minutes * 10) / 10;
+
+// Road distance between two points, from the straight-line distance
+const getRoadDistanceKm = (from, to) => roundDistance(haversineDistanceKm(from, to) * config.roadFactor);
+
+const getTravelMinutes = (distanceKm) => distanceKm / trackingConfig.averageSpeedKmh * 60;
+
+/*
+ * Learn a restaurant's prep time from the accepted -> ready timestamps of its recent orders
+ * and store it on the restaurant. Returns the stored prepTime.
+ */
+const updatePrepTime = async (restaurantId, now = new Date()) => {
+  const timestampOf = (status) => ({
+    $max: {
+      $map: {
+        input: { $filter: { input: '$statusHistory', cond: { $eq: ['$$this.status', status] } } },
+        in: '$$this.timestamp'
+      }
+    }
+  });
+
+  const [stats] = await Order.aggregate([
+    {
+      $match: {
+        restaurant: new mongoose.Types.ObjectId(restaurantId),
+        'statusHistory.status': { $all: ['accepted', 'ready'] },
+        createdAt: { $gte: new Date(now.getTime() - config.prepHistoryDays * 24 * 60 * MINUTE) }
+      }
+    },
+    { $sort: { createdAt: -1 } },
+    { $limit: config.prepSampleSize },
+    { $project: { prepMinutes: { $divide: [{ $subtract: [timestampOf('ready'), timestampOf('accepted')] }, MINUTE] } } },
+    { $match: { prepMinutes: { $gt: 0, $lte: config.maxPrepMinutes } } },
+    { $group: { _id: null, average: { $avg: '$prepMinutes' }, stdDev: { $stdDevPop: '$prepMinutes' }, samples: { $sum: 1 } } }
+  ]);
+
+  const prepTime = {
+    average: stats ? roundMinutes(stats.average) : undefined,
+    stdDev: stats ? roundMinutes(stats.stdDev) : undefined,
+    samples: stats ? stats.samples : 0,
+    updatedAt: now
+  };
+
+  await Restaurant.findByIdAndUpdate(restaurantId, { prepTime });
+  return prepTime;
+};
+
+// Typical prep time and its spread; restaurants without enough history use their deliveryTime
+const getPrepEstimate = (restaurant) => {
+  const { prepTime } = restaurant;
+  if (prepTime && prepTime.samples >= config.minPrepSamples) {
+    return { minutes: prepTime.average, spread: prepTime.stdDev || 0 };
+  }
+  return { minutes: restaurant.deliveryTime, spread: 0 };
+};
+
+/*
+ * Total minutes and the window margin either side from the steps of a delivery.
+ * The kitchen and the agent on the way to the restaurant run side by side.
+ */
+const composeEstimate = ({ queueMinutes, prepMinutes, pickupMinutes, travelMinutes, prepSpread }) => {
+  const minutes = Math.ceil(Math.max(queueMinutes + prepMinutes, pickupMinutes) + travelMinutes);
+  const margin = Math.max(config.minWindowMinutes, Math.ceil(prepSpread + travelMinutes * config.travelSpreadRatio));
+  return { minutes, margin };
+};
+
+// When the order was accepted, from its status history
+const getAcceptedAt = (order) => {
+  const entry = order.statusHistory.find(history => history.status === 'accepted');
+  return entry ? entry.timestamp : null;
+};
+
+/*
+ * Estimate when an order arrives from where it is now: the kitchen queue ahead of it, the prep time left,
+ * the assigned agent's way to the restaurant and the road distance to the delivery address.
+ * Returns { estimatedDeliveryTime, eta: { earliest, latest, queueMinutes, prepMinutes, pickupMinutes,
+ * travelMinutes, distanceKm, calculatedAt } }, or null for orders past delivery or not yet released.
+ */
+const estimateOrderEta = async (order, now = new Date()) => {
+  if (!ETA_STATUSES.includes(order.status)) return null;
+
+  const restaurant = await Restaurant.findById(order.restaurant).select('location deliveryTime prepTime');
+  const origin = restaurant && fromGeoPoint(restaurant.location);
+  const destination = order.deliveryAddress && order.deliveryAddress.coordinates;
+
+  let queueMinutes = 0;
+  if (QUEUED_STATUSES.includes(order.status)) {
+    const ahead = { restaurant: order.restaurant, status: { $in: KITCHEN_STATUSES }, _id: { $ne: order._id } };
+    if (order.createdAt) ahead.createdAt = { $lt: order.createdAt };
+    queueMinutes = await Order.countDocuments(ahead) * config.queueMinutesPerOrder;
+  }
+
+  let prepMinutes = 0;
+  let prepSpread = 0;
+  if (restaurant && ['pending_payment', ...KITCHEN_STATUSES].includes(order.status)) {
+    const prep = getPrepEstimate(restaurant);
+    const acceptedAt = getAcceptedAt(order);
+    const elapsed = acceptedAt ? (now - acceptedAt) / MINUTE : 0;
+
+    prepMinutes = acceptedAt ? Math.max(prep.minutes - elapsed, config.minRemainingPrepMinutes) : prep.minutes;
+    prepSpread = prep.spread;
+  }
+
+  const agent = order.deliveryAgent
+    ? await User.findById(order.deliveryAgent).select('currentLocation')
+    : null;
+  const agentPosition = agent && hasCoordinates(agent.currentLocation) ? agent.currentLocation : null;
+
+  let pickupMinutes = 0;
+  if (order.status !== 'picked_up') {
+    pickupMinutes = agentPosition && hasCoordinates(origin)
+      ? getTravelMinutes(getRoadDistanceKm(agentPosition, origin))
+      : config.defaultPickupMinutes;
+  }
+
+  // Out for delivery the trip starts from the agent, otherwise from the restaurant
+  const start = order.status === 'picked_up' && agentPosition ? agentPosition : origin;
+  const distanceKm = hasCoordinates(start) && hasCoordinates(destination)
+    ? getRoadDistanceKm(start, destination)
+    : null;
+  const travelMinutes = distanceKm === null ? config.defaultTravelMinutes : getTravelMinutes(distanceKm);
+
+  const estimate = composeEstimate({ queueMinutes, prepMinutes, pickupMinutes, travelMinutes, prepSpread });
+  const { margin } = estimate;
+  // Scheduled orders are not delivered before their slot
+  const minutes = order.scheduledFor
+    ? Math.max(estimate.minutes, Math.ceil((order.scheduledFor - now) / MINUTE))
+    : estimate.minutes;
+  const at = (offset) => new Date(now.getTime() + offset * MINUTE);
+
+  return {
+    estimatedDeliveryTime: at(minutes),
+    eta: {
+      earliest: at(Math.max(minutes - margin, 0)),
+      latest: at(minutes + margin),
+      queueMinutes: roundMinutes(queueMinutes),
+      prepMinutes: roundMinutes(prepMinutes),
+      pickupMinutes: roundMinutes(pickupMinutes),
+      travelMinutes: roundMinutes(travelMinutes),
+      distanceKm,
+      calculatedAt: now
+    }
+  };
+};
+
+// Recompute an order's estimatedDeliveryTime and eta window in place; the caller saves the order
+const updateOrderEta = async (order, now = new Date()) => {
+  const estimate = await estimateOrderEta(order, now);
+  if (estimate) {
+    order.estimatedDeliveryTime = estimate.estimatedDeliveryTime;
+    order.eta = estimate.eta;
+  }
+  return order;
+};
+
+/*
+ * Delivery estimates for restaurant listings: queue, prep time, agent pickup and the trip to point,
+ * or the default travel time when there is no point.
+ * Returns a Map of restaurant id to { minutes, earliestMinutes, latestMinutes }.
+ */
+const estimateRestaurantEtas = async (restaurants, { point } = {}) => {
+  const queues = await Order.aggregate([
+    { $match: { restaurant: { $in: restaurants.map(restaurant => restaurant._id) }, status: { $in: KITCHEN_STATUSES } } },
+    { $group: { _id: '$restaurant', count: { $sum: 1 } } }
+  ]);
+  const queueSizes = new Map(queues.map(entry => [entry._id.toString(), entry.count]));
+
+  return new Map(restaurants.map(restaurant => {
+    const prep = getPrepEstimate(restaurant);
+    const origin = fromGeoPoint(restaurant.location);
+    const travelMinutes = hasCoordinates(point) && hasCoordinates(origin)
+      ? getTravelMinutes(getRoadDistanceKm(origin, point))
+      : config.defaultTravelMinutes;
+
+    const { minutes, margin } = composeEstimate({
+      queueMinutes: (queueSizes.get(restaurant._id.toString()) || 0) * config.queueMinutesPerOrder,
+      prepMinutes: prep.minutes,
+      pickupMinutes: config.defaultPickupMinutes,
+      travelMinutes,
+      prepSpread: prep.spread
+    });
+
+    return [restaurant._id.toString(), {
+      minutes,
+      earliestMinutes: Math.max(minutes - margin, 0),
+      latestMinutes: minutes + margin
+    }];
+  }));
+};
+
+module.exports = {
+  updatePrepTime,
+  estimateOrderEta,
+  updateOrderEta,
+  estimateRestaurantEtas
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const config = require('../config/uploads');
+const { getStorage } = require('./storage');
+
+/*
+ * Resize an uploaded image, store it with a thumbnail and return
+ * { image, thumbnail, keys } where image/thumbnail are public URLs.
+ * prefix groups files by owner, e.g. "restaurants/<id>".
+ */
+const storeImage = async (buffer, prefix) => {
+  // Check the content itself, not just the MIME type the client sent
+  const metadata = await sharp(buffer).metadata().catch(() => ({}));
+  if (!['jpeg', 'png', 'webp'].includes(metadata.format)) {
+    const error = new Error('Uploaded file is not a valid image');
+    error.status = 400;
+    throw error;
+  }
+
+  const storage = getStorage();
+  const name = crypto.randomBytes(8).toString('hex');
+
+  const [imageBuffer, thumbnailBuffer] = await Promise.all([
+    sharp(buffer)
+      .rotate()
+      .resize(config.image.width, config.image.height, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer(),
+    sharp(buffer)
+      .rotate()
+      .resize(config.thumbnail.width, config.thumbnail.height, { fit: 'cover' })
+      .webp()
+      .toBuffer()
+  ]);
+
+  const image = await storage.save(`${prefix}/${name}.webp`, imageBuffer, 'image/webp');
+  const thumbnail = await storage.save(`${prefix}/${name}_thumb.webp`, thumbnailBuffer, 'image/webp');
+
+  return {
+    image: image.url,
+    thumbnail: thumbnail.url,
+    keys: [image.key, thumbnail.key]
+  };
+};
+
+// Delete stored files; failures are logged so they never block the request
+const removeImages = async (keys = []) => {
+  const storage = getStorage();
+
+  await Promise.all(keys.map(key =>
+    storage.remove(key).catch(err => console.error('Image cleanup error:', err))
+  ));
+};
+
+module.exports = {
+  storeImage,
+  removeImages
+};
@@ -0,0 +1,229 @@
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const config = require('../config/inventory');
+const { getLocalTimeParts, DEFAULT_TIMEZONE } = require('../utils/time');
+
+// Total quantity per menu item (an item can appear on several lines with different options)
+const sumQuantities = (items) => {
+  return items.reduce((totals, item) => {
+    const id = (item.menuItem._id || item.menuItem).toString();
+    totals.set(id, (totals.get(id) || 0) + item.quantity);
+    return totals;
+  }, new Map());
+};
+
+// Units of a tracked item still available, or Infinity for untracked items
+const getRemainingStock = (menuItem) => {
+  if (!menuItem.stock || !menuItem.stock.isTracked) return Infinity;
+  return menuItem.stock.quantity;
+};
+
+// Pipeline stage that sets the stock quantity and keeps availability of tracked items in step with it
+const quantityStage = (newQuantity) => {
+  const whenTracked = (expression, untracked) => ({ $cond: ['$stock.isTracked', expression, untracked] });
+
+  return {
+    $set: {
+      'stock.quantity': newQuantity,
+      // Sell out at zero; bring back items that sold out automatically once restocked
+      isAvailable: whenTracked({
+        $cond: [
+          { $lte: [newQuantity, 0] },
+          false,
+          { $cond: ['$stock.autoSoldOut', true, '$isAvailable'] }
+        ]
+      }, '$isAvailable'),
+      // Only remember sell-outs of items that were available, so manual switches stick
+      'stock.autoSoldOut': whenTracked({
+        $cond: [
+          { $lte: [newQuantity, 0] },
+          { $or: ['$stock.autoSoldOut', '$isAvailable'] },
+          false
+        ]
+      }, '$stock.autoSoldOut')
+    }
+  };
+};
+
+// Pipeline update that changes stock by delta
+const stockUpdate = (delta) => [quantityStage({ $add: ['$stock.quantity', delta] })];
+
+/*
+ * Atomically take stock for the items of an order. Throws an error with status 409
+ * when a tracked item does not have enough left; run inside a transaction so earlier
+ * reservations are rolled back.
+ */
+const reserveStock = async (items, session) => {
+  const quantities = sumQuantities(items);
+
+  for (const [menuItemId, quantity] of quantities) {
+    const tracked = await MenuItem.exists({ _id: menuItemId, 'stock.isTracked': true }).session(session);
+    if (!tracked) continue;
+
+    const updated = await MenuItem.findOneAndUpdate(
+      { _id: menuItemId, 'stock.quantity': { $gte: quantity } },
+      stockUpdate(-quantity),
+      { new: true, session }
+    );
+
+    if (!updated) {
+      const menuItem = await MenuItem.findById(menuItemId).select('name stock').session(session);
+      const error = new Error(`Only ${menuItem.stock.quantity} of ${menuItem.name} left in stock`);
+      error.status = 409;
+      throw error;
+    }
+  }
+};
+
+// Put stock back for the items of an order
+const releaseStock = async (items, session) => {
+  const quantities = sumQuantities(items);
+
+  for (const [menuItemId, quantity] of quantities) {
+    await MenuItem.updateOne(
+      { _id: menuItemId, 'stock.isTracked': true },
+      stockUpdate(quantity),
+      { session }
+    );
+  }
+};
+
+// Release the stock held by an order, once: the order is claimed first so concurrent cancellations release it only once.
+// Returns whether this call released it.
+const releaseOrderStock = async (order, session) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockReserved: true },
+    { stockReserved: false },
+    { session }
+  );
+  order.stockReserved = false;
+
+  if (!claimed) return false;
+
+  await releaseStock(order.items, session);
+  return true;
+};
+
+/*
+ * Pipeline update for an owner's stock change, applied atomically so it does not overwrite
+ * reservations made at the same time.
+ * change: { quantity (set), delta (adjust), dailyResetQuantity, lowStockThreshold, isTracked }
+ */
+const stockChangeUpdate = (change) => {
+  const settings = {};
+  if (change.isTracked !== undefined) settings['stock.isTracked'] = change.isTracked;
+  if (change.dailyResetQuantity !== undefined) settings['stock.dailyResetQuantity'] = change.dailyResetQuantity;
+  if (change.lowStockThreshold !== undefined) settings['stock.lowStockThreshold'] = change.lowStockThreshold;
+
+  let newQuantity = '$stock.quantity';
+  if (change.quantity !== undefined) newQuantity = { $literal: change.quantity };
+  if (change.delta !== undefined) newQuantity = { $max: [0, { $add: [newQuantity, change.delta] }] };
+
+  const stages = Object.keys(settings).length > 0 ? [{ $set: settings }] : [];
+  return [...stages, quantityStage(newQuantity)];
+};
+
+/*
+ * Apply stock settings to a menu item document that is not saved yet (e.g. an imported item).
+ * Saved items are changed with stockChangeUpdate instead.
+ * change: { quantity (set), delta (adjust), dailyResetQuantity, lowStockThreshold, isTracked }
+ */
+const applyStockChange = (menuItem, change) => {
+  const stock = menuItem.stock;
+
+  if (change.isTracked !== undefined) stock.isTracked = change.isTracked;
+  if (change.dailyResetQuantity !== undefined) stock.dailyResetQuantity = change.dailyResetQuantity;
+  if (change.lowStockThreshold !== undefined) stock.lowStockThreshold = change.lowStockThreshold;
+  if (change.quantity !== undefined) stock.quantity = change.quantity;
+  if (change.delta !== undefined) stock.quantity = Math.max(0, stock.quantity + change.delta);
+
+  if (!stock.isTracked) return;
+
+  if (stock.quantity <= 0) {
+    stock.autoSoldOut = stock.autoSoldOut || menuItem.isAvailable;
+    menuItem.isAvailable = false;
+  } else if (stock.autoSoldOut) {
+    stock.autoSoldOut = false;
+    menuItem.isAvailable = true;
+  }
+};
+
+// Units of each menu item still held by orders that have not gone to the kitchen yet
+const getOpenReservations = async (restaurantIds) => {
+  const held = await Order.aggregate([
+    {
+      $match: {
+        restaurant: { $in: restaurantIds },
+        status: { $in: config.openReservationStatuses },
+        stockReserved: true
+      }
+    },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.menuItem', quantity: { $sum: '$items.quantity' } } }
+  ]);
+  return new Map(held.map(entry => [entry._id.toString(), entry.quantity]));
+};
+
+/*
+ * Restore the daily quantity for tracked items that have not been reset today,
+ * where today is the calendar day in each restaurant's own timezone.
+ * Stock reserved by scheduled and unpaid orders is kept out of the new day's quantity,
+ * so it is not sold twice and releasing it later does not exceed the daily quantity.
+ * Returns the number of items reset.
+ */
+const resetDailyStock = async (now = new Date()) => {
+  const resettable = {
+    'stock.isTracked': true,
+    'stock.dailyResetQuantity': { $ne: null }
+  };
+
+  const restaurantIds = await MenuItem.distinct('restaurant', resettable);
+  const restaurants = await Restaurant.find({ _id: { $in: restaurantIds } }).select('timezone');
+
+  const byTimezone = new Map();
+  for (const restaurant of restaurants) {
+    const timeZone = restaurant.timezone || DEFAULT_TIMEZONE;
+    byTimezone.set(timeZone, [...(byTimezone.get(timeZone) || []), restaurant._id]);
+  }
+
+  let reset = 0;
+  for (const [timeZone, ids] of byTimezone) {
+    const today = getLocalTimeParts(now, timeZone).date;
+    const notResetToday = { ...resettable, restaurant: { $in: ids }, 'stock.lastResetDate': { $ne: today } };
+
+    const held = await getOpenReservations(ids);
+    for (const [menuItemId, quantity] of held) {
+      const result = await MenuItem.updateOne(
+        { ...notResetToday, _id: menuItemId },
+        [
+          { $set: { 'stock.lastResetDate': today } },
+          quantityStage({ $max: [0, { $subtract: ['$stock.dailyResetQuantity', quantity] }] })
+        ]
+      );
+      reset += result.modifiedCount;
+    }
+
+    const result = await MenuItem.updateMany(
+      notResetToday,
+      [
+        { $set: { 'stock.lastResetDate': today } },
+        quantityStage('$stock.dailyResetQuantity')
+      ]
+    );
+    reset += result.modifiedCount;
+  }
+
+  return reset;
+};
+
+module.exports = {
+  sumQuantities,
+  getRemainingStock,
+  reserveStock,
+  releaseStock,
+  releaseOrderStock,
+  stockChangeUpdate,
+  applyStockChange,
+  resetDailyStock
+};
@@ -0,0 +1,122 @@
+const MenuCategory = require('../models/MenuCategory');
+const MenuItem = require('../models/MenuItem');
+const { DEFAULT_TIMEZONE, getLocalTimeParts, isWithinTimeWindow } = require('../utils/time');
+
+const { NAME_COLLATION } = MenuCategory;
+
+// Whether a category is shown at a moment; categories without windows are always shown
+const isCategoryAvailableAt = (category, restaurant, at = new Date()) => {
+  if (!category.isActive) return false;
+  if (!category.availability || category.availability.length === 0) return true;
+
+  const { weekday, minutes } = getLocalTimeParts(at, restaurant.timezone || DEFAULT_TIMEZONE);
+  return category.availability.some(window => isWithinTimeWindow(window, weekday, minutes));
+};
+
+/*
+ * Find a restaurant's categories by name (case-insensitive), creating missing ones
+ * at the end of the menu in the order given.
+ * Returns a Map of lower-cased name to category.
+ */
+const resolveCategories = async (restaurantId, names) => {
+  const wanted = [...new Map(names.map(name => [name.trim().toLowerCase(), name.trim()])).values()];
+
+  const existing = await MenuCategory.find({ restaurant: restaurantId, name: { $in: wanted } })
+    .collation(NAME_COLLATION);
+  const byName = new Map(existing.map(category => [category.name.toLowerCase(), category]));
+
+  const missing = wanted.filter(name => !byName.has(name.toLowerCase()));
+  if (missing.length === 0) return byName;
+
+  const last = await MenuCategory.findOne({ restaurant: restaurantId }).sort({ displayOrder: -1 });
+  let displayOrder = last ? last.displayOrder + 1 : 0;
+
+  for (const name of missing) {
+    // Upsert so concurrent requests creating the same category share one document
+    const category = await MenuCategory.findOneAndUpdate(
+      { restaurant: restaurantId, name },
+      { $setOnInsert: { displayOrder: displayOrder++ } },
+      { upsert: true, new: true, collation: NAME_COLLATION }
+    );
+    byName.set(name.toLowerCase(), category);
+  }
+
+  return byName;
+};
+
+const resolveCategory = async (restaurantId, name) => {
+  const categories = await resolveCategories(restaurantId, [name]);
+  return categories.get(name.trim().toLowerCase());
+};
+
+/*
+ * A restaurant's menu grouped by category in display order.
+ * Inactive categories and those outside their time window at `at` are left out unless includeUnavailable is set.
+ * Items whose category no longer exists are listed last under their category name.
+ * Returns [{ _id, name, description, displayOrder, availability, isAvailableNow, items }].
+ */
+const getGroupedMenu = async (restaurant, { at = new Date(), itemFilters = {}, includeUnavailable = false } = {}) => {
+  const [categories, items] = await Promise.all([
+    MenuCategory.find({ restaurant: restaurant._id }).sort({ displayOrder: 1, name: 1 }),
+    MenuItem.find({ ...itemFilters, restaurant: restaurant._id }).sort({ name: 1 })
+  ]);
+
+  const itemsByCategory = new Map();
+  items.forEach(item => {
+    const key = item.menuCategory ? item.menuCategory.toString() : `name:${item.category}`;
+    if (!itemsByCategory.has(key)) itemsByCategory.set(key, []);
+    itemsByCategory.get(key).push(item);
+  });
+
+  const groups = categories
+    .map(category => ({
+      _id: category._id,
+      name: category.name,
+      description: category.description,
+      displayOrder: category.displayOrder,
+      availability: category.availability,
+      isActive: category.isActive,
+      isAvailableNow: isCategoryAvailableAt(category, restaurant, at),
+      items: itemsByCategory.get(category._id.toString()) || []
+    }))
+    .filter(group => group.isAvailableNow || includeUnavailable);
+
+  const categoryIds = new Set(categories.map(category => category._id.toString()));
+  itemsByCategory.forEach((groupItems, key) => {
+    if (categoryIds.has(key)) return;
+    groups.push({
+      _id: null,
+      name: groupItems[0].category,
+      isActive: true,
+      isAvailableNow: true,
+      items: groupItems
+    });
+  });
+
+  return groups.filter(group => group.items.length > 0);
+};
+
+/*
+ * Menu items whose category is not being served at a moment.
+ * Returns [{ menuItem, name, category }].
+ */
+const getItemsOutsideCategoryHours = async (menuItems, restaurant, at = new Date()) => {
+  const categoryIds = menuItems.map(item => item.menuCategory).filter(Boolean);
+  const categories = await MenuCategory.find({ _id: { $in: categoryIds } });
+  const categoriesById = new Map(categories.map(category => [category._id.toString(), category]));
+
+  return menuItems
+    .filter(item => {
+      const category = item.menuCategory && categoriesById.get(item.menuCategory.toString());
+      return category && !isCategoryAvailableAt(category, restaurant, at);
+    })
+    .map(item => ({ menuItem: item._id, name: item.name, category: item.category }));
+};
+
+module.exports = {
+  isCategoryAvailableAt,
+  resolveCategories,
+  resolveCategory,
+  getGroupedMenu,
+  getItemsOutsideCategoryHours
+};
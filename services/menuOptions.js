@@ -0,0 +1,59 @@
+/*
+ * Resolve a set of selected option ids against a menu item's option groups.
+ * Returns { valid: true, options, unitPrice } or { valid: false, message }.
+ * options is a snapshot ({ group, groupName, option, name, priceDelta }) in menu order.
+ */
+const resolveItemOptions = (menuItem, optionIds = []) => {
+  const selected = new Set(optionIds.map(id => id.toString()));
+  const groups = menuItem.optionGroups || [];
+  const options = [];
+  let matched = 0;
+
+  for (const group of groups) {
+    const chosen = group.options.filter(option => selected.has(option._id.toString()));
+    const minSelections = Math.max(group.minSelections || 0, group.required ? 1 : 0);
+
+    if (chosen.length < minSelections) {
+      return { valid: false, message: `Please choose at least ${minSelections} option(s) for ${group.name}` };
+    }
+
+    if (chosen.length > group.maxSelections) {
+      return { valid: false, message: `You can choose at most ${group.maxSelections} option(s) for ${group.name}` };
+    }
+
+    const unavailable = chosen.find(option => !option.isAvailable);
+    if (unavailable) {
+      return { valid: false, message: `${unavailable.name} is not available` };
+    }
+
+    chosen.forEach(option => {
+      options.push({
+        group: group._id,
+        groupName: group.name,
+        option: option._id,
+        name: option.name,
+        priceDelta: option.priceDelta
+      });
+    });
+    matched += chosen.length;
+  }
+
+  if (matched !== selected.size) {
+    return { valid: false, message: 'Some selected options do not belong to this item' };
+  }
+
+  const unitPrice = options.reduce((sum, option) => sum + option.priceDelta, menuItem.price);
+
+  return { valid: true, options, unitPrice };
+};
+
+// Key identifying a cart line: the same item with different options is a different line
+const getLineKey = (menuItemId, options = []) => {
+  const optionIds = options.map(option => option.option.toString()).sort();
+  return [menuItemId.toString(), ...optionIds].join(':');
+};
+
+module.exports = {
+  resolveItemOptions,
+  getLineKey
+};
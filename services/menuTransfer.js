@@ -0,0 +1,267 @@
+const path = require('path');
+const Joi = require('joi');
+const MenuItem = require('../models/MenuItem');
+const config = require('../config/uploads');
+const { menuItemSchema } = require('../middleware/validation');
+const { parseCsv, isBlankRow, toCsv } = require('../utils/csv');
+const { resolveCategories, getGroupedMenu } = require('./menuCategories');
+const { applyStockChange } = require('./inventory');
+
+// Columns of the CSV format; option groups, stock settings and nutrition are only carried by JSON
+const CSV_COLUMNS = ['name', 'description', 'category', 'price', 'isVegetarian', 'isAvailable', 'tags', 'allergens', 'dietLabels'];
+
+// List columns such as tags are kept in one CSV cell
+const LIST_COLUMNS = ['tags', 'allergens', 'dietLabels'];
+const TAG_SEPARATOR = '|';
+
+const FORMATS = ['csv', 'json'];
+
+// Imported items may also be switched on or off; the restaurant comes from the URL
+const importRowSchema = menuItemSchema.keys({
+  isAvailable: Joi.boolean(),
+  restaurantId: Joi.forbidden()
+});
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// File format from an explicit choice, the file extension or its MIME type
+const detectFormat = (file, format) => {
+  if (format) return FORMATS.includes(format) ? format : null;
+
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  if (FORMATS.includes(extension)) return extension;
+  if (file.mimetype === 'application/json') return 'json';
+  if (file.mimetype === 'text/csv') return 'csv';
+  return null;
+};
+
+const parseBoolean = (value) => {
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  return value;
+};
+
+// Turn a CSV record into item fields; blank cells are left out so defaults apply.
+// Numbers stay strings here and are converted by validation.
+const fromCsvRecord = (header, record) => {
+  const item = {};
+
+  header.forEach((column, index) => {
+    const value = (record[index] || '').trim();
+    if (value === '') return;
+
+    if (column === 'isVegetarian' || column === 'isAvailable') {
+      item[column] = parseBoolean(value);
+    } else if (LIST_COLUMNS.includes(column)) {
+      item[column] = value.split(TAG_SEPARATOR).map(entry => entry.trim()).filter(Boolean);
+    } else {
+      item[column] = value;
+    }
+  });
+
+  return item;
+};
+
+/*
+ * Read a menu file into rows of item data.
+ * Rows are numbered from 1 (CSV rows after the header line, JSON array entries).
+ * Throws a 400 error when the file cannot be read at all.
+ */
+const parseMenuFile = (file, format) => {
+  const fileFormat = detectFormat(file, format);
+  if (!fileFormat) {
+    throw badRequest('Menu file must be CSV or JSON');
+  }
+
+  const text = file.buffer.toString('utf8');
+  let rows;
+
+  if (fileFormat === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw badRequest(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+    if (!Array.isArray(items)) {
+      throw badRequest('JSON menu must be an array of items or an object with an "items" array');
+    }
+    rows = items.map((data, index) => ({ row: index + 1, data }));
+  } else {
+    const lines = parseCsv(text);
+    const headerIndex = lines.findIndex(line => !isBlankRow(line));
+    if (headerIndex === -1) {
+      throw badRequest('CSV file is empty');
+    }
+    const header = lines[headerIndex];
+
+    const columns = header.map(column => column.trim());
+    const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown CSV columns: ${unknown.join(', ')}. Expected: ${CSV_COLUMNS.join(', ')}`);
+    }
+
+    // Blank lines are skipped but still counted, so row numbers match the file
+    rows = lines
+      .map((record, index) => ({ row: index - headerIndex, record }))
+      .filter(({ row, record }) => row > 0 && !isBlankRow(record))
+      .map(({ row, record }) => ({ row, data: fromCsvRecord(columns, record) }));
+  }
+
+  if (rows.length === 0) {
+    throw badRequest('Menu file has no items');
+  }
+
+  if (rows.length > config.menuImport.maxRows) {
+    throw badRequest(`Menu files are limited to ${config.menuImport.maxRows} items`);
+  }
+
+  return rows;
+};
+
+const nameKey = (name) => name.trim().toLowerCase();
+
+// Merge imported stock settings into the item's current stock, keeping availability in step like owner stock updates
+const toStockFields = (value, item) => {
+  const menuItem = new MenuItem({
+    isAvailable: item ? item.isAvailable : true,
+    stock: item && item.stock ? item.stock.toObject() : undefined
+  });
+  if (value.isAvailable !== undefined) menuItem.isAvailable = value.isAvailable;
+
+  applyStockChange(menuItem, value.stock);
+  return { isAvailable: menuItem.isAvailable, stock: menuItem.stock.toObject() };
+};
+
+/*
+ * Validate and upsert menu rows for a restaurant, matching existing items by name (case-insensitive).
+ * Nothing is written when any row is invalid or when dryRun is set.
+ * Returns { dryRun, total, created, updated, errors: [{ row, name, messages }] }.
+ */
+const importMenu = async (restaurant, rows, { dryRun = false } = {}) => {
+  const existing = await MenuItem.find({ restaurant: restaurant._id }).select('name isAvailable stock');
+  const existingByName = new Map(existing.map(item => [nameKey(item.name), item]));
+
+  const errors = [];
+  const seenNames = new Map();
+  const valid = [];
+
+  rows.forEach(({ row, data }) => {
+    const { error, value } = importRowSchema.validate(data, { abortEarly: false });
+    const name = data && typeof data.name === 'string' ? data.name : undefined;
+
+    if (error) {
+      errors.push({ row, name, messages: error.details.map(detail => detail.message) });
+      return;
+    }
+
+    const key = nameKey(value.name);
+    if (seenNames.has(key)) {
+      errors.push({ row, name, messages: [`Duplicate of row ${seenNames.get(key)}`] });
+      return;
+    }
+    seenNames.set(key, row);
+
+    valid.push({ row, value, existing: existingByName.get(key) });
+  });
+
+  const summary = {
+    dryRun,
+    total: rows.length,
+    created: valid.filter(entry => !entry.existing).length,
+    updated: valid.filter(entry => entry.existing).length,
+    errors
+  };
+
+  if (dryRun || errors.length > 0) {
+    return summary;
+  }
+
+  const categories = await resolveCategories(restaurant._id, valid.map(({ value }) => value.category));
+
+  await MenuItem.bulkWrite(valid.map(({ value, existing: item }) => {
+    const category = categories.get(value.category.trim().toLowerCase());
+    return {
+      updateOne: {
+        filter: item ? { _id: item._id } : { restaurant: restaurant._id, name: value.name },
+        update: {
+          $set: {
+            ...value,
+            ...(value.stock ? toStockFields(value, item) : {}),
+            category: category.name,
+            menuCategory: category._id,
+            restaurant: restaurant._id
+          }
+        },
+        upsert: true
+      }
+    };
+  }));
+
+  return summary;
+};
+
+// Item fields that round-trip through an import
+const toImportItem = (item) => ({
+  name: item.name,
+  description: item.description,
+  category: item.category,
+  price: item.price,
+  isVegetarian: item.isVegetarian,
+  isAvailable: item.isAvailable,
+  tags: item.tags,
+  allergens: item.allergens,
+  dietLabels: item.dietLabels,
+  nutritionalInfo: item.nutritionalInfo,
+  optionGroups: item.optionGroups.map(group => ({
+    name: group.name,
+    required: group.required,
+    minSelections: group.minSelections,
+    maxSelections: group.maxSelections,
+    options: group.options.map(option => ({
+      name: option.name,
+      priceDelta: option.priceDelta,
+      isAvailable: option.isAvailable
+    }))
+  })),
+  stock: {
+    isTracked: item.stock.isTracked,
+    quantity: item.stock.quantity,
+    dailyResetQuantity: item.stock.dailyResetQuantity,
+    lowStockThreshold: item.stock.lowStockThreshold
+  }
+});
+
+/*
+ * Export a restaurant's menu in a format the import accepts.
+ * Returns { filename, body }.
+ */
+const exportMenu = async (restaurant, format = 'json') => {
+  // Items follow the menu's category order, so a re-import keeps it
+  const groups = await getGroupedMenu(restaurant, { includeUnavailable: true });
+  const items = groups.flatMap(group => group.items).map(toImportItem);
+  const filename = `menu-${restaurant._id}.${format}`;
+
+  if (format === 'csv') {
+    const records = items.map(item => CSV_COLUMNS.map(column =>
+      LIST_COLUMNS.includes(column) ? item[column].join(TAG_SEPARATOR) : item[column]
+    ));
+    return { filename, body: toCsv([CSV_COLUMNS, ...records]) };
+  }
+
+  return { filename, body: JSON.stringify({ items }, null, 2) };
+};
+
+module.exports = {
+  FORMATS,
+  parseMenuFile,
+  importMenu,
+  exportMenu
+};
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const AssignmentOffer = require('../models/AssignmentOffer');
+const Order = require('../models/Order');
+const { DISPATCH_STATUSES, dispatchOrder, hasCapacity } = require('./dispatch');
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Move an offer out of pending; returns the updated offer, or null when it was already answered
+const closeOffer = (offerId, status, fields = {}) => AssignmentOffer.findOneAndUpdate(
+  { _id: offerId, status: 'pending' },
+  { status, ...fields },
+  { new: true }
+);
+
+// Take an open offer off its order; the order's current agent, if any, keeps it
+const clearOrderOffer = async (orderId, offerId) => {
+  const order = await Order.findOne({ _id: orderId, 'dispatch.offer': offerId });
+  if (!order) return null;
+
+  return Order.findOneAndUpdate(
+    { _id: orderId, 'dispatch.offer': offerId },
+    {
+      $set: { 'dispatch.status': order.deliveryAgent ? 'assigned' : 'searching' },
+      $unset: { 'dispatch.offer': 1, 'dispatch.offerExpiresAt': 1 }
+    },
+    { new: true }
+  );
+};
+
+// After a decline or expiry, offer the order to the next candidate
+const offerToNextAgent = async (offer, now) => {
+  const order = await clearOrderOffer(offer.order, offer._id);
+  if (!order) return null;
+
+  const result = await dispatchOrder(order, { reassign: !!order.deliveryAgent, now });
+  return result.order;
+};
+
+const checkOpen = (offer, now) => {
+  if (offer.status !== 'pending') {
+    throw httpError(409, `Offer was already ${offer.status}`);
+  }
+  if (offer.expiresAt <= now) {
+    throw httpError(409, 'Offer has expired');
+  }
+};
+
+/*
+ * Accept an open offer: the agent becomes the order's delivery agent.
+ * Throws 409 when the offer is closed or expired, the agent is at their order limit,
+ * or the order is no longer waiting for this offer.
+ * Returns { offer, order }.
+ */
+const acceptOffer = async (offer, agent, now = new Date()) => {
+  checkOpen(offer, now);
+
+  if (!(await hasCapacity(agent))) {
+    throw httpError(409, 'You are at your order limit');
+  }
+
+  const accepted = await closeOffer(offer._id, 'accepted', { respondedAt: now });
+  if (!accepted) {
+    throw httpError(409, 'Offer is no longer open');
+  }
+
+  const order = await Order.findOneAndUpdate(
+    { _id: offer.order, 'dispatch.offer': offer._id, status: { $in: DISPATCH_STATUSES } },
+    {
+      $set: {
+        deliveryAgent: offer.agent,
+        'dispatch.status': 'assigned',
+        'dispatch.method': offer.method,
+        'dispatch.assignedAt': now
+      },
+      $unset: { 'dispatch.offer': 1, 'dispatch.offerExpiresAt': 1 }
+    },
+    { new: true }
+  );
+
+  if (!order) {
+    accepted.status = 'cancelled';
+    await accepted.save();
+    throw httpError(409, 'Order is no longer available');
+  }
+
+  return { offer: accepted, order };
+};
+
+/*
+ * Decline an open offer; the order moves on to the next candidate.
+ * Returns the declined offer.
+ */
+const declineOffer = async (offer, { reason } = {}, now = new Date()) => {
+  checkOpen(offer, now);
+
+  const declined = await closeOffer(offer._id, 'declined', { respondedAt: now, declineReason: reason });
+  if (!declined) {
+    throw httpError(409, 'Offer is no longer open');
+  }
+
+  await offerToNextAgent(declined, now);
+  return declined;
+};
+
+// Expire offers nobody answered in time and move their orders on; returns the number expired
+const expireOffers = async (now = new Date()) => {
+  const offers = await AssignmentOffer.find({ status: 'pending', expiresAt: { $lte: now } })
+    .sort({ expiresAt: 1 });
+
+  // One at a time so each order sees the offers made for the previous one
+  let expired = 0;
+  for (const offer of offers) {
+    const closed = await closeOffer(offer._id, 'expired');
+    if (!closed) continue;
+
+    expired += 1;
+    await offerToNextAgent(closed, now);
+  }
+
+  return expired;
+};
+
+// Withdraw an order's open offer, e.g. when it is cancelled or offered to someone else by hand; returns the updated order
+const withdrawOffers = async (order) => {
+  const offers = await AssignmentOffer.find({ order: order._id, status: 'pending' });
+
+  let current = order;
+  for (const offer of offers) {
+    if (await closeOffer(offer._id, 'cancelled')) {
+      current = await clearOrderOffer(order._id, offer._id) || current;
+    }
+  }
+
+  return current;
+};
+
+const toDate = (value, name) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+const roundRate = (value) => Math.round(value * 1000) / 1000;
+
+/*
+ * Offer response rates per agent for offers made in an optional date range.
+ * Rates are shares of answered offers (accepted, declined or expired); withdrawn offers do not count.
+ * Returns [{ agent, offered, accepted, declined, expired, pending, acceptanceRate, declineRate, expiryRate }],
+ * most offers first.
+ */
+const getOfferStats = async ({ agent, from, to } = {}) => {
+  const match = { status: { $ne: 'cancelled' } };
+  if (agent) match.agent = new mongoose.Types.ObjectId(agent);
+
+  const fromDate = toDate(from, 'from');
+  const toDateValue = toDate(to, 'to');
+  if (fromDate || toDateValue) {
+    match.createdAt = {};
+    if (fromDate) match.createdAt.$gte = fromDate;
+    if (toDateValue) match.createdAt.$lte = toDateValue;
+  }
+
+  const countOf = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+  const stats = await AssignmentOffer.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$agent',
+        offered: { $sum: 1 },
+        accepted: countOf('accepted'),
+        declined: countOf('declined'),
+        expired: countOf('expired'),
+        pending: countOf('pending')
+      }
+    },
+    { $sort: { offered: -1 } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'agent' } }
+  ]);
+
+  return stats.map(entry => {
+    const answered = entry.accepted + entry.declined + entry.expired;
+    const rate = (count) => (answered > 0 ? roundRate(count / answered) : null);
+    const [profile] = entry.agent;
+
+    return {
+      agent: {
+        _id: entry._id,
+        fullName: profile && profile.fullName,
+        mobile: profile && profile.mobile
+      },
+      offered: entry.offered,
+      accepted: entry.accepted,
+      declined: entry.declined,
+      expired: entry.expired,
+      pending: entry.pending,
+      acceptanceRate: rate(entry.accepted),
+      declineRate: rate(entry.declined),
+      expiryRate: rate(entry.expired)
+    };
+  });
+};
+
+module.exports = {
+  acceptOffer,
+  declineOffer,
+  expireOffers,
+  withdrawOffers,
+  getOfferStats
+};
@@ -0,0 +1,90 @@
+const {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  parseTimeOfDay,
+  getLocalTimeParts,
+  addDays,
+  getWeekday,
+  toUtcDate
+} = require('../utils/time');
+
+// How far ahead to look for the next opening time
+const LOOKAHEAD_DAYS = 14;
+
+const toMinuteIntervals = (intervals = []) => {
+  return intervals
+    .map(interval => ({ open: parseTimeOfDay(interval.open), close: parseTimeOfDay(interval.close) }))
+    .filter(interval => interval.open !== null && interval.close !== null);
+};
+
+/*
+ * Opening intervals for a local calendar date, as minutes after midnight.
+ * A dated exception wins over the weekly schedule; restaurants without a weekly
+ * schedule fall back to the legacy opening/closing hours for every day.
+ * An interval whose close is not after its open runs past midnight.
+ */
+const getIntervalsForDate = (restaurant, localDate) => {
+  const schedule = restaurant.schedule || {};
+
+  const exception = (schedule.exceptions || []).find(e => e.date === localDate);
+  if (exception) {
+    return exception.closed ? [] : toMinuteIntervals(exception.intervals);
+  }
+
+  if (schedule.weekly && schedule.weekly.length > 0) {
+    const day = WEEKDAYS[getWeekday(localDate)];
+    const entry = schedule.weekly.find(d => d.day === day);
+    return entry ? toMinuteIntervals(entry.intervals) : [];
+  }
+
+  if (restaurant.hours && restaurant.hours.opening && restaurant.hours.closing) {
+    return toMinuteIntervals([{ open: restaurant.hours.opening, close: restaurant.hours.closing }]);
+  }
+
+  // No hours at all: always open
+  return [{ open: 0, close: 0 }];
+};
+
+const crossesMidnight = (interval) => interval.close <= interval.open;
+
+// Whether the schedule has the restaurant open at a moment (ignores pauses and manual switches)
+const isOpenAt = (restaurant, at = new Date()) => {
+  const timeZone = restaurant.timezone || DEFAULT_TIMEZONE;
+  const { date, minutes } = getLocalTimeParts(at, timeZone);
+
+  const openToday = getIntervalsForDate(restaurant, date).some(interval =>
+    minutes >= interval.open && (crossesMidnight(interval) || minutes < interval.close)
+  );
+  if (openToday) return true;
+
+  // Late-night intervals that started yesterday
+  return getIntervalsForDate(restaurant, addDays(date, -1)).some(interval =>
+    crossesMidnight(interval) && minutes < interval.close
+  );
+};
+
+// The next moment at or after `from` when the schedule opens; null if none within the lookahead
+const getNextOpeningTime = (restaurant, from = new Date()) => {
+  if (isOpenAt(restaurant, from)) return from;
+
+  const timeZone = restaurant.timezone || DEFAULT_TIMEZONE;
+  const { date } = getLocalTimeParts(from, timeZone);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const localDate = addDays(date, offset);
+    const openings = getIntervalsForDate(restaurant, localDate)
+      .map(interval => toUtcDate(localDate, interval.open, timeZone))
+      .filter(opening => opening > from)
+      .sort((a, b) => a - b);
+
+    if (openings.length > 0) return openings[0];
+  }
+
+  return null;
+};
+
+module.exports = {
+  getIntervalsForDate,
+  isOpenAt,
+  getNextOpeningTime
+};
@@ -0,0 +1,32 @@
+const mockProvider = require('./mockProvider');
+
+/*
+ * Payment providers implement:
+ *   name
+ *   createPaymentIntent({ order }) -> { id, clientSecret, amount, status }
+ *   cancelPaymentIntent(paymentIntentId) -> { id, status }
+ *   createRefund({ paymentIntentId, refund }) -> { id, status }
+ *   verifyWebhookSignature(rawBody, signature) -> boolean
+ *   parseWebhookEvent(body) -> { id, type, paymentIntentId, refundId, reason }
+ *
+ * Webhook event types: payment.succeeded, payment.failed, refund.succeeded, refund.failed
+ */
+const providers = {
+  mock: mockProvider
+};
+
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Payment methods that are collected online before the order is placed
+const ONLINE_PAYMENT_METHODS = ['card', 'upi'];
+
+module.exports = {
+  getPaymentProvider,
+  ONLINE_PAYMENT_METHODS
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Deterministic in-process payment provider for local development and tests.
+// Intents succeed or fail only when a webhook event is posted for them.
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret';
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(payload).digest('hex');
+};
+
+const createPaymentIntent = async ({ order }) => {
+  const id = `mock_pi_${order._id}`;
+  return {
+    id,
+    clientSecret: `${id}_secret`,
+    amount: order.finalAmount,
+    status: 'requires_payment'
+  };
+};
+
+const cancelPaymentIntent = async (paymentIntentId) => {
+  return { id: paymentIntentId, status: 'canceled' };
+};
+
+const createRefund = async ({ paymentIntentId, refund }) => {
+  return {
+    id: `mock_re_${refund._id}`,
+    paymentIntentId,
+    amount: refund.amount,
+    status: 'pending'
+  };
+};
+
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!rawBody || !signature) return false;
+
+  const expected = Buffer.from(sign(rawBody));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Events look like { id, type, data: { paymentIntentId, refundId, reason } }
+const parseWebhookEvent = (body) => ({
+  id: body.id,
+  type: body.type,
+  paymentIntentId: body.data && body.data.paymentIntentId,
+  refundId: body.data && body.data.refundId,
+  reason: body.data && body.data.reason
+});
+
+// Build a signed webhook request body, e.g. to simulate a successful payment in tests
+const createWebhookEvent = (type, data) => {
+  const payload = JSON.stringify({
+    id: `mock_evt_${type}_${data.paymentIntentId || data.refundId}`,
+    type,
+    data
+  });
+  return { payload, signature: sign(payload) };
+};
+
+module.exports = {
+  name: 'mock',
+  createPaymentIntent,
+  cancelPaymentIntent,
+  createRefund,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  createWebhookEvent
+};
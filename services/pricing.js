@@ -0,0 +1,185 @@
+const config = require('../config/pricing');
+const { hasCoordinates, haversineDistanceKm, fromGeoPoint } = require('../utils/geo');
+const { calculateDiscount } = require('./coupons');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Resolve the tax rate for a category in a state
+const getTaxRate = (state, category) => {
+  const matches = config.tax.rules.filter(rule =>
+    (!rule.state || rule.state === state) &&
+    (!rule.category || rule.category === category)
+  );
+
+  if (matches.length === 0) return config.tax.defaultRate;
+
+  // Most specific rule first: state + category, category, state
+  const specificity = rule => (rule.category ? 2 : 0) + (rule.state ? 1 : 0);
+  return matches.sort((a, b) => specificity(b) - specificity(a))[0].rate;
+};
+
+/*
+ * Pricing components. Each component receives the quote built so far and the
+ * pricing context ({ items, restaurant, deliveryAddress, coupon, tip }) and adds its lines.
+ * Components run in order, so later ones can rely on earlier totals.
+ */
+
+const subtotalComponent = (quote, { items }) => {
+  quote.items = items.map(item => ({
+    menuItem: item.menuItem,
+    name: item.name,
+    category: item.category,
+    options: (item.options || []).map(option => ({ groupName: option.groupName, name: option.name, priceDelta: option.priceDelta })),
+    quantity: item.quantity,
+    unitPrice: item.price,
+    originalUnitPrice: item.originalPrice || item.price,
+    discount: item.discount || null,
+    total: roundAmount(item.price * item.quantity)
+  }));
+
+  quote.subtotal = roundAmount(quote.items.reduce((sum, item) => sum + item.total, 0));
+  // Item discounts are already in the unit prices; savings only shows what they took off
+  quote.itemSavings = roundAmount(quote.items.reduce(
+    (sum, item) => sum + (item.originalUnitPrice - item.unitPrice) * item.quantity, 0
+  ));
+  quote.lines.push({
+    code: 'subtotal',
+    label: 'Item total',
+    amount: quote.subtotal,
+    savings: quote.itemSavings
+  });
+};
+
+const deliveryFeeComponent = (quote, { restaurant, deliveryAddress }) => {
+  const from = fromGeoPoint(restaurant.location);
+  const to = deliveryAddress && deliveryAddress.coordinates;
+
+  let fee = config.defaultDeliveryFee;
+  quote.distanceKm = null;
+
+  if (hasCoordinates(from) && hasCoordinates(to)) {
+    const distanceKm = haversineDistanceKm(from, to);
+    const band = config.deliveryBands.find(b => distanceKm <= b.upToKm);
+    quote.distanceKm = roundAmount(distanceKm);
+    fee = band.fee;
+  }
+
+  quote.deliveryFee = fee;
+  quote.lines.push({
+    code: 'delivery_fee',
+    label: 'Delivery fee',
+    amount: fee,
+    distanceKm: quote.distanceKm
+  });
+};
+
+const packagingComponent = (quote) => {
+  const itemCount = quote.items.reduce((sum, item) => sum + item.quantity, 0);
+  const charge = Math.min(itemCount * config.packaging.perItem, config.packaging.maxPerOrder);
+
+  quote.packagingCharge = charge;
+  quote.lines.push({ code: 'packaging', label: 'Packaging charges', amount: charge });
+};
+
+const smallOrderComponent = (quote) => {
+  const surcharge = quote.subtotal < config.smallOrder.threshold ? config.smallOrder.surcharge : 0;
+
+  quote.smallOrderFee = surcharge;
+  if (surcharge > 0) {
+    quote.lines.push({ code: 'small_order_fee', label: 'Small order fee', amount: surcharge });
+  }
+};
+
+const taxComponent = (quote, { restaurant }) => {
+  const state = restaurant.address && restaurant.address.state;
+
+  quote.items.forEach(item => {
+    item.taxRate = getTaxRate(state, item.category);
+    item.tax = roundAmount(item.total * item.taxRate / 100);
+  });
+
+  quote.tax = roundAmount(quote.items.reduce((sum, item) => sum + item.tax, 0));
+  quote.lines.push({ code: 'tax', label: 'Taxes', amount: quote.tax });
+};
+
+const couponComponent = (quote, { coupon }) => {
+  quote.discount = 0;
+  if (!coupon) return;
+
+  quote.discount = calculateDiscount(coupon, quote);
+  quote.coupon = { code: coupon.code, type: coupon.type, description: coupon.description };
+  quote.lines.push({ code: 'discount', label: `Coupon ${coupon.code}`, amount: -quote.discount });
+};
+
+// Tips come after the coupon so discounts never reduce them
+const tipComponent = (quote, { tip }) => {
+  quote.tip = roundAmount(tip || 0);
+  if (quote.tip > 0) {
+    quote.lines.push({ code: 'tip', label: 'Delivery partner tip', amount: quote.tip });
+  }
+};
+
+const pricingComponents = [
+  subtotalComponent,
+  deliveryFeeComponent,
+  packagingComponent,
+  smallOrderComponent,
+  taxComponent,
+  couponComponent,
+  tipComponent
+];
+
+/*
+ * Build a price quote.
+ * items: [{ menuItem, name, category, options, quantity, price, originalPrice, discount }] where price
+ *   includes option deltas and any item discount, and originalPrice is the price before the discount
+ * restaurant: Restaurant document (location)
+ * deliveryAddress: { coordinates: { latitude, longitude } } (optional)
+ * coupon: Coupon document that has already passed eligibility checks (optional)
+ * tip: tip for the delivery agent (optional)
+ */
+const calculateQuote = (context, components = pricingComponents) => {
+  const quote = { lines: [] };
+
+  components.forEach(component => component(quote, context));
+
+  // Lines add up to the total; discounts use negative amounts
+  quote.total = roundAmount(quote.lines.reduce((sum, line) => sum + line.amount, 0));
+  quote.lines.push({ code: 'total', label: 'To pay', amount: quote.total });
+
+  return quote;
+};
+
+// Check a tip amount from a request; missing tips are zero
+const validateTip = (value) => {
+  if (value === undefined || value === '') return { valid: true, tip: 0 };
+
+  const tip = Number(value);
+  if (!Number.isFinite(tip) || tip < 0 || tip > config.maxTip) {
+    return { valid: false, message: `Tip must be between 0 and ${config.maxTip}` };
+  }
+  return { valid: true, tip: roundAmount(tip) };
+};
+
+// Build the pricing items from a cart whose items.menuItem is populated.
+// Lines whose menu item has been deleted populate as null and are left out.
+const cartToPricingItems = (cart) => {
+  return cart.items.filter(item => item.menuItem).map(item => ({
+    menuItem: item.menuItem._id,
+    name: item.menuItem.name,
+    category: item.menuItem.category,
+    options: item.options,
+    quantity: item.quantity,
+    price: item.price,
+    originalPrice: item.originalPrice,
+    discount: item.discount
+  }));
+};
+
+module.exports = {
+  calculateQuote,
+  cartToPricingItems,
+  validateTip,
+  pricingComponents,
+  getTaxRate
+};
@@ -0,0 +1,46 @@
+const Refund = require('../models/Refund');
+const config = require('../config/cancellation');
+const { getPaymentProvider } = require('./payments');
+
+/*
+ * Send a recorded refund to the order's payment provider. Refunds are saved as pending before
+ * they are sent, so one the provider never received keeps no providerRefundId and is sent again
+ * by submitPendingRefunds. Returns the refund.
+ */
+const submitRefund = async (refund, order) => {
+  const providerRefund = await getPaymentProvider(order.paymentProvider).createRefund({
+    paymentIntentId: order.paymentIntentId,
+    refund
+  });
+
+  refund.providerRefundId = providerRefund.id;
+  await refund.save();
+  return refund;
+};
+
+// Send refunds that were recorded but did not reach the provider; returns the number sent
+const submitPendingRefunds = async (now = new Date()) => {
+  const refunds = await Refund.find({
+    status: 'pending',
+    providerRefundId: { $exists: false },
+    // Leave refunds that are still being sent by the request that recorded them
+    createdAt: { $lte: new Date(now.getTime() - config.refundRetryDelayMs) }
+  }).populate('order', 'paymentProvider paymentIntentId');
+
+  let submitted = 0;
+  for (const refund of refunds) {
+    try {
+      await submitRefund(refund, refund.order);
+      submitted += 1;
+    } catch (error) {
+      console.error(`Refund ${refund._id} submission error:`, error);
+    }
+  }
+
+  return submitted;
+};
+
+module.exports = {
+  submitRefund,
+  submitPendingRefunds
+};
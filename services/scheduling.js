@@ -0,0 +1,39 @@
+const config = require('../config/scheduling');
+const { isOpenAt } = require('./openingHours');
+
+const MINUTE = 60 * 1000;
+
+// Check a requested delivery slot against the lead-time window and the restaurant's hours
+const validateScheduledTime = (scheduledFor, restaurant, now = new Date()) => {
+  const slot = new Date(scheduledFor);
+
+  if (Number.isNaN(slot.getTime())) {
+    return { valid: false, message: 'scheduledFor must be a valid date' };
+  }
+
+  const earliest = new Date(now.getTime() + config.minLeadMinutes * MINUTE);
+  if (slot < earliest) {
+    return { valid: false, message: `Orders must be scheduled at least ${config.minLeadMinutes} minutes ahead` };
+  }
+
+  const latest = new Date(now.getTime() + config.maxDaysAhead * 24 * 60 * MINUTE);
+  if (slot > latest) {
+    return { valid: false, message: `Orders can be scheduled at most ${config.maxDaysAhead} days ahead` };
+  }
+
+  if (!isOpenAt(restaurant, slot)) {
+    return { valid: false, message: 'Restaurant is closed at the requested time' };
+  }
+
+  return { valid: true, scheduledFor: slot };
+};
+
+// When a scheduled order is handed to the restaurant
+const getReleaseTime = (scheduledFor) => {
+  return new Date(new Date(scheduledFor).getTime() - config.releaseMinutesBefore * MINUTE);
+};
+
+module.exports = {
+  validateScheduledTime,
+  getReleaseTime
+};
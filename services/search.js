@@ -0,0 +1,215 @@
+const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const config = require('../config/search');
+const { getOpeningState } = require('./availability');
+const { toMenuItemQuery } = require('./dietary');
+
+const roundScore = (score) => Math.round(score * 1000) / 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getTerms = (q) => q.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+const getPriceRangeLabel = (range) => range.max === null ? `${range.min}+` : `${range.min}-${range.max}`;
+
+const isInPriceRange = (price, range) => price >= range.min && (range.max === null || price < range.max);
+
+// Every term must start a word in one of the fields
+const prefixFilter = (terms, fields) => ({
+  $and: terms.map(term => {
+    const pattern = new RegExp(`\\b${escapeRegex(term)}`, 'i');
+    return { $or: fields.map(field => ({ [field]: pattern })) };
+  })
+});
+
+// Extra relevance for names (and, less so, labels such as cuisines or tags) that start with a term
+const prefixScore = (terms, name, labels = []) => {
+  const lowerName = name.toLowerCase();
+  const words = lowerName.split(/\s+/);
+  const lowerLabels = labels.map(label => label.toLowerCase());
+
+  return terms.reduce((score, term) => {
+    if (lowerName.startsWith(term)) return score + 1.5;
+    if (words.some(word => word.startsWith(term))) return score + 1;
+    if (lowerLabels.some(label => label.startsWith(term))) return score + 0.5;
+    return score;
+  }, 0);
+};
+
+/*
+ * Full-word matches come from the text index and partial words from a prefix match.
+ * Hits from both are merged by id and ranked by text score plus prefix bonus.
+ * Each match type reads at most candidateLimit documents; capped is set when either reached it,
+ * so there may be more matches than were returned.
+ * Returns { matches, capped }.
+ */
+const findMatches = async (Model, { q, terms, filters, prefixFields, getLabels }) => {
+  const [textHits, prefixHits] = await Promise.all([
+    Model.find({ ...filters, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(config.candidateLimit)
+      .lean(),
+    Model.find({ ...filters, ...prefixFilter(terms, prefixFields) })
+      .limit(config.candidateLimit)
+      .lean()
+  ]);
+
+  const hits = new Map();
+  [...textHits, ...prefixHits].forEach(doc => {
+    const id = doc._id.toString();
+    if (!hits.has(id)) hits.set(id, doc);
+  });
+
+  const matches = [...hits.values()]
+    .map(doc => ({
+      ...doc,
+      score: roundScore((doc.score || 0) + prefixScore(terms, doc.name, getLabels(doc)))
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    matches,
+    capped: textHits.length >= config.candidateLimit || prefixHits.length >= config.candidateLimit
+  };
+};
+
+const countBy = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+// Facet counts over every match, before the cuisine, veg and price filters are applied
+const buildFacets = (restaurants, dishes, restaurantsById) => {
+  const matchedRestaurants = new Map(restaurants.map(r => [r._id.toString(), r]));
+  dishes.forEach(dish => {
+    const id = dish.restaurant.toString();
+    if (!matchedRestaurants.has(id)) matchedRestaurants.set(id, restaurantsById.get(id));
+  });
+
+  return {
+    cuisine: countBy([...matchedRestaurants.values()].flatMap(r => r.cuisineTypes)),
+    vegOnly: {
+      veg: dishes.filter(dish => dish.isVegetarian).length,
+      nonVeg: dishes.filter(dish => !dish.isVegetarian).length
+    },
+    priceRange: config.priceRanges.map(range => ({
+      value: getPriceRangeLabel(range),
+      min: range.min,
+      max: range.max,
+      count: dishes.filter(dish => isInPriceRange(dish.price, range)).length
+    }))
+  };
+};
+
+/*
+ * Search active restaurants and available dishes.
+ * Options: cuisine, vegOnly, priceRange (a facet value such as "100-250"), limit per group and
+ * dietaryFilters from services/dietary, which leave out dishes before facets are counted.
+ * Totals and facets count the candidates read; capped marks a group where that limit was reached.
+ * Returns { restaurants: { total, capped, hits }, dishes: { total, capped, hits }, facets }.
+ */
+const search = async (q, { cuisine, vegOnly = false, priceRange, limit = 10, dietaryFilters } = {}) => {
+  const terms = getTerms(q);
+  // Dishes from inactive restaurants are left out in the query, so they do not use up candidates
+  const activeRestaurantIds = await Restaurant.distinct('_id', { isActive: true });
+
+  const [restaurantResults, dishResults] = await Promise.all([
+    findMatches(Restaurant, {
+      q,
+      terms,
+      filters: { isActive: true },
+      prefixFields: ['name', 'cuisineTypes'],
+      getLabels: restaurant => restaurant.cuisineTypes
+    }),
+    findMatches(MenuItem, {
+      q,
+      terms,
+      filters: {
+        ...(dietaryFilters ? toMenuItemQuery(dietaryFilters) : {}),
+        isAvailable: true,
+        restaurant: { $in: activeRestaurantIds }
+      },
+      prefixFields: ['name', 'tags'],
+      getLabels: dish => dish.tags || []
+    })
+  ]);
+
+  const restaurantMatches = restaurantResults.matches;
+  const dishCandidates = dishResults.matches;
+
+  // Checked again in case a restaurant was deactivated since the query above
+  const dishRestaurantIds = [...new Set(dishCandidates.map(dish => dish.restaurant.toString()))];
+  const dishRestaurants = await Restaurant.find({ _id: { $in: dishRestaurantIds }, isActive: true })
+    .select('name cuisineTypes image thumbnail rating deliveryTime isActive isOpen pausedUntil hours schedule timezone')
+    .lean();
+  const restaurantsById = new Map(dishRestaurants.map(r => [r._id.toString(), r]));
+  const dishMatches = dishCandidates.filter(dish => restaurantsById.has(dish.restaurant.toString()));
+
+  const facets = buildFacets(restaurantMatches, dishMatches, restaurantsById);
+
+  let restaurants = restaurantMatches;
+  let dishes = dishMatches;
+
+  if (cuisine) {
+    const wanted = cuisine.toLowerCase();
+    const servesCuisine = r => r.cuisineTypes.some(type => type.toLowerCase() === wanted);
+    restaurants = restaurants.filter(servesCuisine);
+    dishes = dishes.filter(dish => servesCuisine(restaurantsById.get(dish.restaurant.toString())));
+  }
+
+  if (vegOnly) {
+    dishes = dishes.filter(dish => dish.isVegetarian);
+  }
+
+  if (priceRange) {
+    const range = config.priceRanges.find(r => getPriceRangeLabel(r) === priceRange);
+    if (range) dishes = dishes.filter(dish => isInPriceRange(dish.price, range));
+  }
+
+  return {
+    restaurants: {
+      total: restaurants.length,
+      capped: restaurantResults.capped,
+      hits: restaurants.slice(0, limit).map(restaurant => ({
+        _id: restaurant._id,
+        name: restaurant.name,
+        cuisineTypes: restaurant.cuisineTypes,
+        image: restaurant.image,
+        thumbnail: restaurant.thumbnail,
+        rating: restaurant.rating,
+        deliveryTime: restaurant.deliveryTime,
+        ...getOpeningState(restaurant),
+        score: restaurant.score
+      }))
+    },
+    dishes: {
+      total: dishes.length,
+      capped: dishResults.capped,
+      hits: dishes.slice(0, limit).map(dish => {
+        const restaurant = restaurantsById.get(dish.restaurant.toString());
+        return {
+          _id: dish._id,
+          name: dish.name,
+          description: dish.description,
+          category: dish.category,
+          price: dish.price,
+          isVegetarian: dish.isVegetarian,
+          tags: dish.tags,
+          allergens: dish.allergens,
+          dietLabels: dish.dietLabels,
+          nutritionalInfo: dish.nutritionalInfo,
+          image: dish.image,
+          thumbnail: dish.thumbnail,
+          restaurant: { _id: restaurant._id, name: restaurant.name },
+          score: dish.score
+        };
+      })
+    },
+    facets
+  };
+};
+
+module.exports = { search };
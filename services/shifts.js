@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const Zone = require('../models/Zone');
+const User = require('../models/User');
+const config = require('../config/shifts');
+const { getActiveOrderCounts, getMaxActiveOrders } = require('./dispatch');
+
+const MINUTE = 60 * 1000;
+
+// Shifts that still block the agent's time
+const OPEN_SHIFT_STATUSES = ['booked', 'checked_in'];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check requested shift times against the booking rules
+const validateShiftTimes = (startsAt, endsAt, now = new Date()) => {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { valid: false, message: 'startsAt and endsAt must be valid dates' };
+  }
+
+  if (end <= now) {
+    return { valid: false, message: 'Shift has already ended' };
+  }
+
+  const minutes = (end - start) / MINUTE;
+  if (minutes < config.minShiftMinutes) {
+    return { valid: false, message: `Shifts must be at least ${config.minShiftMinutes} minutes long` };
+  }
+  if (minutes > config.maxShiftHours * 60) {
+    return { valid: false, message: `Shifts can be at most ${config.maxShiftHours} hours long` };
+  }
+
+  const latest = new Date(now.getTime() + config.maxDaysAhead * 24 * 60 * MINUTE);
+  if (start > latest) {
+    return { valid: false, message: `Shifts can be booked at most ${config.maxDaysAhead} days ahead` };
+  }
+
+  return { valid: true, startsAt: start, endsAt: end };
+};
+
+const overlapping = (startsAt, endsAt) => ({
+  status: { $in: OPEN_SHIFT_STATUSES },
+  startsAt: { $lt: endsAt },
+  endsAt: { $gt: startsAt }
+});
+
+/*
+ * Book a shift for an agent in an active zone.
+ * Throws 400 for invalid times, 404 for unknown zones and 409 when the agent already has a shift
+ * at that time or the zone has maxAgents shifts overlapping it.
+ * The checks and the booking run in a transaction that first writes to the agent and the zone,
+ * so concurrent bookings for either conflict and are retried against the shifts booked meanwhile.
+ */
+const bookShift = async (agent, { zone: zoneId, startsAt, endsAt }, now = new Date()) => {
+  const times = validateShiftTimes(startsAt, endsAt, now);
+  if (!times.valid) {
+    throw httpError(400, times.message);
+  }
+
+  const zone = await Zone.findById(zoneId);
+  if (!zone || !zone.isActive) {
+    throw httpError(404, 'Zone not found');
+  }
+
+  const window = overlapping(times.startsAt, times.endsAt);
+  const shift = new Shift({
+    agent: agent._id,
+    zone: zone._id,
+    startsAt: times.startsAt,
+    endsAt: times.endsAt
+  });
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await User.updateOne({ _id: agent._id }, { $inc: { shiftBookingVersion: 1 } }, { session });
+      await Zone.updateOne({ _id: zone._id }, { $inc: { bookingVersion: 1 } }, { session });
+
+      if (await Shift.exists({ ...window, agent: agent._id }).session(session)) {
+        throw httpError(409, 'You already have a shift at this time');
+      }
+
+      if (zone.maxAgents) {
+        const booked = await Shift.countDocuments({ ...window, zone: zone._id }).session(session);
+        if (booked >= zone.maxAgents) {
+          throw httpError(409, 'Zone is fully booked for this time');
+        }
+      }
+
+      await shift.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return shift;
+};
+
+// Start a booked shift; the agent becomes available for orders
+const checkIn = async (shift, now = new Date()) => {
+  if (shift.status !== 'booked') {
+    throw httpError(409, `Cannot check in to a ${shift.status} shift`);
+  }
+
+  if (now < new Date(shift.startsAt.getTime() - config.checkInEarlyMinutes * MINUTE)) {
+    throw httpError(400, `Check-in opens ${config.checkInEarlyMinutes} minutes before the shift starts`);
+  }
+  if (now >= shift.endsAt) {
+    throw httpError(400, 'Shift has already ended');
+  }
+
+  shift.status = 'checked_in';
+  shift.checkedInAt = now;
+  await shift.save();
+
+  await User.findByIdAndUpdate(shift.agent, { isAvailable: true });
+  return shift;
+};
+
+// End a checked-in shift; the agent stops receiving orders unless checked in to another one
+const checkOut = async (shift, { now = new Date(), auto = false } = {}) => {
+  if (shift.status !== 'checked_in') {
+    throw httpError(409, `Cannot check out of a ${shift.status} shift`);
+  }
+
+  shift.status = 'completed';
+  shift.checkedOutAt = now;
+  shift.autoCheckedOut = auto;
+  await shift.save();
+
+  if (!(await Shift.exists({ agent: shift.agent, status: 'checked_in' }))) {
+    await User.findByIdAndUpdate(shift.agent, { isAvailable: false });
+  }
+  return shift;
+};
+
+const isOnShift = async (agentId) => !!(await Shift.exists({ agent: agentId, status: 'checked_in' }));
+
+/*
+ * Mark ended shifts nobody checked in to as missed, and check out agents
+ * still checked in autoCheckOutMinutes after their shift ended.
+ * Returns { missed, checkedOut }.
+ */
+const closeEndedShifts = async (now = new Date()) => {
+  const missed = await Shift.updateMany(
+    { status: 'booked', endsAt: { $lte: now } },
+    { status: 'missed' }
+  );
+
+  const overdue = await Shift.find({
+    status: 'checked_in',
+    endsAt: { $lte: new Date(now.getTime() - config.autoCheckOutMinutes * MINUTE) }
+  });
+  for (const shift of overdue) {
+    await checkOut(shift, { now, auto: true });
+  }
+
+  return { missed: missed.modifiedCount, checkedOut: overdue.length };
+};
+
+const roundRatio = (value) => Math.round(value * 100) / 100;
+
+/*
+ * Agents on shift now: everyone checked in, plus agents whose booked shift has started
+ * but who have not checked in. Optionally limited to one zone.
+ * Returns { at, summary: { onShift, notCheckedIn, activeOrders, capacity, utilisation }, agents }.
+ */
+const getRoster = async ({ zone, now = new Date() } = {}) => {
+  const filters = {
+    $or: [
+      { status: 'checked_in' },
+      { status: 'booked', startsAt: { $lte: now }, endsAt: { $gt: now } }
+    ]
+  };
+  if (zone) filters.zone = zone;
+
+  // Shifts of deleted agents populate without an agent and are left out
+  const shifts = (await Shift.find(filters)
+    .populate('agent', 'fullName mobile isAvailable maxActiveOrders currentLocation')
+    .populate('zone', 'name city')
+    .sort({ startsAt: 1 }))
+    .filter(shift => shift.agent);
+
+  const loads = await getActiveOrderCounts(shifts.map(shift => shift.agent._id));
+
+  const agents = shifts.map(shift => {
+    const activeOrders = loads.get(shift.agent._id.toString()) || 0;
+    const maxActiveOrders = getMaxActiveOrders(shift.agent);
+    let state = 'not_checked_in';
+    if (shift.status === 'checked_in') state = shift.agent.isAvailable ? 'available' : 'paused';
+
+    return {
+      shift: shift._id,
+      agent: {
+        _id: shift.agent._id,
+        fullName: shift.agent.fullName,
+        mobile: shift.agent.mobile,
+        currentLocation: shift.agent.currentLocation
+      },
+      zone: shift.zone,
+      startsAt: shift.startsAt,
+      endsAt: shift.endsAt,
+      checkedInAt: shift.checkedInAt,
+      state,
+      activeOrders,
+      maxActiveOrders,
+      utilisation: roundRatio(activeOrders / maxActiveOrders)
+    };
+  });
+
+  const checkedIn = agents.filter(entry => entry.state !== 'not_checked_in');
+  const activeOrders = checkedIn.reduce((sum, entry) => sum + entry.activeOrders, 0);
+  const capacity = checkedIn.reduce((sum, entry) => sum + entry.maxActiveOrders, 0);
+
+  return {
+    at: now,
+    summary: {
+      onShift: checkedIn.length,
+      notCheckedIn: agents.length - checkedIn.length,
+      activeOrders,
+      capacity,
+      utilisation: capacity > 0 ? roundRatio(activeOrders / capacity) : 0
+    },
+    agents
+  };
+};
+
+module.exports = {
+  validateShiftTimes,
+  bookShift,
+  checkIn,
+  checkOut,
+  isOnShift,
+  closeEndedShifts,
+  getRoster
+};
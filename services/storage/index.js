@@ -0,0 +1,22 @@
+const config = require('../../config/uploads');
+const localStorage = require('./localStorage');
+
+/*
+ * Storage adapters implement:
+ *   name
+ *   save(key, buffer, contentType) -> { key, url }
+ *   remove(key)
+ */
+const adapters = {
+  local: localStorage
+};
+
+const getStorage = (name = config.storage) => {
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown storage adapter: ${name}`);
+  }
+  return adapter;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,36 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config/uploads');
+
+// Resolve a storage key inside the upload directory, refusing keys that escape it
+const resolvePath = (key) => {
+  const root = path.resolve(config.localDir);
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolvePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  return { key, url: `${config.publicPath}/${key}` };
+};
+
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolvePath(key));
+  } catch (error) {
+    // Already gone is fine
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  save,
+  remove
+};
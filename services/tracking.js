@@ -0,0 +1,124 @@
+const { EventEmitter } = require('events');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const LocationPing = require('../models/LocationPing');
+const config = require('../config/tracking');
+const { hasCoordinates, haversineDistanceKm } = require('../utils/geo');
+const { roundDistance } = require('./deliveryZone');
+const { ACTIVE_DELIVERY_STATUSES } = require('./dispatch');
+
+// Order events for open tracking streams in this process
+const trackingEvents = new EventEmitter();
+trackingEvents.setMaxListeners(0);
+
+const channel = (orderId) => `order:${orderId}`;
+
+// Tell open tracking streams of an order about a change ('location' or 'status')
+const publishOrderEvent = (orderId, type, data) => {
+  trackingEvents.emit(channel(orderId), { type, data });
+};
+
+// Listen for an order's events; returns a function that stops listening
+const subscribeToOrder = (orderId, listener) => {
+  trackingEvents.on(channel(orderId), listener);
+  return () => trackingEvents.off(channel(orderId), listener);
+};
+
+/*
+ * Estimated arrival from an agent's position to the delivery address at the average agent speed.
+ * Returns { distanceKm, etaMinutes, estimatedArrival }, or null when either point is unknown.
+ */
+const estimateArrival = (position, deliveryAddress, now = new Date()) => {
+  const destination = deliveryAddress && deliveryAddress.coordinates;
+  if (!hasCoordinates(position) || !hasCoordinates(destination)) return null;
+
+  const distanceKm = roundDistance(haversineDistanceKm(position, destination));
+  const etaMinutes = Math.ceil(distanceKm / config.averageSpeedKmh * 60);
+
+  return {
+    distanceKm,
+    etaMinutes,
+    estimatedArrival: new Date(now.getTime() + etaMinutes * 60 * 1000)
+  };
+};
+
+const toPosition = (ping) => ({
+  latitude: ping.latitude,
+  longitude: ping.longitude,
+  heading: ping.heading,
+  speedKmh: ping.speedKmh,
+  recordedAt: ping.recordedAt
+});
+
+/*
+ * Record an agent's position: updates currentLocation, adds a ping to the trail of each
+ * of the agent's active orders and notifies streams of orders out for delivery.
+ * Returns the ids of the orders the ping was recorded for.
+ */
+const recordAgentLocation = async (agent, { latitude, longitude, heading, speedKmh }, now = new Date()) => {
+  await User.findByIdAndUpdate(agent._id, { currentLocation: { latitude, longitude } });
+
+  const orders = await Order.find({
+    deliveryAgent: agent._id,
+    status: { $in: ACTIVE_DELIVERY_STATUSES }
+  }).select('status deliveryAddress');
+
+  if (orders.length === 0) return [];
+
+  const pings = await LocationPing.insertMany(orders.map(order => ({
+    order: order._id,
+    agent: agent._id,
+    latitude,
+    longitude,
+    heading,
+    speedKmh,
+    recordedAt: now
+  })));
+
+  orders.forEach((order, index) => {
+    if (order.status !== 'picked_up') return;
+    publishOrderEvent(order._id, 'location', {
+      position: toPosition(pings[index]),
+      eta: estimateArrival({ latitude, longitude }, order.deliveryAddress, now)
+    });
+  });
+
+  return orders.map(order => order._id);
+};
+
+/*
+ * Current tracking state of an order for the first event of a stream.
+ * Falls back to the agent's last known location when the order has no pings yet.
+ * Returns { status, position, trail, eta }.
+ */
+const getTrackingSnapshot = async (order, now = new Date()) => {
+  const pings = await LocationPing.find({ order: order._id })
+    .sort({ recordedAt: -1 })
+    .limit(config.trailLength);
+
+  let position = pings.length > 0 ? toPosition(pings[0]) : null;
+  if (!position && order.deliveryAgent) {
+    const agent = await User.findById(order.deliveryAgent).select('currentLocation');
+    if (agent && hasCoordinates(agent.currentLocation)) {
+      position = {
+        latitude: agent.currentLocation.latitude,
+        longitude: agent.currentLocation.longitude
+      };
+    }
+  }
+
+  return {
+    status: order.status,
+    position,
+    trail: pings.reverse().map(toPosition),
+    eta: estimateArrival(position, order.deliveryAddress, now)
+  };
+};
+
+module.exports = {
+  publishOrderEvent,
+  subscribeToOrder,
+  estimateArrival,
+  recordAgentLocation,
+  getTrackingSnapshot
+};
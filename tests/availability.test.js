@@ -0,0 +1,62 @@
+const { REASONS, getRestaurantAvailability, toRejection } = require('../services/availability');
+
+describe('getRestaurantAvailability', () => {
+  // 10:00 and 23:00 in Kolkata
+  const morning = new Date('2026-03-02T04:30:00Z');
+  const lateNight = new Date('2026-03-02T17:30:00Z');
+  const restaurant = (fields = {}) => ({
+    isActive: true,
+    isOpen: true,
+    timezone: 'Asia/Kolkata',
+    hours: { opening: '09:00', closing: '22:00' },
+    minimumOrder: 150,
+    ...fields
+  });
+  const codes = (availability) => availability.reasons.map(reason => reason.code);
+
+  it('accepts orders while the restaurant is open and above the minimum', () => {
+    const availability = getRestaurantAvailability(restaurant(), { at: morning, subtotal: 200 });
+
+    expect(availability.available).toBe(true);
+    expect(availability.reasons).toEqual([]);
+  });
+
+  it('reports every reason a restaurant cannot take an order', () => {
+    const availability = getRestaurantAvailability(restaurant({ isActive: false, isOpen: false }), {
+      at: lateNight,
+      subtotal: 100
+    });
+
+    expect(availability.available).toBe(false);
+    expect(codes(availability)).toEqual([
+      REASONS.RESTAURANT_INACTIVE,
+      REASONS.RESTAURANT_CLOSED,
+      REASONS.OUTSIDE_OPENING_HOURS,
+      REASONS.BELOW_MINIMUM_ORDER
+    ]);
+    expect(availability.reasons[3]).toMatchObject({ minimumOrder: 150, shortBy: 50 });
+  });
+
+  it('ignores the manual switch for scheduled orders but not the opening hours', () => {
+    const closedNow = restaurant({ isOpen: false });
+
+    expect(getRestaurantAvailability(closedNow, { at: morning, scheduled: true }).available).toBe(true);
+    expect(codes(getRestaurantAvailability(closedNow, { at: lateNight, scheduled: true })))
+      .toEqual([REASONS.OUTSIDE_OPENING_HOURS]);
+  });
+
+  it('skips the minimum order check without a subtotal', () => {
+    expect(getRestaurantAvailability(restaurant(), { at: morning }).available).toBe(true);
+  });
+});
+
+describe('toRejection', () => {
+  it('leads with the first reason and lists them all', () => {
+    const reasons = [
+      { code: REASONS.RESTAURANT_CLOSED, message: 'Restaurant is currently closed' },
+      { code: REASONS.BELOW_MINIMUM_ORDER, message: 'Minimum order amount is 150' }
+    ];
+
+    expect(toRejection({ available: false, reasons })).toEqual({ message: 'Restaurant is currently closed', reasons });
+  });
+});
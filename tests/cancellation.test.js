@@ -0,0 +1,154 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { getCancellationTerms } = require('../services/cancellation');
+const { releaseOrderStock } = require('../services/inventory');
+const { releaseCoupon } = require('../services/coupons');
+const { withdrawOffers } = require('../services/offers');
+const { submitRefund } = require('../services/refunds');
+const orderRoutes = require('../routes/orders');
+
+// Requests are made as mockUser
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+jest.mock('../services/inventory', () => ({ reserveStock: jest.fn(), releaseOrderStock: jest.fn() }));
+jest.mock('../services/coupons', () => ({ ...jest.requireActual('../services/coupons'), releaseCoupon: jest.fn() }));
+jest.mock('../services/offers', () => ({ withdrawOffers: jest.fn() }));
+jest.mock('../services/refunds', () => ({ submitRefund: jest.fn() }));
+
+describe('getCancellationTerms', () => {
+  const customer = { role: 'customer' };
+  const owner = { role: 'restaurant_owner' };
+
+  const order = (fields) => new Order({
+    finalAmount: 500,
+    paymentMethod: 'card',
+    paymentStatus: 'paid',
+    ...fields
+  });
+
+  it('refunds paid orders in full before the kitchen starts', () => {
+    expect(getCancellationTerms(order({ status: 'accepted' }), customer)).toEqual({
+      allowed: true,
+      fee: 0,
+      refundAmount: 500,
+      refundable: true
+    });
+  });
+
+  it('charges customers a fee once the order is being prepared', () => {
+    expect(getCancellationTerms(order({ status: 'preparing' }), customer)).toEqual({
+      allowed: true,
+      fee: 250,
+      refundAmount: 250,
+      refundable: true
+    });
+  });
+
+  it('does not charge a fee when the restaurant cancels', () => {
+    const terms = getCancellationTerms(order({ status: 'ready' }), owner);
+    expect(terms.fee).toBe(0);
+    expect(terms.refundAmount).toBe(500);
+  });
+
+  it('does not refund cash or unpaid orders', () => {
+    const cash = getCancellationTerms(order({ status: 'placed', paymentMethod: 'cash', paymentStatus: 'pending' }), customer);
+    expect(cash).toMatchObject({ allowed: true, refundable: false, refundAmount: 0 });
+
+    const unpaid = getCancellationTerms(order({ status: 'pending_payment', paymentStatus: 'pending' }), customer);
+    expect(unpaid).toMatchObject({ allowed: true, refundable: false, refundAmount: 0 });
+  });
+
+  it('refuses orders that are already on the way', () => {
+    const terms = getCancellationTerms(order({ status: 'picked_up' }), customer);
+    expect(terms.allowed).toBe(false);
+    expect(terms.message).toMatch(/picked_up/);
+  });
+});
+
+describe('POST /api/orders/:id/cancel', () => {
+  const customer = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+  let order;
+  let session;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/orders', orderRoutes);
+
+  beforeEach(() => {
+    order = new Order({
+      customer: customer._id,
+      restaurant: new mongoose.Types.ObjectId(),
+      status: 'accepted',
+      finalAmount: 500,
+      paymentMethod: 'card',
+      paymentStatus: 'paid',
+      paymentIntentId: 'mock_pi_1'
+    });
+    session = { withTransaction: async (fn) => fn(), endSession: jest.fn() };
+    mockUser = customer;
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+    jest.spyOn(Refund.prototype, 'save').mockResolvedValue();
+    withdrawOffers.mockResolvedValue(order);
+    submitRefund.mockImplementation(async (refund) => refund);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const cancel = () => request(app)
+    .post(`/api/orders/${order._id}/cancel`)
+    .send({ reason: 'Changed my mind' });
+
+  it('claims the order, releases what it holds and refunds it in one transaction', async () => {
+    const res = await cancel();
+
+    expect(res.status).toBe(200);
+    expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: order._id, status: 'accepted' },
+      { status: 'cancelled' },
+      { session }
+    );
+    expect(releaseOrderStock).toHaveBeenCalledWith(order, session);
+    expect(releaseCoupon).toHaveBeenCalledWith(order, session);
+    expect(Refund.prototype.save).toHaveBeenCalledWith({ session });
+    expect(order.save).toHaveBeenCalledWith({ session });
+    expect(order.status).toBe('cancelled');
+    expect(order.paymentStatus).toBe('refunded');
+    expect(submitRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 500 }), order);
+  });
+
+  it('refuses a cancellation that lost the race with another status change', async () => {
+    Order.findOneAndUpdate.mockResolvedValue(null);
+
+    const res = await cancel();
+
+    expect(res.status).toBe(409);
+    expect(releaseOrderStock).not.toHaveBeenCalled();
+    expect(submitRefund).not.toHaveBeenCalled();
+  });
+
+  it('keeps the cancellation when the provider cannot take the refund yet', async () => {
+    submitRefund.mockRejectedValue(new Error('Provider unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await cancel();
+
+    expect(res.status).toBe(200);
+    expect(res.body.refund).toMatchObject({ amount: 500, status: 'pending' });
+  });
+});
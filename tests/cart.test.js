@@ -0,0 +1,41 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const cartRoutes = require('../routes/cart');
+
+// Requests are made as mockUser
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+describe('DELETE /api/cart/clear', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/cart', cartRoutes);
+
+  beforeEach(() => {
+    mockUser = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('clears the cart instead of looking for an item called "clear"', async () => {
+    const remove = jest.spyOn(Cart, 'findOneAndDelete').mockResolvedValue({});
+    const find = jest.spyOn(Cart, 'findOne');
+
+    const res = await request(app).delete('/api/cart/clear');
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Cart cleared successfully');
+    expect(remove).toHaveBeenCalledWith({ user: mockUser._id });
+    expect(find).not.toHaveBeenCalled();
+  });
+});
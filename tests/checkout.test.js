@@ -0,0 +1,93 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const mockProvider = require('../services/payments/mockProvider');
+const { reserveStock } = require('../services/inventory');
+const orderRoutes = require('../routes/orders');
+
+// Requests are made as mockUser
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+jest.mock('../services/inventory', () => ({ reserveStock: jest.fn(), releaseOrderStock: jest.fn() }));
+jest.mock('../services/cart', () => ({ getStaleCartItems: jest.fn(async () => []) }));
+jest.mock('../services/coupons', () => ({ getCartCoupon: jest.fn(async () => ({ coupon: null })) }));
+jest.mock('../services/availability', () => ({ getRestaurantAvailability: () => ({ available: true }) }));
+jest.mock('../services/menuCategories', () => ({ getItemsOutsideCategoryHours: jest.fn(async () => []) }));
+jest.mock('../services/eta', () => ({ updateOrderEta: jest.fn() }));
+
+describe('POST /api/orders', () => {
+  const customer = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+  const restaurant = new Restaurant({ name: 'Spice Route' });
+  let cart;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/orders', orderRoutes);
+
+  beforeEach(() => {
+    mockUser = customer;
+    cart = new Cart({
+      user: customer._id,
+      restaurant: restaurant._id,
+      items: [{ menuItem: new mongoose.Types.ObjectId(), quantity: 2, price: 120 }]
+    });
+    cart.items[0].menuItem = { _id: cart.items[0].menuItem, name: 'Biryani', category: 'Mains' };
+
+    jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+    jest.spyOn(cart, 'populate').mockResolvedValue(cart);
+    jest.spyOn(Restaurant, 'findById').mockResolvedValue(restaurant);
+    jest.spyOn(Order.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Order.prototype, 'populate').mockResolvedValue();
+    jest.spyOn(Cart, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: jest.fn()
+    });
+    jest.spyOn(mockProvider, 'cancelPaymentIntent');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const placeOrder = (paymentMethod) => request(app)
+    .post('/api/orders')
+    .send({ paymentMethod, deliveryAddress: { street: '1 MG Road', city: 'Bengaluru' } });
+
+  it('starts a payment for online orders', async () => {
+    const res = await placeOrder('card');
+
+    expect(res.status).toBe(201);
+    expect(res.body.order.status).toBe('pending_payment');
+    expect(res.body.payment).toMatchObject({ provider: 'mock', intentId: expect.stringMatching(/^mock_pi_/) });
+    expect(mockProvider.cancelPaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it('cancels the payment when the order cannot be placed', async () => {
+    reserveStock.mockRejectedValueOnce(Object.assign(new Error('Only 1 of Biryani left in stock'), { status: 409 }));
+
+    const res = await placeOrder('upi');
+
+    expect(res.status).toBe(409);
+    expect(mockProvider.cancelPaymentIntent).toHaveBeenCalledWith(expect.stringMatching(/^mock_pi_/));
+    expect(Cart.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('places cash orders without a payment', async () => {
+    const res = await placeOrder('cash');
+
+    expect(res.status).toBe(201);
+    expect(res.body.order.status).toBe('placed');
+    expect(res.body.payment).toBeNull();
+  });
+});
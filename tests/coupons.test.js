@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const { calculateDiscount, checkCouponEligibility, redeemCoupon } = require('../services/coupons');
+
+describe('calculateDiscount', () => {
+  const quote = {
+    deliveryFee: 35,
+    items: [
+      { category: 'Mains', total: 400 },
+      { category: 'Desserts', total: 100 }
+    ]
+  };
+
+  it('caps flat discounts at the eligible total', () => {
+    expect(calculateDiscount({ type: 'flat', value: 100 }, quote)).toBe(100);
+    expect(calculateDiscount({ type: 'flat', value: 150, categories: ['Desserts'] }, quote)).toBe(100);
+  });
+
+  it('caps percentage discounts at maxDiscount', () => {
+    expect(calculateDiscount({ type: 'percentage', value: 10 }, quote)).toBe(50);
+    expect(calculateDiscount({ type: 'percentage', value: 20, maxDiscount: 60 }, quote)).toBe(60);
+  });
+
+  it('takes off the delivery fee for free delivery', () => {
+    expect(calculateDiscount({ type: 'free_delivery' }, quote)).toBe(35);
+  });
+});
+
+describe('checkCouponEligibility', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const restaurantId = new mongoose.Types.ObjectId();
+  const items = [{ category: 'Mains', price: 250, quantity: 2 }];
+
+  const coupon = (fields) => new Coupon({
+    code: 'WELCOME',
+    type: 'flat',
+    value: 100,
+    ...fields
+  });
+
+  let redemptionCount;
+  let orderCount;
+
+  beforeEach(() => {
+    redemptionCount = jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(0);
+    orderCount = jest.spyOn(Order, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const check = (fields, context = {}) => checkCouponEligibility(coupon(fields), { user, restaurantId, items, ...context });
+
+  it('accepts a coupon that meets every condition', async () => {
+    await expect(check({ minCartValue: 500 })).resolves.toEqual({ valid: true });
+  });
+
+  it('rejects inactive, early and expired coupons', async () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    await expect(check({ isActive: false })).resolves.toMatchObject({ valid: false, message: 'Coupon is not active' });
+    await expect(check({ validFrom: new Date(Date.now() + day) }))
+      .resolves.toMatchObject({ message: 'Coupon is not valid yet' });
+    await expect(check({ validUntil: new Date(Date.now() - day) }))
+      .resolves.toMatchObject({ message: 'Coupon has expired' });
+  });
+
+  it('rejects coupons at their usage limit', async () => {
+    await expect(check({ usageLimit: 10, usageCount: 10 }))
+      .resolves.toMatchObject({ valid: false, message: 'Coupon usage limit reached' });
+  });
+
+  it('rejects coupons for other restaurants and categories', async () => {
+    await expect(check({ restaurants: [new mongoose.Types.ObjectId()] }))
+      .resolves.toMatchObject({ message: 'Coupon is not valid for this restaurant' });
+    await expect(check({ categories: ['Desserts'] }))
+      .resolves.toMatchObject({ message: 'Coupon is not valid for the items in your cart' });
+  });
+
+  it('requires the minimum cart value on eligible items', async () => {
+    await expect(check({ minCartValue: 600 }))
+      .resolves.toMatchObject({ message: 'Minimum cart value of 600 required for this coupon' });
+  });
+
+  it('enforces the per-user limit, ignoring released redemptions', async () => {
+    redemptionCount.mockResolvedValue(2);
+
+    await expect(check({ perUserLimit: 2 }))
+      .resolves.toMatchObject({ message: 'You have already used this coupon' });
+    await expect(check({ perUserLimit: 3 })).resolves.toEqual({ valid: true });
+    expect(redemptionCount).toHaveBeenCalledWith(expect.objectContaining({
+      user: user._id,
+      status: { $ne: 'released' }
+    }));
+  });
+
+  it('limits first-order coupons to customers without orders', async () => {
+    orderCount.mockResolvedValue(1);
+
+    await expect(check({ firstOrderOnly: true }))
+      .resolves.toMatchObject({ message: 'Coupon is only valid on your first order' });
+  });
+});
+
+describe('redeemCoupon', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const order = { _id: new mongoose.Types.ObjectId() };
+  const coupon = new Coupon({ code: 'TWICE', type: 'flat', value: 50, perUserLimit: 2 });
+
+  const mockTakenSlots = (slots) => {
+    jest.spyOn(CouponRedemption, 'find').mockReturnValue({
+      select: () => ({ session: () => Promise.resolve(slots.map(slot => ({ slot }))) })
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes the lowest free slot and counts the use', async () => {
+    mockTakenSlots([1]);
+    const increment = jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(coupon);
+    const create = jest.spyOn(CouponRedemption, 'create').mockImplementation(async ([data]) => [data]);
+
+    const redemption = await redeemCoupon(coupon, { user, order, discount: 50 }, 'session');
+
+    expect(redemption).toMatchObject({ order: order._id, discount: 50, slot: 2 });
+    expect(increment).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: coupon._id }),
+      { $inc: { usageCount: 1 } },
+      { new: true, session: 'session' }
+    );
+    expect(create).toHaveBeenCalledWith(expect.any(Array), { session: 'session' });
+  });
+
+  it('refuses users at their limit without counting a use', async () => {
+    mockTakenSlots([1, 2]);
+    const increment = jest.spyOn(Coupon, 'findOneAndUpdate');
+
+    await expect(redeemCoupon(coupon, { user, order, discount: 50 })).resolves.toBeNull();
+    expect(increment).not.toHaveBeenCalled();
+  });
+
+  it('refuses coupons at their usage cap', async () => {
+    mockTakenSlots([]);
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(null);
+    const create = jest.spyOn(CouponRedemption, 'create');
+
+    await expect(redeemCoupon(coupon, { user, order, discount: 50 })).resolves.toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a slot taken by a parallel checkout', async () => {
+    mockTakenSlots([]);
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(coupon);
+    jest.spyOn(CouponRedemption, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(redeemCoupon(coupon, { user, order, discount: 50 })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+const config = require('../config/delivery');
+const { toGeoPoint, toGeoPolygon } = require('../utils/geo');
+const { checkDeliveryZone, toRestaurantGeoFields } = require('../services/deliveryZone');
+
+describe('checkDeliveryZone', () => {
+  const centre = { latitude: 12.9716, longitude: 77.5946 };
+  // About 2.2 km east of the centre
+  const nearby = { coordinates: { latitude: 12.9716, longitude: 77.6150 }, city: 'Bengaluru' };
+  const restaurantWith = (deliveryZone) => ({
+    location: toGeoPoint(centre),
+    address: { city: 'Bengaluru' },
+    deliveryZone
+  });
+
+  it('accepts every address for restaurants without a location', () => {
+    expect(checkDeliveryZone({ address: { city: 'Bengaluru' } }, nearby)).toEqual({ deliverable: true, distanceKm: null });
+  });
+
+  it('checks the distance against the zone radius', () => {
+    expect(checkDeliveryZone(restaurantWith({ type: 'radius', radiusKm: 5 }), nearby))
+      .toMatchObject({ deliverable: true, distanceKm: 2.21 });
+
+    const result = checkDeliveryZone(restaurantWith({ type: 'radius', radiusKm: 2 }), nearby);
+    expect(result.deliverable).toBe(false);
+    expect(result.message).toBe('Restaurant only delivers within 2 km');
+  });
+
+  it('uses the default radius without a zone', () => {
+    const far = { coordinates: { latitude: centre.latitude + (config.defaultRadiusKm + 1) / 111, longitude: centre.longitude } };
+
+    expect(checkDeliveryZone(restaurantWith(undefined), nearby).deliverable).toBe(true);
+    expect(checkDeliveryZone(restaurantWith(undefined), far).deliverable).toBe(false);
+  });
+
+  it('checks polygon zones by containment', () => {
+    const area = toGeoPolygon([
+      { latitude: 12.96, longitude: 77.58 },
+      { latitude: 12.96, longitude: 77.62 },
+      { latitude: 12.98, longitude: 77.62 },
+      { latitude: 12.98, longitude: 77.58 }
+    ]);
+    const outside = { coordinates: { latitude: 12.99, longitude: 77.60 } };
+
+    expect(checkDeliveryZone(restaurantWith({ type: 'polygon', area }), nearby).deliverable).toBe(true);
+    expect(checkDeliveryZone(restaurantWith({ type: 'polygon', area }), outside)).toMatchObject({
+      deliverable: false,
+      message: 'Delivery address is outside the restaurant\'s delivery area'
+    });
+  });
+
+  it('falls back to the city for addresses without coordinates', () => {
+    const restaurant = restaurantWith({ type: 'radius', radiusKm: 2 });
+
+    expect(checkDeliveryZone(restaurant, { city: ' bengaluru ' })).toEqual({ deliverable: true, distanceKm: null });
+    expect(checkDeliveryZone(restaurant, { city: 'Mysuru' })).toMatchObject({
+      deliverable: false,
+      message: 'Restaurant only delivers within Bengaluru'
+    });
+    expect(checkDeliveryZone(restaurant, undefined).deliverable).toBe(true);
+  });
+});
+
+describe('toRestaurantGeoFields', () => {
+  it('stores coordinates as a GeoJSON location and polygons as an area', () => {
+    const polygon = [
+      { latitude: 12.96, longitude: 77.58 },
+      { latitude: 12.96, longitude: 77.62 },
+      { latitude: 12.98, longitude: 77.62 }
+    ];
+
+    const fields = toRestaurantGeoFields({
+      name: 'Dosa Corner',
+      address: { city: 'Bengaluru', coordinates: { latitude: 12.9716, longitude: 77.5946 } },
+      deliveryZone: { type: 'polygon', polygon }
+    });
+
+    expect(fields.address).toEqual({ city: 'Bengaluru' });
+    expect(fields.location).toEqual({ type: 'Point', coordinates: [77.5946, 12.9716] });
+    expect(fields.deliveryZone).toEqual({ type: 'polygon', area: toGeoPolygon(polygon) });
+  });
+});
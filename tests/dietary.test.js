@@ -0,0 +1,56 @@
+const { getDietaryFilters, toMenuItemQuery } = require('../services/dietary');
+
+describe('getDietaryFilters', () => {
+  it('reads comma-separated and repeated values, lower-cased and without duplicates', () => {
+    expect(getDietaryFilters({
+      vegOnly: 'true',
+      excludeAllergens: 'Nuts, dairy,nuts',
+      diet: ['vegan', 'JAIN'],
+      maxCalories: '600'
+    })).toEqual({
+      vegOnly: true,
+      excludeAllergens: ['nuts', 'dairy'],
+      dietLabels: ['vegan', 'jain'],
+      maxCalories: 600
+    });
+  });
+
+  it('has no filters without query parameters', () => {
+    expect(getDietaryFilters({})).toEqual({ vegOnly: false, excludeAllergens: [], dietLabels: [], maxCalories: undefined });
+  });
+
+  it('rejects unknown allergens, diet labels and invalid calorie limits', () => {
+    expect(() => getDietaryFilters({ excludeAllergens: 'nuts,celery' })).toThrow(/^Unknown allergens: celery\. Expected: /);
+    expect(() => getDietaryFilters({ diet: 'paleo' })).toThrow(/^Unknown diet labels: paleo/);
+    expect(() => getDietaryFilters({ maxCalories: 'lots' })).toThrow('maxCalories must be a positive number');
+    expect(() => getDietaryFilters({ maxCalories: '0' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('adds the customer\'s saved preferences, keeping the stricter rule', () => {
+    const user = { dietaryPreferences: { vegOnly: true, excludeAllergens: ['dairy'], dietLabels: ['halal'], maxCalories: 500 } };
+
+    expect(getDietaryFilters({ excludeAllergens: 'nuts', maxCalories: '800' }, user)).toEqual({
+      vegOnly: true,
+      excludeAllergens: ['nuts', 'dairy'],
+      dietLabels: ['halal'],
+      maxCalories: 500
+    });
+  });
+
+  it('leaves saved preferences out when asked to', () => {
+    const user = { dietaryPreferences: { vegOnly: true, excludeAllergens: ['dairy'] } };
+
+    expect(getDietaryFilters({ ignorePreferences: 'true' }, user)).toEqual(getDietaryFilters({}));
+  });
+});
+
+describe('toMenuItemQuery', () => {
+  it('builds conditions only for the filters that are set', () => {
+    expect(toMenuItemQuery(getDietaryFilters({}))).toEqual({});
+    expect(toMenuItemQuery(getDietaryFilters({ excludeAllergens: 'nuts', diet: 'vegan,jain', maxCalories: '600' }))).toEqual({
+      allergens: { $nin: ['nuts'] },
+      dietLabels: { $all: ['vegan', 'jain'] },
+      'nutritionalInfo.calories': { $lte: 600 }
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const DiscountRule = require('../models/DiscountRule');
+const { getActiveDiscountRules, getItemDiscount, applyDiscount } = require('../services/discounts');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('getItemDiscount', () => {
+  const starters = id();
+  const paneer = { _id: id(), price: 200, menuCategory: starters };
+  const rule = (fields) => ({ _id: id(), name: fields.type, scope: 'menu', categories: [], menuItems: [], ...fields });
+
+  it('takes percentages off the base price, up to maxDiscount', () => {
+    expect(getItemDiscount(paneer, [rule({ type: 'percentage', value: 20 })])).toMatchObject({ amount: 40 });
+    expect(getItemDiscount(paneer, [rule({ type: 'percentage', value: 20, maxDiscount: 25 })])).toMatchObject({ amount: 25 });
+  });
+
+  it('supports flat amounts and fixed prices without going below zero', () => {
+    expect(getItemDiscount(paneer, [rule({ type: 'flat', value: 30 })])).toMatchObject({ amount: 30 });
+    expect(getItemDiscount(paneer, [rule({ type: 'fixed_price', value: 149 })])).toMatchObject({ amount: 51 });
+    expect(getItemDiscount(paneer, [rule({ type: 'flat', value: 500 })])).toMatchObject({ amount: 200 });
+    expect(getItemDiscount(paneer, [rule({ type: 'fixed_price', value: 250 })])).toBeNull();
+  });
+
+  it('picks the single best rule that applies to the item', () => {
+    const happyHour = rule({ name: 'Happy hour', type: 'percentage', value: 10 });
+    const startersDeal = rule({ name: 'Starters deal', type: 'flat', value: 50, scope: 'categories', categories: [starters] });
+    const otherItem = rule({ name: 'Other item', type: 'flat', value: 100, scope: 'menuItems', menuItems: [id()] });
+
+    expect(getItemDiscount(paneer, [happyHour, startersDeal, otherItem])).toEqual({
+      rule: startersDeal._id,
+      name: 'Starters deal',
+      amount: 50
+    });
+  });
+
+  it('applies the discount to the option-inclusive unit price', () => {
+    expect(applyDiscount(260, { amount: 40 })).toBe(220);
+    expect(applyDiscount(260, null)).toBe(260);
+  });
+});
+
+describe('getActiveDiscountRules', () => {
+  const restaurant = { _id: id(), timezone: 'Asia/Kolkata' };
+  // 16:00 on Monday 2 March 2026 in Kolkata
+  const at = new Date('2026-03-02T16:00:00+05:30');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps rules in their validity period and time-of-day windows', async () => {
+    const allDay = { name: 'All day', windows: [] };
+    const happyHour = { name: 'Happy hour', windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], open: '15:00', close: '18:00' }] };
+    const lateNight = { name: 'Late night', windows: [{ open: '22:00', close: '02:00' }] };
+    const find = jest.spyOn(DiscountRule, 'find').mockResolvedValue([allDay, happyHour, lateNight]);
+
+    const rules = await getActiveDiscountRules(restaurant, at);
+
+    expect(rules.map(rule => rule.name)).toEqual(['All day', 'Happy hour']);
+    expect(find.mock.calls[0][0]).toMatchObject({ restaurant: restaurant._id, isActive: true });
+    expect(find.mock.calls[0][0].$and).toEqual([
+      { $or: [{ validFrom: null }, { validFrom: { $lte: at } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gte: at } }] }
+    ]);
+  });
+});
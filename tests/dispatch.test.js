@@ -0,0 +1,173 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const config = require('../config/dispatch');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Restaurant = require('../models/Restaurant');
+const AssignmentOffer = require('../models/AssignmentOffer');
+const { toGeoPoint } = require('../utils/geo');
+const { rankAgents, dispatchOrder } = require('../services/dispatch');
+const agentRoutes = require('../routes/agents');
+
+// Requests are made as mockUser
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+const restaurant = { _id: new mongoose.Types.ObjectId(), location: toGeoPoint({ latitude: 12.9716, longitude: 77.5946 }) };
+
+const agent = (name, currentLocation, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  fullName: name,
+  currentLocation,
+  ...extra
+});
+
+// Agents and their loads as returned by the queries in rankAgents
+const mockAgents = (agents, { loads = [], offers = [] } = {}) => {
+  jest.spyOn(User, 'find').mockReturnValue({ select: async () => agents });
+  jest.spyOn(Order, 'aggregate').mockResolvedValue(loads);
+  jest.spyOn(AssignmentOffer, 'aggregate').mockResolvedValue(offers);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rankAgents', () => {
+  const near = agent('Near', { latitude: 12.9726, longitude: 77.5950 });
+  const further = agent('Further', { latitude: 12.9900, longitude: 77.6100 });
+
+  it('puts closer, less busy agents first', async () => {
+    mockAgents([further, near]);
+
+    const ranked = await rankAgents(restaurant);
+
+    expect(ranked.map(candidate => candidate.agent.fullName)).toEqual(['Near', 'Further']);
+    expect(ranked[0].distanceKm).toBeLessThan(ranked[1].distanceKm);
+  });
+
+  it('counts open offers towards the load', async () => {
+    mockAgents([near, further], { offers: [{ _id: near._id, count: 1 }] });
+
+    const [candidate] = (await rankAgents(restaurant)).filter(entry => entry.agent === near);
+
+    expect(candidate.pendingOffers).toBe(1);
+    expect(candidate.score).toBeLessThan(1);
+  });
+
+  it('leaves out agents who are full, too far away or without a location', async () => {
+    const full = agent('Full', { latitude: 12.9720, longitude: 77.5946 });
+    const distant = agent('Distant', { latitude: 12.9716 + (config.maxDistanceKm + 1) / 111, longitude: 77.5946 });
+    const unknown = agent('Unknown', undefined);
+    mockAgents([near, full, distant, unknown], { loads: [{ _id: full._id, count: config.maxActiveOrders }] });
+
+    const ranked = await rankAgents(restaurant);
+
+    expect(ranked.map(candidate => candidate.agent.fullName)).toEqual(['Near']);
+  });
+
+  it('uses the agent\'s own order limit and rating', async () => {
+    const rated = agent('Rated', near.currentLocation, { maxActiveOrders: 5, agentRating: { average: 5, count: 3 } });
+    mockAgents([rated], { loads: [{ _id: rated._id, count: config.maxActiveOrders }] });
+
+    const [candidate] = await rankAgents(restaurant);
+
+    expect(candidate).toMatchObject({ maxActiveOrders: 5, rating: 5, activeOrders: config.maxActiveOrders });
+  });
+});
+
+describe('dispatchOrder', () => {
+  const now = new Date('2026-03-02T12:00:00Z');
+  const newOrder = (fields = {}) => new Order({
+    restaurant: restaurant._id,
+    status: 'accepted',
+    dispatch: { status: 'searching', attempts: 0 },
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Restaurant, 'findById').mockReturnValue({ select: async () => restaurant });
+    jest.spyOn(AssignmentOffer, 'distinct').mockResolvedValue([]);
+  });
+
+  it('leaves orders with an agent or an open offer alone', async () => {
+    const assigned = newOrder({ deliveryAgent: new mongoose.Types.ObjectId() });
+    const offered = newOrder({ dispatch: { status: 'offered' } });
+
+    await expect(dispatchOrder(assigned, { now })).resolves.toMatchObject({ offered: false, order: assigned });
+    await expect(dispatchOrder(offered, { now })).resolves.toMatchObject({ offered: false, order: offered });
+    expect(Restaurant.findById).not.toHaveBeenCalled();
+  });
+
+  it('offers the order to the best agent', async () => {
+    const order = newOrder();
+    const best = agent('Best', { latitude: 12.9720, longitude: 77.5946 });
+    mockAgents([best]);
+    const offer = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(AssignmentOffer, 'create').mockResolvedValue(offer);
+    const claim = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+    const result = await dispatchOrder(order, { now });
+
+    expect(result.offered).toBe(true);
+    expect(AssignmentOffer.create).toHaveBeenCalledWith(expect.objectContaining({
+      agent: best._id,
+      expiresAt: new Date(now.getTime() + config.offerTimeoutMs)
+    }));
+    expect(claim.mock.calls[0][1].$set).toMatchObject({ 'dispatch.status': 'offered', 'dispatch.attempts': 1 });
+  });
+
+  it('skips agents who passed on the order and retries later when nobody is free', async () => {
+    const order = newOrder({ dispatch: { status: 'searching', attempts: 2 } });
+    const declined = agent('Declined', { latitude: 12.9720, longitude: 77.5946 });
+    jest.spyOn(AssignmentOffer, 'distinct').mockResolvedValue([declined._id]);
+    mockAgents([]);
+    const update = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+    const result = await dispatchOrder(order, { now });
+
+    expect(User.find.mock.calls[0][0]._id).toEqual({ $nin: [declined._id] });
+    expect(result.offered).toBe(false);
+    expect(update.mock.calls[0][1].$set.dispatch).toMatchObject({
+      status: 'searching',
+      attempts: 3,
+      nextAttemptAt: new Date(now.getTime() + config.retryIntervalMs)
+    });
+  });
+});
+
+describe('GET /api/agents/available', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/agents', agentRoutes);
+
+  beforeEach(() => {
+    mockUser = { _id: new mongoose.Types.ObjectId(), role: 'restaurant_owner' };
+  });
+
+  it('returns 404 when the order\'s restaurant no longer exists', async () => {
+    jest.spyOn(Order, 'findById').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), restaurant: restaurant._id });
+    jest.spyOn(Restaurant, 'findById').mockResolvedValue(null);
+
+    const res = await request(app).get('/api/agents/available').query({ orderId: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Restaurant not found');
+  });
+
+  it('refuses owners of other restaurants', async () => {
+    jest.spyOn(Order, 'findById').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), restaurant: restaurant._id });
+    jest.spyOn(Restaurant, 'findById').mockResolvedValue({ ...restaurant, owner: new mongoose.Types.ObjectId() });
+
+    const res = await request(app).get('/api/agents/available').query({ orderId: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const config = require('../config/earnings');
+const EarningEntry = require('../models/EarningEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const Restaurant = require('../models/Restaurant');
+const { toGeoPoint } = require('../utils/geo');
+const { calculateDeliveryPay, creditDelivery, addManualEntry, createPayoutBatch } = require('../services/earnings');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// About 2.2 km apart
+const restaurant = { location: toGeoPoint({ latitude: 12.9716, longitude: 77.5946 }), timezone: 'Asia/Kolkata' };
+const deliveryAddress = { coordinates: { latitude: 12.9716, longitude: 77.6150 } };
+// Kolkata time on Monday 2 March 2026
+const offPeak = new Date('2026-03-02T16:00:00+05:30');
+const peak = new Date('2026-03-02T13:00:00+05:30');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calculateDeliveryPay', () => {
+  it('adds base pay, distance pay and the tip', () => {
+    const pay = calculateDeliveryPay({ deliveryAddress, tip: 25 }, restaurant, offPeak);
+
+    expect(pay.distanceKm).toBe(2.21);
+    expect(pay).toMatchObject({
+      basePay: config.basePay,
+      distancePay: Math.round(2.21 * config.perKmPay * 100) / 100,
+      tip: 25,
+      peakBonus: 0
+    });
+    expect(pay.total).toBe(Math.round((pay.basePay + pay.distancePay + 25) * 100) / 100);
+  });
+
+  it('adds the peak bonus during peak hours and pays no distance without locations', () => {
+    const pay = calculateDeliveryPay({}, { timezone: 'Asia/Kolkata' }, peak);
+
+    expect(pay).toEqual({ basePay: config.basePay, distanceKm: 0, distancePay: 0, tip: 0, peakBonus: config.peakBonus, total: config.basePay + config.peakBonus });
+  });
+});
+
+describe('creditDelivery', () => {
+  const order = { _id: id(), restaurant: id(), deliveryAgent: id(), deliveryAddress, tip: 25 };
+
+  beforeEach(() => {
+    jest.spyOn(Restaurant, 'findById').mockReturnValue({ select: async () => restaurant });
+  });
+
+  it('records the delivery, tip and peak bonus as separate entries', async () => {
+    const insert = jest.spyOn(EarningEntry, 'insertMany').mockImplementation(async (entries) => entries);
+
+    const entries = await creditDelivery(order, peak);
+
+    expect(entries.map(entry => entry.type)).toEqual(['delivery', 'tip', 'peak_bonus']);
+    expect(entries[0]).toMatchObject({ agent: order.deliveryAgent, order: order._id, earnedOn: '2026-03-02', weekStart: '2026-03-02' });
+    expect(insert).toHaveBeenCalledTimes(1);
+  });
+
+  it('credits an order only once', async () => {
+    jest.spyOn(EarningEntry, 'insertMany').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(creditDelivery(order, offPeak)).resolves.toEqual([]);
+  });
+
+  it('credits nobody for orders without an agent', async () => {
+    const insert = jest.spyOn(EarningEntry, 'insertMany');
+
+    await expect(creditDelivery({ ...order, deliveryAgent: null }, offPeak)).resolves.toEqual([]);
+    expect(insert).not.toHaveBeenCalled();
+  });
+});
+
+describe('addManualEntry', () => {
+  it('stores deductions as negative amounts', async () => {
+    jest.spyOn(EarningEntry.prototype, 'save').mockImplementation(async function () { return this; });
+    const admin = { _id: id() };
+
+    const deduction = await addManualEntry(id(), { type: 'deduction', amount: 50, note: 'Damaged bag' }, admin);
+    const adjustment = await addManualEntry(id(), { type: 'adjustment', amount: -20, note: 'Missed bonus' }, admin);
+
+    expect(deduction.amount).toBe(-50);
+    expect(adjustment.amount).toBe(20);
+    expect(deduction.createdBy).toEqual(admin._id);
+  });
+});
+
+describe('createPayoutBatch', () => {
+  const admin = { _id: id() };
+
+  it('only batches finished weeks starting on a Monday', async () => {
+    await expect(createPayoutBatch('2026-03-03', admin)).rejects.toMatchObject({ status: 400, message: 'weekStart must be a Monday' });
+    await expect(createPayoutBatch('2099-03-02', admin)).rejects.toMatchObject({ status: 400 });
+    await expect(createPayoutBatch('March', admin)).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('refuses a second batch for the same week', async () => {
+    jest.spyOn(PayoutBatch, 'exists').mockResolvedValue({ _id: id() });
+
+    await expect(createPayoutBatch('2026-03-02', admin)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('totals the unbatched entries per agent and links them to the batch', async () => {
+    const [first, second] = [id(), id()];
+    jest.spyOn(PayoutBatch, 'exists').mockResolvedValue(null);
+    jest.spyOn(EarningEntry, 'aggregate').mockResolvedValue([
+      { _id: first, amount: 512.5, entryCount: 12 },
+      { _id: second, amount: 80, entryCount: 2 }
+    ]);
+    jest.spyOn(PayoutBatch.prototype, 'save').mockImplementation(async function () { return this; });
+    const link = jest.spyOn(EarningEntry, 'updateMany').mockResolvedValue({ modifiedCount: 14 });
+
+    const batch = await createPayoutBatch('2026-03-02', admin);
+
+    expect(batch).toMatchObject({ weekStart: '2026-03-02', weekEnd: '2026-03-08', totalAmount: 592.5, entryCount: 14 });
+    expect(link).toHaveBeenCalledWith({ weekStart: '2026-03-02', payout: null }, { payout: batch._id });
+  });
+});
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const config = require('../config/eta');
+const trackingConfig = require('../config/tracking');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const User = require('../models/User');
+const { toGeoPoint } = require('../utils/geo');
+const { estimateOrderEta, estimateRestaurantEtas } = require('../services/eta');
+
+const id = () => new mongoose.Types.ObjectId();
+const MINUTE = 60 * 1000;
+const now = new Date('2026-03-02T12:00:00Z');
+const minutesFromNow = (date) => (date - now) / MINUTE;
+
+// A restaurant with enough prep history: 20 minutes on average, 4 either way
+const restaurant = {
+  _id: id(),
+  deliveryTime: 35,
+  prepTime: { average: 20, stdDev: 4, samples: config.minPrepSamples }
+};
+
+const mockRestaurant = (fields = {}) => {
+  jest.spyOn(Restaurant, 'findById').mockReturnValue({ select: async () => ({ ...restaurant, ...fields }) });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('estimateOrderEta', () => {
+  const newOrder = (fields = {}) => ({
+    _id: id(),
+    restaurant: restaurant._id,
+    status: 'placed',
+    statusHistory: [],
+    createdAt: now,
+    ...fields
+  });
+
+  it('adds the kitchen queue, prep time and trip for a new order', async () => {
+    mockRestaurant();
+    const ahead = jest.spyOn(Order, 'countDocuments').mockResolvedValue(2);
+
+    const { estimatedDeliveryTime, eta } = await estimateOrderEta(newOrder(), now);
+
+    const queue = 2 * config.queueMinutesPerOrder;
+    const minutes = Math.ceil(Math.max(queue + 20, config.defaultPickupMinutes) + config.defaultTravelMinutes);
+    const margin = Math.max(config.minWindowMinutes, Math.ceil(4 + config.defaultTravelMinutes * config.travelSpreadRatio));
+
+    expect(ahead.mock.calls[0][0]).toMatchObject({ restaurant: restaurant._id, createdAt: { $lt: now } });
+    expect(eta).toMatchObject({ queueMinutes: queue, prepMinutes: 20, pickupMinutes: config.defaultPickupMinutes, distanceKm: null });
+    expect(minutesFromNow(estimatedDeliveryTime)).toBe(minutes);
+    expect(minutesFromNow(eta.earliest)).toBe(minutes - margin);
+    expect(minutesFromNow(eta.latest)).toBe(minutes + margin);
+  });
+
+  it('counts down the prep time once the kitchen accepted the order', async () => {
+    mockRestaurant();
+    jest.spyOn(Order, 'countDocuments').mockResolvedValue(0);
+    const order = newOrder({
+      status: 'preparing',
+      statusHistory: [{ status: 'accepted', timestamp: new Date(now.getTime() - 15 * MINUTE) }]
+    });
+
+    const { eta } = await estimateOrderEta(order, now);
+
+    expect(eta.queueMinutes).toBe(0);
+    expect(eta.prepMinutes).toBe(5);
+  });
+
+  it('uses the restaurant\'s deliveryTime without enough prep history', async () => {
+    mockRestaurant({ prepTime: { average: 12, samples: config.minPrepSamples - 1 } });
+    jest.spyOn(Order, 'countDocuments').mockResolvedValue(0);
+
+    const { eta } = await estimateOrderEta(newOrder(), now);
+
+    expect(eta.prepMinutes).toBe(35);
+  });
+
+  it('times orders out for delivery from the agent\'s position', async () => {
+    mockRestaurant({ location: toGeoPoint({ latitude: 12.9716, longitude: 77.5946 }) });
+    const count = jest.spyOn(Order, 'countDocuments');
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: async () => ({ currentLocation: { latitude: 12.9716, longitude: 77.6050 } })
+    });
+    const order = newOrder({
+      status: 'picked_up',
+      deliveryAgent: id(),
+      deliveryAddress: { coordinates: { latitude: 12.9716, longitude: 77.6150 } }
+    });
+
+    const { eta } = await estimateOrderEta(order, now);
+
+    expect(count).not.toHaveBeenCalled();
+    expect(eta).toMatchObject({ queueMinutes: 0, prepMinutes: 0, pickupMinutes: 0 });
+    // About 1.1 km straight from the agent, more by road
+    expect(eta.distanceKm).toBeGreaterThan(1.1);
+    expect(eta.distanceKm).toBeLessThan(1.6);
+    expect(eta.travelMinutes).toBeCloseTo(eta.distanceKm / trackingConfig.averageSpeedKmh * 60, 1);
+  });
+
+  it('does not deliver scheduled orders before their slot', async () => {
+    mockRestaurant();
+    jest.spyOn(Order, 'countDocuments').mockResolvedValue(0);
+    const scheduledFor = new Date(now.getTime() + 180 * MINUTE);
+
+    const { estimatedDeliveryTime } = await estimateOrderEta(newOrder({ status: 'pending_payment', scheduledFor }), now);
+
+    expect(estimatedDeliveryTime).toEqual(scheduledFor);
+  });
+
+  it('has no estimate for delivered, cancelled or scheduled orders', async () => {
+    for (const status of ['delivered', 'cancelled', 'scheduled']) {
+      await expect(estimateOrderEta(newOrder({ status }), now)).resolves.toBeNull();
+    }
+  });
+});
+
+describe('estimateRestaurantEtas', () => {
+  it('adds each restaurant\'s kitchen queue to its listing estimate', async () => {
+    const quiet = { ...restaurant, _id: id() };
+    const busy = { ...restaurant, _id: id() };
+    jest.spyOn(Order, 'aggregate').mockResolvedValue([{ _id: busy._id, count: 4 }]);
+
+    const etas = await estimateRestaurantEtas([quiet, busy]);
+
+    const quietMinutes = Math.ceil(20 + config.defaultTravelMinutes);
+    expect(etas.get(quiet._id.toString()).minutes).toBe(quietMinutes);
+    expect(etas.get(busy._id.toString()).minutes).toBe(quietMinutes + 4 * config.queueMinutesPerOrder);
+  });
+});
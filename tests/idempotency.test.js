@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotency = require('../middleware/idempotency');
+
+describe('idempotency middleware', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  let handler;
+  let app;
+
+  beforeEach(() => {
+    handler = jest.fn((req, res) => res.status(201).json({ orderId: 'order-1' }));
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.post('/api/orders', idempotency, (req, res) => handler(req, res));
+
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(null);
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (data) => new IdempotencyKey(data));
+    jest.spyOn(IdempotencyKey.prototype, 'save').mockResolvedValue();
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const placeOrder = (key, body = { tip: 10 }) => {
+    const req = request(app).post('/api/orders').send(body);
+    return key ? req.set('Idempotency-Key', key) : req;
+  };
+
+  // A stored key for the same request, as the first attempt left it
+  const storedKey = (fields) => new IdempotencyKey({
+    key: 'key-1',
+    user: user._id,
+    endpoint: 'POST /api/orders',
+    requestHash: crypto.createHash('sha256').update(JSON.stringify({ tip: 10 })).digest('hex'),
+    ...fields
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const res = await placeOrder();
+
+    expect(res.status).toBe(201);
+    expect(IdempotencyKey.findOne).not.toHaveBeenCalled();
+  });
+
+  it('stores the response of a successful first request', async () => {
+    const res = await placeOrder('key-1');
+
+    expect(res.status).toBe(201);
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({ key: 'key-1', endpoint: 'POST /api/orders' }));
+    expect(IdempotencyKey.prototype.save).toHaveBeenCalled();
+  });
+
+  it('replays the stored response without running the handler again', async () => {
+    IdempotencyKey.findOne.mockResolvedValue(storedKey({ statusCode: 201, response: { orderId: 'order-1' } }));
+
+    const res = await placeOrder('key-1');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ orderId: 'order-1' });
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('rejects a key reused with a different request', async () => {
+    IdempotencyKey.findOne.mockResolvedValue(storedKey({ statusCode: 201, response: {} }));
+
+    const res = await placeOrder('key-1', { tip: 20 });
+
+    expect(res.status).toBe(422);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('rejects retries while the first request is in progress', async () => {
+    IdempotencyKey.findOne.mockResolvedValue(storedKey({ lockedAt: new Date() }));
+
+    const res = await placeOrder('key-1');
+
+    expect(res.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('lets a retry take over a key left in progress by a crashed request', async () => {
+    const stale = storedKey({ lockedAt: new Date(Date.now() - 10 * 60 * 1000) });
+    IdempotencyKey.findOne.mockResolvedValue(stale);
+    const takeOver = jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(stale);
+
+    const res = await placeOrder('key-1');
+
+    expect(res.status).toBe(201);
+    expect(takeOver).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: stale._id, lockedAt: stale.lockedAt }),
+      { lockedAt: expect.any(Date) },
+      { new: true }
+    );
+    expect(handler).toHaveBeenCalled();
+  });
+
+  it('releases the key when the request fails so it can be retried', async () => {
+    handler.mockImplementation((req, res) => res.status(400).json({ message: 'Cart is empty' }));
+
+    const res = await placeOrder('key-1');
+
+    expect(res.status).toBe(400);
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalled();
+    expect(IdempotencyKey.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+const config = require('../config/uploads');
+const localStorage = require('../services/storage/localStorage');
+const { getStorage } = require('../services/storage');
+const { storeImage, removeImages } = require('../services/images');
+const { uploadImage } = require('../middleware/upload');
+
+jest.mock('../services/storage', () => {
+  const storage = {
+    save: jest.fn(async (key) => ({ key, url: `/uploads/${key}` })),
+    remove: jest.fn(async () => {})
+  };
+  return { getStorage: () => storage };
+});
+
+const png = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 80, b: 20 } }
+}).png().toBuffer();
+
+describe('storeImage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('stores a resized image and a thumbnail as webp', async () => {
+    const stored = await storeImage(await png(1600, 800), 'restaurants/abc');
+    const storage = getStorage();
+
+    expect(stored.image).toMatch(/^\/uploads\/restaurants\/abc\/[0-9a-f]{16}\.webp$/);
+    expect(stored.thumbnail).toBe(stored.image.replace('.webp', '_thumb.webp'));
+    expect(stored.keys).toEqual([stored.image.slice(9), stored.thumbnail.slice(9)]);
+
+    const [image, thumbnail] = await Promise.all(storage.save.mock.calls.map(([, buffer]) => sharp(buffer).metadata()));
+    expect(image).toMatchObject({ format: 'webp', width: config.image.width, height: config.image.width / 2 });
+    expect(thumbnail).toMatchObject({ format: 'webp', width: config.thumbnail.width, height: config.thumbnail.height });
+  });
+
+  it('rejects files that are not images whatever their MIME type', async () => {
+    await expect(storeImage(Buffer.from('not an image'), 'menu-items/abc')).rejects.toMatchObject({
+      status: 400,
+      message: 'Uploaded file is not a valid image'
+    });
+    expect(getStorage().save).not.toHaveBeenCalled();
+  });
+
+  it('logs failed deletes instead of throwing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getStorage().remove.mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(removeImages(['a.webp', 'b.webp'])).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('local storage', () => {
+  it('refuses keys outside the upload directory', async () => {
+    await expect(localStorage.save('../outside.webp', Buffer.from(''))).rejects.toThrow('Invalid storage key: ../outside.webp');
+  });
+});
+
+describe('uploadImage', () => {
+  const app = express();
+  app.post('/upload', uploadImage('image'), (req, res) => res.json({ size: req.file.size }));
+
+  it('passes an image on to the route', async () => {
+    const res = await request(app).post('/upload').attach('image', await png(10, 10), { filename: 'a.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.size).toBeGreaterThan(0);
+  });
+
+  it('rejects other file types and missing files', async () => {
+    const wrongType = await request(app).post('/upload').attach('image', Buffer.from('%PDF'), { filename: 'a.pdf', contentType: 'application/pdf' });
+    const missing = await request(app).post('/upload').field('name', 'x');
+
+    expect(wrongType.status).toBe(400);
+    expect(wrongType.body.message).toMatch(/^Only image\/jpeg, image\/png, image\/webp images are allowed/);
+    expect(missing.status).toBe(400);
+    expect(missing.body.message).toBe('No image uploaded in the "image" field');
+  });
+});
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const {
+  sumQuantities,
+  getRemainingStock,
+  reserveStock,
+  releaseStock,
+  releaseOrderStock,
+  stockChangeUpdate,
+  applyStockChange,
+  resetDailyStock
+} = require('../services/inventory');
+
+// Query results that are awaited after .session() or .select().session()
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    session: () => Promise.resolve(result)
+  };
+  return chain;
+};
+
+describe('stock reservations', () => {
+  const burger = new mongoose.Types.ObjectId();
+  const fries = new mongoose.Types.ObjectId();
+  const items = [
+    { menuItem: burger, quantity: 2 },
+    { menuItem: fries, quantity: 1 },
+    { menuItem: burger, quantity: 1 }
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sums quantities per menu item across lines', () => {
+    const totals = sumQuantities(items);
+
+    expect(totals.get(burger.toString())).toBe(3);
+    expect(totals.get(fries.toString())).toBe(1);
+  });
+
+  it('treats untracked items as unlimited', () => {
+    expect(getRemainingStock({ stock: { isTracked: false, quantity: 0 } })).toBe(Infinity);
+    expect(getRemainingStock({ stock: { isTracked: true, quantity: 4 } })).toBe(4);
+  });
+
+  it('takes stock only for tracked items that have enough left', async () => {
+    jest.spyOn(MenuItem, 'exists').mockImplementation(({ _id }) => query(_id === burger.toString()));
+    const update = jest.spyOn(MenuItem, 'findOneAndUpdate').mockResolvedValue({});
+
+    await reserveStock(items, 'session');
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update).toHaveBeenCalledWith(
+      { _id: burger.toString(), 'stock.quantity': { $gte: 3 } },
+      expect.any(Array),
+      { new: true, session: 'session' }
+    );
+  });
+
+  it('refuses the order when a tracked item runs short', async () => {
+    jest.spyOn(MenuItem, 'exists').mockReturnValue(query(true));
+    jest.spyOn(MenuItem, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(MenuItem, 'findById').mockReturnValue(query({ name: 'Burger', stock: { quantity: 2 } }));
+
+    await expect(reserveStock(items)).rejects.toMatchObject({
+      status: 409,
+      message: 'Only 2 of Burger left in stock'
+    });
+  });
+
+  it('puts stock back for tracked items', async () => {
+    const update = jest.spyOn(MenuItem, 'updateOne').mockResolvedValue({});
+
+    await releaseStock(items, 'session');
+
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update).toHaveBeenCalledWith(
+      { _id: burger.toString(), 'stock.isTracked': true },
+      expect.any(Array),
+      { session: 'session' }
+    );
+  });
+
+  it('releases an order\'s stock only once', async () => {
+    const order = new Order({ items: [{ menuItem: burger, name: 'Burger', quantity: 1, price: 100 }], stockReserved: true });
+    const claim = jest.spyOn(Order, 'findOneAndUpdate')
+      .mockResolvedValueOnce(order)
+      .mockResolvedValueOnce(null);
+    const update = jest.spyOn(MenuItem, 'updateOne').mockResolvedValue({});
+
+    await expect(releaseOrderStock(order)).resolves.toBe(true);
+    await expect(releaseOrderStock(order)).resolves.toBe(false);
+
+    expect(claim).toHaveBeenCalledWith({ _id: order._id, stockReserved: true }, { stockReserved: false }, { session: undefined });
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(order.stockReserved).toBe(false);
+  });
+});
+
+describe('owner stock changes', () => {
+  it('only adds a settings stage when settings change', () => {
+    expect(stockChangeUpdate({ quantity: 5 })).toHaveLength(1);
+
+    const [settings, quantity] = stockChangeUpdate({ isTracked: true, lowStockThreshold: 2, delta: -3 });
+    expect(settings).toEqual({ $set: { 'stock.isTracked': true, 'stock.lowStockThreshold': 2 } });
+    expect(quantity.$set['stock.quantity']).toEqual({ $max: [0, { $add: ['$stock.quantity', -3] }] });
+  });
+
+  const menuItem = (stock, isAvailable = true) => new MenuItem({ isAvailable, stock: { isTracked: true, ...stock } });
+
+  it('sells out items that reach zero and brings them back when restocked', () => {
+    const item = menuItem({ quantity: 2 });
+
+    applyStockChange(item, { delta: -5 });
+    expect(item.stock.quantity).toBe(0);
+    expect(item.isAvailable).toBe(false);
+    expect(item.stock.autoSoldOut).toBe(true);
+
+    applyStockChange(item, { quantity: 10 });
+    expect(item.isAvailable).toBe(true);
+    expect(item.stock.autoSoldOut).toBe(false);
+  });
+
+  it('keeps items switched off by hand unavailable when restocked', () => {
+    const item = menuItem({ quantity: 0 }, false);
+
+    applyStockChange(item, { quantity: 10 });
+
+    expect(item.isAvailable).toBe(false);
+  });
+
+  it('leaves availability alone for untracked items', () => {
+    const item = new MenuItem({ isAvailable: true });
+
+    applyStockChange(item, { quantity: 0 });
+
+    expect(item.isAvailable).toBe(true);
+  });
+});
+
+describe('daily stock reset', () => {
+  const restaurantId = new mongoose.Types.ObjectId();
+  const reservedItem = new mongoose.Types.ObjectId();
+  // 00:30 in Kolkata on 3 March
+  const now = new Date('2026-03-02T19:00:00Z');
+
+  beforeEach(() => {
+    jest.spyOn(MenuItem, 'distinct').mockResolvedValue([restaurantId]);
+    jest.spyOn(Restaurant, 'find').mockReturnValue({
+      select: async () => [{ _id: restaurantId, timezone: 'Asia/Kolkata' }]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps stock held by scheduled and unpaid orders out of the new quantity', async () => {
+    const aggregate = jest.spyOn(Order, 'aggregate').mockResolvedValue([{ _id: reservedItem, quantity: 3 }]);
+    const updateOne = jest.spyOn(MenuItem, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const updateMany = jest.spyOn(MenuItem, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+    const reset = await resetDailyStock(now);
+
+    expect(reset).toBe(5);
+    const [match] = aggregate.mock.calls[0][0];
+    expect(match.$match).toMatchObject({
+      restaurant: { $in: [restaurantId] },
+      status: { $in: ['scheduled', 'pending_payment'] },
+      stockReserved: true
+    });
+
+    const [filter, [resetDate, quantity]] = updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ _id: reservedItem.toString(), 'stock.lastResetDate': { $ne: '2026-03-03' } });
+    expect(resetDate).toEqual({ $set: { 'stock.lastResetDate': '2026-03-03' } });
+    expect(quantity.$set['stock.quantity']).toEqual({ $max: [0, { $subtract: ['$stock.dailyResetQuantity', 3] }] });
+
+    // Reset afterwards, so it skips the items already reset above
+    expect(updateMany.mock.calls[0][0]).toMatchObject({ 'stock.lastResetDate': { $ne: '2026-03-03' } });
+    expect(updateMany.mock.calls[0][1][1].$set['stock.quantity']).toBe('$stock.dailyResetQuantity');
+  });
+
+  it('restores the full daily quantity when nothing is reserved', async () => {
+    jest.spyOn(Order, 'aggregate').mockResolvedValue([]);
+    const updateOne = jest.spyOn(MenuItem, 'updateOne');
+    jest.spyOn(MenuItem, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await expect(resetDailyStock(now)).resolves.toBe(2);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const MenuCategory = require('../models/MenuCategory');
+const MenuItem = require('../models/MenuItem');
+const { isCategoryAvailableAt, resolveCategories, getGroupedMenu } = require('../services/menuCategories');
+
+const id = () => new mongoose.Types.ObjectId();
+// Wall-clock time in Kolkata on Monday 2 March 2026
+const ist = (time) => new Date(`2026-03-02T${time}:00+05:30`);
+
+describe('isCategoryAvailableAt', () => {
+  const restaurant = { timezone: 'Asia/Kolkata' };
+  const breakfast = { isActive: true, availability: [{ days: ['mon', 'tue'], open: '07:00', close: '11:00' }] };
+
+  it('shows categories only inside their serving windows', () => {
+    expect(isCategoryAvailableAt(breakfast, restaurant, ist('08:30'))).toBe(true);
+    expect(isCategoryAvailableAt(breakfast, restaurant, ist('11:00'))).toBe(false);
+    expect(isCategoryAvailableAt({ ...breakfast, availability: [{ days: ['sun'], open: '07:00', close: '11:00' }] }, restaurant, ist('08:30')))
+      .toBe(false);
+  });
+
+  it('always shows active categories without windows and never inactive ones', () => {
+    expect(isCategoryAvailableAt({ isActive: true, availability: [] }, restaurant, ist('03:00'))).toBe(true);
+    expect(isCategoryAvailableAt({ ...breakfast, isActive: false }, restaurant, ist('08:30'))).toBe(false);
+  });
+});
+
+describe('resolveCategories', () => {
+  const restaurantId = id();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reuses existing categories and adds new ones at the end of the menu', async () => {
+    const mains = { _id: id(), name: 'Mains', displayOrder: 0 };
+    jest.spyOn(MenuCategory, 'find').mockReturnValue({ collation: async () => [mains] });
+    jest.spyOn(MenuCategory, 'findOne').mockReturnValue({ sort: async () => ({ displayOrder: 4 }) });
+    const upsert = jest.spyOn(MenuCategory, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => ({ _id: id(), name: filter.name, displayOrder: update.$setOnInsert.displayOrder }));
+
+    const categories = await resolveCategories(restaurantId, ['mains', ' Desserts', 'Drinks', ' Desserts']);
+
+    expect(categories.get('mains')).toBe(mains);
+    expect(categories.get('desserts')).toMatchObject({ name: 'Desserts', displayOrder: 5 });
+    expect(categories.get('drinks')).toMatchObject({ name: 'Drinks', displayOrder: 6 });
+    expect(upsert).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('getGroupedMenu', () => {
+  const restaurant = { _id: id(), timezone: 'Asia/Kolkata' };
+  const breakfast = { _id: id(), name: 'Breakfast', displayOrder: 0, isActive: true, availability: [{ open: '07:00', close: '11:00' }] };
+  const mains = { _id: id(), name: 'Mains', displayOrder: 1, isActive: true, availability: [] };
+  const idli = { name: 'Idli', category: 'Breakfast', menuCategory: breakfast._id };
+  const thali = { name: 'Thali', category: 'Mains', menuCategory: mains._id };
+  const legacy = { name: 'Lassi', category: 'Drinks' };
+
+  beforeEach(() => {
+    jest.spyOn(MenuCategory, 'find').mockReturnValue({ sort: async () => [breakfast, mains] });
+    jest.spyOn(MenuItem, 'find').mockReturnValue({ sort: async () => [idli, legacy, thali] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('groups items in display order and lists items without a category last', async () => {
+    const groups = await getGroupedMenu(restaurant, { at: ist('08:00') });
+
+    expect(groups.map(group => group.name)).toEqual(['Breakfast', 'Mains', 'Drinks']);
+    expect(groups[2]).toMatchObject({ _id: null, items: [legacy] });
+  });
+
+  it('hides categories outside their window unless asked for everything', async () => {
+    const lunch = await getGroupedMenu(restaurant, { at: ist('13:00') });
+    const everything = await getGroupedMenu(restaurant, { at: ist('13:00'), includeUnavailable: true });
+
+    expect(lunch.map(group => group.name)).toEqual(['Mains', 'Drinks']);
+    expect(everything[0]).toMatchObject({ name: 'Breakfast', isAvailableNow: false });
+  });
+});
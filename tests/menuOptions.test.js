@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { resolveItemOptions, getLineKey } = require('../services/menuOptions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('resolveItemOptions', () => {
+  const large = { _id: id(), name: 'Large', priceDelta: 80, isAvailable: true };
+  const regular = { _id: id(), name: 'Regular', priceDelta: 0, isAvailable: true };
+  const cheese = { _id: id(), name: 'Extra cheese', priceDelta: 30, isAvailable: true };
+  const olives = { _id: id(), name: 'Olives', priceDelta: 20, isAvailable: false };
+  const jalapenos = { _id: id(), name: 'Jalapenos', priceDelta: 25, isAvailable: true };
+
+  const size = { _id: id(), name: 'Size', required: true, maxSelections: 1, options: [regular, large] };
+  const toppings = { _id: id(), name: 'Toppings', minSelections: 0, maxSelections: 2, options: [cheese, olives, jalapenos] };
+  const pizza = { price: 250, optionGroups: [size, toppings] };
+
+  it('adds the price of the chosen options to the base price, in menu order', () => {
+    const result = resolveItemOptions(pizza, [cheese._id, large._id]);
+
+    expect(result.valid).toBe(true);
+    expect(result.unitPrice).toBe(250 + 80 + 30);
+    expect(result.options).toEqual([
+      { group: size._id, groupName: 'Size', option: large._id, name: 'Large', priceDelta: 80 },
+      { group: toppings._id, groupName: 'Toppings', option: cheese._id, name: 'Extra cheese', priceDelta: 30 }
+    ]);
+  });
+
+  it('requires a choice for required groups', () => {
+    expect(resolveItemOptions(pizza, [cheese._id])).toEqual({
+      valid: false,
+      message: 'Please choose at least 1 option(s) for Size'
+    });
+  });
+
+  it('limits the number of choices per group', () => {
+    expect(resolveItemOptions(pizza, [regular._id, large._id]).message)
+      .toBe('You can choose at most 1 option(s) for Size');
+  });
+
+  it('rejects unavailable options and options of other items', () => {
+    expect(resolveItemOptions(pizza, [regular._id, olives._id]).message).toBe('Olives is not available');
+    expect(resolveItemOptions(pizza, [regular._id, id()]).message).toBe('Some selected options do not belong to this item');
+  });
+
+  it('uses the base price for items without option groups', () => {
+    expect(resolveItemOptions({ price: 90 })).toEqual({ valid: true, options: [], unitPrice: 90 });
+  });
+});
+
+describe('getLineKey', () => {
+  it('is the same for the same options in any order and differs for other options', () => {
+    const menuItem = id();
+    const [a, b] = [id(), id()];
+
+    expect(getLineKey(menuItem, [{ option: a }, { option: b }])).toBe(getLineKey(menuItem, [{ option: b }, { option: a }]));
+    expect(getLineKey(menuItem, [{ option: a }])).not.toBe(getLineKey(menuItem, [{ option: b }]));
+    expect(getLineKey(menuItem)).toBe(menuItem.toString());
+  });
+});
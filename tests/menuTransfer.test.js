@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const { resolveCategories } = require('../services/menuCategories');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { parseMenuFile, importMenu } = require('../services/menuTransfer');
+
+jest.mock('../services/menuCategories', () => ({
+  resolveCategories: jest.fn(async (restaurantId, names) => new Map(names.map(name => [
+    name.trim().toLowerCase(),
+    { _id: `category-${name.trim().toLowerCase()}`, name: name.trim() }
+  ]))),
+  getGroupedMenu: jest.fn()
+}));
+
+const csvFile = (text) => ({ originalname: 'menu.csv', mimetype: 'text/csv', buffer: Buffer.from(text) });
+const jsonFile = (data) => ({ originalname: 'menu.json', mimetype: 'application/json', buffer: Buffer.from(JSON.stringify(data)) });
+
+describe('CSV helpers', () => {
+  it('reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('name,description\r\n"Dosa, plain","Says ""crispy""\nand hot"\r\n')).toEqual([
+      ['name', 'description'],
+      ['Dosa, plain', 'Says "crispy"\nand hot']
+    ]);
+  });
+
+  it('writes fields that need quoting so they read back the same', () => {
+    const rows = [['name', 'price'], ['Dosa, plain', 80], ['Says "hi"', null]];
+
+    expect(parseCsv(toCsv(rows))).toEqual([['name', 'price'], ['Dosa, plain', '80'], ['Says "hi"', '']]);
+  });
+});
+
+describe('parseMenuFile', () => {
+  it('numbers CSV rows after the header, counting blank lines', () => {
+    const rows = parseMenuFile(csvFile(
+      'name,description,category,price,isVegetarian,tags\n' +
+      'Masala Dosa,Crispy rice crepe with potato,Mains,120,yes,south indian|breakfast\n' +
+      '\n' +
+      'Filter Coffee,Strong coffee with milk,Drinks,40,,\n'
+    ));
+
+    expect(rows).toEqual([
+      {
+        row: 1,
+        data: {
+          name: 'Masala Dosa',
+          description: 'Crispy rice crepe with potato',
+          category: 'Mains',
+          price: '120',
+          isVegetarian: true,
+          tags: ['south indian', 'breakfast']
+        }
+      },
+      { row: 3, data: { name: 'Filter Coffee', description: 'Strong coffee with milk', category: 'Drinks', price: '40' } }
+    ]);
+  });
+
+  it('reads JSON arrays and { items } objects', () => {
+    const item = { name: 'Idli', description: 'Steamed rice cakes', category: 'Mains', price: 60 };
+
+    expect(parseMenuFile(jsonFile([item]))).toEqual([{ row: 1, data: item }]);
+    expect(parseMenuFile(jsonFile({ items: [item] }))).toEqual([{ row: 1, data: item }]);
+  });
+
+  it('rejects files it cannot read', () => {
+    expect(() => parseMenuFile({ originalname: 'menu.txt', mimetype: 'text/plain', buffer: Buffer.from('') }))
+      .toThrow('Menu file must be CSV or JSON');
+    expect(() => parseMenuFile(csvFile('name,colour\nDosa,gold\n'))).toThrow(/^Unknown CSV columns: colour/);
+    expect(() => parseMenuFile(jsonFile({ menu: [] }))).toThrow('JSON menu must be an array of items or an object with an "items" array');
+    expect(() => parseMenuFile(csvFile('name,price\n'))).toThrow('Menu file has no items');
+  });
+});
+
+describe('importMenu', () => {
+  const restaurant = { _id: new mongoose.Types.ObjectId() };
+  const dosa = { _id: new mongoose.Types.ObjectId(), name: 'Masala Dosa', isAvailable: true };
+  const row = (number, data) => ({ row: number, data });
+  const valid = (name) => ({ name, description: 'Freshly made every day', category: 'Mains', price: 100 });
+
+  beforeEach(() => {
+    jest.spyOn(MenuItem, 'find').mockReturnValue({ select: async () => [dosa] });
+    jest.spyOn(MenuItem, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('reports every invalid and duplicate row and writes nothing', async () => {
+    const summary = await importMenu(restaurant, [
+      row(1, valid('Idli')),
+      row(2, { name: 'Vada', price: -5 }),
+      row(3, valid('idli '))
+    ]);
+
+    expect(summary).toMatchObject({ dryRun: false, total: 3, created: 1, updated: 0 });
+    expect(summary.errors).toEqual([
+      {
+        row: 2,
+        name: 'Vada',
+        messages: ['"description" is required', '"category" is required', '"price" must be greater than or equal to 0']
+      },
+      { row: 3, name: 'idli ', messages: ['Duplicate of row 1'] }
+    ]);
+    expect(MenuItem.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('only counts the changes on a dry run', async () => {
+    const summary = await importMenu(restaurant, [row(1, valid('masala dosa')), row(2, valid('Idli'))], { dryRun: true });
+
+    expect(summary).toEqual({ dryRun: true, total: 2, created: 1, updated: 1, errors: [] });
+    expect(MenuItem.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('updates items matched by name and creates the others', async () => {
+    await importMenu(restaurant, [row(1, valid('masala dosa')), row(2, valid('Idli'))]);
+
+    const [update, create] = MenuItem.bulkWrite.mock.calls[0][0];
+    expect(update.updateOne.filter).toEqual({ _id: dosa._id });
+    expect(create.updateOne).toMatchObject({
+      filter: { restaurant: restaurant._id, name: 'Idli' },
+      update: { $set: { name: 'Idli', price: 100, restaurant: restaurant._id } },
+      upsert: true
+    });
+    expect(resolveCategories).toHaveBeenCalledWith(restaurant._id, ['Mains', 'Mains']);
+  });
+});
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const { resolveCategories } = require('../services/menuCategories');
+const { runMigrations } = require('../jobs/migrations');
+
+jest.mock('../services/menuCategories', () => ({ resolveCategories: jest.fn() }));
+
+describe('runMigrations', () => {
+  const restaurantId = new mongoose.Types.ObjectId();
+  const starters = { _id: new mongoose.Types.ObjectId(), name: 'Starters' };
+
+  beforeEach(() => {
+    jest.spyOn(Restaurant.collection, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    resolveCategories.mockResolvedValue(new Map([['starters', starters]]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('only groups menu items with a non-empty string category', async () => {
+    const aggregate = jest.spyOn(MenuItem, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(MenuItem, 'updateMany');
+
+    await runMigrations();
+
+    const [match] = aggregate.mock.calls[0][0];
+    expect(match.$match.menuCategory).toEqual({ $exists: false });
+    expect(match.$match.category.$type).toBe('string');
+    expect(match.$match.category.$regex.test('   ')).toBe(false);
+    expect(match.$match.category.$regex.test('Starters')).toBe(true);
+    expect(MenuItem.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('moves menu items into the category matching their name', async () => {
+    jest.spyOn(MenuItem, 'aggregate').mockResolvedValue([{ _id: restaurantId, categories: ['starters '] }]);
+    const update = jest.spyOn(MenuItem, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    await runMigrations();
+
+    expect(resolveCategories).toHaveBeenCalledWith(restaurantId, ['starters ']);
+    expect(update).toHaveBeenCalledWith(
+      { restaurant: restaurantId, category: 'starters ', menuCategory: { $exists: false } },
+      { category: 'Starters', menuCategory: starters._id }
+    );
+    expect(console.log).toHaveBeenCalledWith('Moved 3 menu items into menu categories');
+  });
+});
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const AssignmentOffer = require('../models/AssignmentOffer');
+const Order = require('../models/Order');
+const { dispatchOrder, hasCapacity } = require('../services/dispatch');
+const { acceptOffer, declineOffer, expireOffers, getOfferStats } = require('../services/offers');
+
+jest.mock('../services/dispatch', () => ({
+  ...jest.requireActual('../services/dispatch'),
+  dispatchOrder: jest.fn(async (order) => ({ offered: true, order })),
+  hasCapacity: jest.fn(async () => true)
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+const now = new Date('2026-03-02T12:00:00Z');
+
+const newOffer = (fields = {}) => new AssignmentOffer({
+  order: id(),
+  agent: id(),
+  method: 'auto',
+  expiresAt: new Date(now.getTime() + 30 * 1000),
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('acceptOffer', () => {
+  it('makes the agent the order\'s delivery agent', async () => {
+    const offer = newOffer();
+    jest.spyOn(AssignmentOffer, 'findOneAndUpdate').mockResolvedValue({ ...offer.toObject(), status: 'accepted' });
+    const assign = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({ _id: offer.order });
+
+    const result = await acceptOffer(offer, { _id: offer.agent }, now);
+
+    expect(result.offer.status).toBe('accepted');
+    expect(AssignmentOffer.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: offer._id, status: 'pending' },
+      { status: 'accepted', respondedAt: now },
+      { new: true }
+    );
+    const [filter, update] = assign.mock.calls[0];
+    expect(filter).toMatchObject({ _id: offer.order, 'dispatch.offer': offer._id });
+    expect(update.$set).toMatchObject({ deliveryAgent: offer.agent, 'dispatch.status': 'assigned', 'dispatch.assignedAt': now });
+  });
+
+  it('refuses closed or expired offers and agents at their limit', async () => {
+    await expect(acceptOffer(newOffer({ status: 'declined' }), {}, now)).rejects.toMatchObject({ status: 409, message: 'Offer was already declined' });
+    await expect(acceptOffer(newOffer({ expiresAt: now }), {}, now)).rejects.toMatchObject({ status: 409, message: 'Offer has expired' });
+
+    hasCapacity.mockResolvedValueOnce(false);
+    await expect(acceptOffer(newOffer(), {}, now)).rejects.toMatchObject({ status: 409, message: 'You are at your order limit' });
+  });
+
+  it('cancels the acceptance when the order moved on in the meantime', async () => {
+    const accepted = newOffer({ status: 'accepted' });
+    jest.spyOn(accepted, 'save').mockResolvedValue(accepted);
+    jest.spyOn(AssignmentOffer, 'findOneAndUpdate').mockResolvedValue(accepted);
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(acceptOffer(newOffer(), {}, now)).rejects.toMatchObject({ status: 409, message: 'Order is no longer available' });
+    expect(accepted.status).toBe('cancelled');
+  });
+});
+
+describe('declineOffer', () => {
+  it('records the reason and offers the order to the next agent', async () => {
+    const offer = newOffer();
+    const order = { _id: offer.order, deliveryAgent: null };
+    jest.spyOn(AssignmentOffer, 'findOneAndUpdate').mockResolvedValue({ ...offer.toObject(), status: 'declined' });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    const clear = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+    await declineOffer(offer, { reason: 'Too far' }, now);
+
+    expect(AssignmentOffer.findOneAndUpdate.mock.calls[0][1]).toEqual({ status: 'declined', respondedAt: now, declineReason: 'Too far' });
+    expect(clear.mock.calls[0][1].$set).toEqual({ 'dispatch.status': 'searching' });
+    expect(dispatchOrder).toHaveBeenCalledWith(order, { reassign: false, now });
+  });
+
+  it('refuses offers that were answered at the same time', async () => {
+    jest.spyOn(AssignmentOffer, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(declineOffer(newOffer(), {}, now)).rejects.toMatchObject({ status: 409, message: 'Offer is no longer open' });
+    expect(dispatchOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe('expireOffers', () => {
+  it('expires unanswered offers and moves their orders on, skipping ones answered meanwhile', async () => {
+    const [late, answered] = [newOffer(), newOffer()];
+    const order = { _id: late.order, deliveryAgent: null };
+    jest.spyOn(AssignmentOffer, 'find').mockReturnValue({ sort: async () => [late, answered] });
+    jest.spyOn(AssignmentOffer, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ ...late.toObject(), status: 'expired' })
+      .mockResolvedValueOnce(null);
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+    await expect(expireOffers(now)).resolves.toBe(1);
+    expect(AssignmentOffer.find).toHaveBeenCalledWith({ status: 'pending', expiresAt: { $lte: now } });
+    expect(dispatchOrder).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getOfferStats', () => {
+  it('reports rates as shares of answered offers', async () => {
+    const agent = id();
+    jest.spyOn(AssignmentOffer, 'aggregate').mockResolvedValue([
+      { _id: agent, offered: 9, accepted: 6, declined: 1, expired: 1, pending: 1, agent: [{ fullName: 'Ravi', mobile: '9000000000' }] }
+    ]);
+
+    const [stats] = await getOfferStats({ agent: agent.toString() });
+
+    expect(stats).toMatchObject({ offered: 9, acceptanceRate: 0.75, declineRate: 0.125, expiryRate: 0.125 });
+    expect(stats.agent).toEqual({ _id: agent, fullName: 'Ravi', mobile: '9000000000' });
+    expect(AssignmentOffer.aggregate.mock.calls[0][0][0].$match).toEqual({ status: { $ne: 'cancelled' }, agent });
+  });
+
+  it('rejects invalid dates', async () => {
+    await expect(getOfferStats({ from: 'yesterday' })).rejects.toMatchObject({ status: 400, message: 'from must be a valid date' });
+  });
+});
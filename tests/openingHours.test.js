@@ -0,0 +1,79 @@
+const { isOpenAt, getNextOpeningTime, getIntervalsForDate } = require('../services/openingHours');
+const { REASONS, getOpeningState, getRestaurantAvailability } = require('../services/availability');
+
+// Wall-clock time in Kolkata (UTC+5:30) on a date in March 2026; 2 March is a Monday
+const ist = (date, time) => new Date(`2026-03-${date}T${time}:00+05:30`);
+
+describe('opening hours', () => {
+  const restaurant = {
+    timezone: 'Asia/Kolkata',
+    schedule: {
+      weekly: [
+        { day: 'mon', intervals: [{ open: '11:00', close: '15:00' }, { open: '18:00', close: '01:00' }] },
+        { day: 'tue', intervals: [{ open: '11:00', close: '15:00' }] }
+      ],
+      exceptions: [
+        { date: '2026-03-04', closed: true },
+        { date: '2026-03-05', intervals: [{ open: '12:00', close: '14:00' }] }
+      ]
+    }
+  };
+
+  it('follows the weekly intervals', () => {
+    expect(isOpenAt(restaurant, ist('02', '12:00'))).toBe(true);
+    expect(isOpenAt(restaurant, ist('02', '16:00'))).toBe(false);
+    expect(isOpenAt(restaurant, ist('02', '23:30'))).toBe(true);
+  });
+
+  it('keeps late-night intervals open past midnight into the next day', () => {
+    expect(isOpenAt(restaurant, ist('03', '00:30'))).toBe(true);
+    expect(isOpenAt(restaurant, ist('03', '01:00'))).toBe(false);
+  });
+
+  it('lets dated exceptions replace the weekly schedule', () => {
+    expect(getIntervalsForDate(restaurant, '2026-03-04')).toEqual([]);
+    expect(isOpenAt(restaurant, ist('05', '13:00'))).toBe(true);
+    expect(isOpenAt(restaurant, ist('05', '11:30'))).toBe(false);
+  });
+
+  it('falls back to the single opening hours, or always open without any', () => {
+    const legacy = { timezone: 'Asia/Kolkata', hours: { opening: '09:00', closing: '21:00' } };
+
+    expect(isOpenAt(legacy, ist('04', '10:00'))).toBe(true);
+    expect(isOpenAt(legacy, ist('04', '22:00'))).toBe(false);
+    expect(isOpenAt({ timezone: 'Asia/Kolkata' }, ist('04', '03:00'))).toBe(true);
+  });
+
+  it('finds the next opening, skipping closed days', () => {
+    expect(getNextOpeningTime(restaurant, ist('02', '16:00'))).toEqual(ist('02', '18:00'));
+    // Closed on the 4th, short hours on the 5th
+    expect(getNextOpeningTime(restaurant, ist('03', '16:00'))).toEqual(ist('05', '12:00'));
+    expect(getNextOpeningTime(restaurant, ist('02', '12:00'))).toEqual(ist('02', '12:00'));
+  });
+});
+
+describe('order pauses', () => {
+  const now = new Date();
+  const restaurant = {
+    isActive: true,
+    isOpen: true,
+    timezone: 'Asia/Kolkata',
+    pausedUntil: new Date(now.getTime() + 20 * 60 * 1000)
+  };
+
+  it('closes the restaurant until the pause ends', () => {
+    expect(getOpeningState(restaurant, now)).toEqual({ isOpen: false, nextOpeningTime: restaurant.pausedUntil });
+  });
+
+  it('rejects orders for now but not scheduled ones', () => {
+    const asap = getRestaurantAvailability(restaurant);
+    const scheduled = getRestaurantAvailability(restaurant, { scheduled: true });
+
+    expect(asap.reasons).toEqual([expect.objectContaining({ code: REASONS.ORDERS_PAUSED, pausedUntil: restaurant.pausedUntil })]);
+    expect(scheduled.available).toBe(true);
+  });
+
+  it('ends once pausedUntil has passed', () => {
+    expect(getOpeningState({ ...restaurant, pausedUntil: new Date(now.getTime() - 1000) }, now).isOpen).toBe(true);
+  });
+});
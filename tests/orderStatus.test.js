@@ -0,0 +1,119 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const { publishOrderEvent } = require('../services/tracking');
+const orderRoutes = require('../routes/orders');
+
+// Requests are made as mockUser
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+jest.mock('../services/eta', () => ({ updateOrderEta: jest.fn(), updatePrepTime: jest.fn() }));
+jest.mock('../services/tracking', () => ({ publishOrderEvent: jest.fn() }));
+jest.mock('../services/dispatch', () => ({
+  DISPATCH_STATUSES: [],
+  dispatchOrder: jest.fn(async (order) => ({ order }))
+}));
+
+describe('Order status transitions', () => {
+  const customer = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+
+  it('allows moving along the delivery flow', () => {
+    const order = new Order({ status: 'placed' });
+
+    ['accepted', 'preparing', 'ready', 'picked_up', 'delivered'].forEach(status => {
+      expect(order.canTransitionTo(status)).toBe(true);
+      order.transitionTo(status);
+    });
+
+    expect(order.status).toBe('delivered');
+  });
+
+  it('rejects skipping steps and going backwards', () => {
+    expect(new Order({ status: 'placed' }).canTransitionTo('ready')).toBe(false);
+    expect(new Order({ status: 'preparing' }).canTransitionTo('accepted')).toBe(false);
+  });
+
+  it('allows cancelling until the order is picked up', () => {
+    ['pending_payment', 'scheduled', 'placed', 'accepted', 'preparing', 'ready'].forEach(status => {
+      expect(new Order({ status }).canTransitionTo('cancelled')).toBe(true);
+    });
+    ['picked_up', 'delivered', 'cancelled'].forEach(status => {
+      expect(new Order({ status }).canTransitionTo('cancelled')).toBe(false);
+    });
+  });
+
+  it('records who made each change', () => {
+    const order = new Order({ status: 'placed' });
+
+    order.transitionTo('accepted');
+    order.transitionTo('cancelled', customer, 'Ordered by mistake');
+
+    expect(order.statusHistory).toHaveLength(2);
+    expect(order.statusHistory[0].role).toBe('system');
+    expect(order.statusHistory[0].actor).toBeUndefined();
+    expect(order.statusHistory[1]).toMatchObject({
+      status: 'cancelled',
+      actor: customer._id,
+      role: 'customer',
+      reason: 'Ordered by mistake'
+    });
+  });
+});
+
+describe('PUT /api/orders/:id/status', () => {
+  const owner = { _id: new mongoose.Types.ObjectId(), role: 'restaurant_owner' };
+  let order;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/orders', orderRoutes);
+
+  beforeEach(() => {
+    mockUser = owner;
+    order = new Order({ restaurant: new mongoose.Types.ObjectId(), status: 'placed' });
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Restaurant, 'findById').mockResolvedValue({ owner: owner._id });
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const updateStatus = (status) => request(app).put(`/api/orders/${order._id}/status`).send({ status });
+
+  it('saves the change only over the status it was checked against', async () => {
+    const res = await updateStatus('accepted');
+
+    expect(res.status).toBe(200);
+    expect(order.$where).toEqual({ status: 'placed' });
+    expect(order.status).toBe('accepted');
+    expect(publishOrderEvent).toHaveBeenCalledWith(order._id, 'status', expect.objectContaining({ status: 'accepted' }));
+  });
+
+  it('returns 409 when the order changed in the meantime', async () => {
+    order.save.mockRejectedValue(new mongoose.Error.DocumentNotFoundError({ _id: order._id }, 'Order', 0, {}));
+
+    const res = await updateStatus('accepted');
+
+    expect(res.status).toBe(409);
+    expect(publishOrderEvent).not.toHaveBeenCalled();
+  });
+
+  it('rejects transitions the order does not allow', async () => {
+    const res = await updateStatus('ready');
+
+    expect(res.status).toBe(400);
+    expect(res.body.allowedStatuses).toEqual(['accepted', 'cancelled']);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+});
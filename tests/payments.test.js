@@ -0,0 +1,188 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const mockProvider = require('../services/payments/mockProvider');
+const { releaseOrderStock } = require('../services/inventory');
+const { releaseCoupon } = require('../services/coupons');
+const { submitRefund } = require('../services/refunds');
+const paymentRoutes = require('../routes/payments');
+
+jest.mock('../services/inventory', () => ({ releaseOrderStock: jest.fn() }));
+jest.mock('../services/coupons', () => ({ releaseCoupon: jest.fn() }));
+jest.mock('../services/eta', () => ({ updateOrderEta: jest.fn() }));
+jest.mock('../services/refunds', () => ({ submitRefund: jest.fn() }));
+
+// Same raw body capture as server.js
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
+app.use('/api/payments', paymentRoutes);
+
+const postEvent = (type, data, signature) => {
+  const event = mockProvider.createWebhookEvent(type, data);
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('x-payment-signature', signature || event.signature)
+    .send(event.payload);
+};
+
+// Whether a stored value matches a query condition ({ $in } or a plain value)
+const matches = (value, condition) => (condition && condition.$in ? condition.$in.includes(value) : value === condition);
+
+describe('POST /api/payments/webhook', () => {
+  let order;
+  let session;
+
+  beforeEach(() => {
+    order = new Order({
+      customer: new mongoose.Types.ObjectId(),
+      restaurant: new mongoose.Types.ObjectId(),
+      status: 'pending_payment',
+      paymentMethod: 'card',
+      paymentStatus: 'pending',
+      paymentIntentId: 'mock_pi_1',
+      finalAmount: 300
+    });
+    session = { withTransaction: async (fn) => fn(), endSession: jest.fn() };
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    // The payment claim only matches while the order is in the expected payment state
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (filter.paymentIntentId !== order.paymentIntentId || !matches(order.paymentStatus, filter.paymentStatus)) {
+        return null;
+      }
+      order.paymentStatus = update.paymentStatus;
+      return order;
+    });
+    jest.spyOn(Order, 'exists').mockImplementation(async ({ paymentIntentId }) => paymentIntentId === order.paymentIntentId);
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('rejects events with a bad signature', async () => {
+    const res = await postEvent('payment.succeeded', { paymentIntentId: 'mock_pi_1' }, 'forged');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid webhook signature');
+    expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('places the order once payment succeeds', async () => {
+    const res = await postEvent('payment.succeeded', { paymentIntentId: 'mock_pi_1' });
+
+    expect(res.status).toBe(200);
+    expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+      { paymentIntentId: 'mock_pi_1', paymentStatus: { $in: ['pending', 'failed'] } },
+      { paymentStatus: 'paid' },
+      { new: true, session }
+    );
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.status).toBe('placed');
+    expect(order.statusHistory[0]).toMatchObject({ status: 'placed', role: 'system', reason: 'Payment received' });
+    expect(order.save).toHaveBeenCalledWith({ session });
+  });
+
+  it('moves scheduled orders to scheduled', async () => {
+    order.scheduledFor = new Date(Date.now() + 60 * 60 * 1000);
+
+    await postEvent('payment.succeeded', { paymentIntentId: 'mock_pi_1' });
+
+    expect(order.status).toBe('scheduled');
+  });
+
+  it('ignores replayed success events', async () => {
+    await postEvent('payment.succeeded', { paymentIntentId: 'mock_pi_1' });
+    order.save.mockClear();
+
+    const res = await postEvent('payment.succeeded', { paymentIntentId: 'mock_pi_1' });
+
+    expect(res.status).toBe(200);
+    expect(order.statusHistory).toHaveLength(1);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  it('refunds payments that arrive after the order was cancelled, once', async () => {
+    order.status = 'cancelled';
+    const saveRefund = jest.spyOn(Refund.prototype, 'save').mockResolvedValue();
+
+    await postEvent('payment.succeeded', { paymentIntentId: 'mock_pi_1' });
+    await postEvent('payment.succeeded', { paymentIntentId: 'mock_pi_1' });
+
+    expect(saveRefund).toHaveBeenCalledTimes(1);
+    expect(saveRefund).toHaveBeenCalledWith({ session });
+    expect(submitRefund).toHaveBeenCalledTimes(1);
+    expect(submitRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 300 }), order);
+    expect(order.paymentStatus).toBe('refunded');
+    expect(order.status).toBe('cancelled');
+  });
+
+  it('cancels the order and releases its stock and coupon when payment fails', async () => {
+    const res = await postEvent('payment.failed', { paymentIntentId: 'mock_pi_1', reason: 'Card declined' });
+
+    expect(res.status).toBe(200);
+    expect(order.paymentStatus).toBe('failed');
+    expect(order.status).toBe('cancelled');
+    expect(order.statusHistory[0].reason).toBe('Card declined');
+    expect(releaseOrderStock).toHaveBeenCalledWith(order, session);
+    expect(releaseCoupon).toHaveBeenCalledWith(order, session);
+  });
+
+  it('ignores failures reported after the payment was settled', async () => {
+    order.paymentStatus = 'paid';
+    order.status = 'placed';
+
+    const res = await postEvent('payment.failed', { paymentIntentId: 'mock_pi_1' });
+
+    expect(res.status).toBe(200);
+    expect(order.status).toBe('placed');
+    expect(releaseOrderStock).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for unknown payment intents', async () => {
+    const res = await postEvent('payment.failed', { paymentIntentId: 'mock_pi_unknown' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('marks refunds processed once', async () => {
+    const refund = new Refund({ order: order._id, status: 'processed' });
+    const claim = jest.spyOn(Refund, 'findOneAndUpdate').mockResolvedValueOnce(refund).mockResolvedValueOnce(null);
+    jest.spyOn(Refund, 'exists').mockResolvedValue(true);
+    const restore = jest.spyOn(Order, 'findByIdAndUpdate');
+
+    expect((await postEvent('refund.succeeded', { refundId: 'mock_re_1' })).status).toBe(200);
+    expect((await postEvent('refund.succeeded', { refundId: 'mock_re_1' })).status).toBe(200);
+
+    expect(claim).toHaveBeenCalledWith(
+      { providerRefundId: 'mock_re_1', status: 'pending' },
+      { status: 'processed' },
+      { new: true }
+    );
+    expect(restore).not.toHaveBeenCalled();
+  });
+
+  it('puts the order back to paid when a refund fails', async () => {
+    jest.spyOn(Refund, 'findOneAndUpdate').mockResolvedValue(new Refund({ order: order._id, status: 'failed' }));
+    const restore = jest.spyOn(Order, 'findByIdAndUpdate').mockResolvedValue(order);
+
+    await postEvent('refund.failed', { refundId: 'mock_re_1' });
+
+    expect(restore).toHaveBeenCalledWith(order._id, { paymentStatus: 'paid' });
+  });
+
+  it('acknowledges event types it does not handle', async () => {
+    const res = await postEvent('payment.created', { paymentIntentId: 'mock_pi_1' });
+
+    expect(res.body).toEqual({ received: true, ignored: true });
+  });
+});
@@ -0,0 +1,109 @@
+const config = require('../config/pricing');
+const { calculateQuote, cartToPricingItems, getTaxRate, validateTip } = require('../services/pricing');
+
+describe('calculateQuote', () => {
+  // About 2.2 km apart
+  const restaurant = {
+    location: { type: 'Point', coordinates: [77.5946, 12.9716] },
+    address: { state: 'Karnataka' }
+  };
+  const deliveryAddress = { coordinates: { latitude: 12.9716, longitude: 77.6150 } };
+
+  const items = [
+    { menuItem: 'item-1', name: 'Paneer Tikka', category: 'Starters', quantity: 2, price: 180, originalPrice: 200 },
+    { menuItem: 'item-2', name: 'Lime Soda', category: 'Beverages', quantity: 1, price: 60 }
+  ];
+
+  const amountOf = (quote, code) => {
+    const line = quote.lines.find(entry => entry.code === code);
+    return line && line.amount;
+  };
+
+  it('adds up item, delivery, packaging and tax lines', () => {
+    const quote = calculateQuote({ items, restaurant, deliveryAddress });
+
+    expect(quote.subtotal).toBe(420);
+    expect(quote.itemSavings).toBe(40);
+    expect(quote.deliveryFee).toBe(config.deliveryBands[0].fee);
+    expect(quote.packagingCharge).toBe(3 * config.packaging.perItem);
+    expect(quote.smallOrderFee).toBe(0);
+    // 5% on starters, 12% on beverages
+    expect(quote.tax).toBe(18 + 7.2);
+    expect(quote.total).toBe(420 + quote.deliveryFee + quote.packagingCharge + 25.2);
+    expect(amountOf(quote, 'total')).toBe(quote.total);
+  });
+
+  it('uses the default delivery fee without coordinates', () => {
+    const quote = calculateQuote({ items, restaurant });
+
+    expect(quote.distanceKm).toBeNull();
+    expect(quote.deliveryFee).toBe(config.defaultDeliveryFee);
+  });
+
+  it('caps packaging and adds the small order fee', () => {
+    const small = calculateQuote({ items: [{ ...items[1], quantity: 1 }], restaurant, deliveryAddress });
+    expect(small.smallOrderFee).toBe(config.smallOrder.surcharge);
+    expect(amountOf(small, 'small_order_fee')).toBe(config.smallOrder.surcharge);
+
+    const large = calculateQuote({ items: [{ ...items[0], quantity: 20 }], restaurant, deliveryAddress });
+    expect(large.packagingCharge).toBe(config.packaging.maxPerOrder);
+    expect(amountOf(large, 'small_order_fee')).toBeUndefined();
+  });
+
+  it('takes coupon discounts off before the tip', () => {
+    const coupon = { code: 'SAVE50', type: 'flat', value: 50 };
+    const withoutCoupon = calculateQuote({ items, restaurant, deliveryAddress });
+    const quote = calculateQuote({ items, restaurant, deliveryAddress, coupon, tip: 30 });
+
+    expect(quote.discount).toBe(50);
+    expect(amountOf(quote, 'discount')).toBe(-50);
+    expect(quote.tip).toBe(30);
+    expect(quote.total).toBe(withoutCoupon.total - 50 + 30);
+    expect(quote.lines.map(line => line.code).slice(-3)).toEqual(['discount', 'tip', 'total']);
+  });
+
+  it('runs custom components in order', () => {
+    const serviceFee = (quote) => quote.lines.push({ code: 'service_fee', amount: 10 });
+    const quote = calculateQuote({ items, restaurant }, [serviceFee]);
+
+    expect(quote.lines).toEqual([
+      { code: 'service_fee', amount: 10 },
+      { code: 'total', label: 'To pay', amount: 10 }
+    ]);
+  });
+});
+
+describe('cartToPricingItems', () => {
+  it('leaves out lines whose menu item has been deleted', () => {
+    const cart = {
+      items: [
+        { menuItem: { _id: 'item-1', name: 'Paneer Tikka', category: 'Starters' }, options: [], quantity: 2, price: 180 },
+        { menuItem: null, options: [], quantity: 1, price: 60 }
+      ]
+    };
+
+    const items = cartToPricingItems(cart);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ menuItem: 'item-1', name: 'Paneer Tikka', quantity: 2, price: 180 });
+  });
+});
+
+describe('getTaxRate', () => {
+  it('uses the category rule or the default rate', () => {
+    expect(getTaxRate('Karnataka', 'Beverages')).toBe(12);
+    expect(getTaxRate('Karnataka', 'Mains')).toBe(config.tax.defaultRate);
+  });
+});
+
+describe('validateTip', () => {
+  it('accepts missing and rounds valid tips', () => {
+    expect(validateTip(undefined)).toEqual({ valid: true, tip: 0 });
+    expect(validateTip('20.456')).toEqual({ valid: true, tip: 20.46 });
+  });
+
+  it('rejects negative and oversized tips', () => {
+    expect(validateTip(-5).valid).toBe(false);
+    expect(validateTip(config.maxTip + 1).valid).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Restaurant = require('../models/Restaurant');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const { buildCartItemsFromOrder } = require('../services/cart');
+const orderRoutes = require('../routes/orders');
+
+// Requests are made as mockUser
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+describe('buildCartItemsFromOrder', () => {
+  const restaurantId = new mongoose.Types.ObjectId();
+  const menuItem = (name, price, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    price,
+    isAvailable: true,
+    restaurant: restaurantId,
+    optionGroups: [],
+    ...fields
+  });
+  const orderLine = (item, quantity, price) => ({ menuItem: item._id, name: item.name, quantity, price, options: [] });
+
+  beforeEach(() => {
+    // No discount rules
+    jest.spyOn(Restaurant, 'findById').mockReturnValue({ select: async () => null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockMenu = (items) => jest.spyOn(MenuItem, 'find').mockReturnValue({ select: async () => items });
+
+  it('rebuilds the lines at current prices and reports the changes', async () => {
+    const dosa = menuItem('Masala Dosa', 120);
+    const coffee = menuItem('Filter Coffee', 40);
+    mockMenu([dosa, coffee]);
+
+    const result = await buildCartItemsFromOrder({
+      restaurant: restaurantId,
+      items: [orderLine(dosa, 2, 100), orderLine(coffee, 1, 40)]
+    });
+
+    expect(result.items).toEqual([
+      expect.objectContaining({ menuItem: dosa._id, quantity: 2, price: 120 }),
+      expect.objectContaining({ menuItem: coffee._id, quantity: 1, price: 40 })
+    ]);
+    expect(result.priceChanges).toEqual([{ menuItem: dosa._id, name: 'Masala Dosa', oldPrice: 100, newPrice: 120 }]);
+    expect(result.droppedItems).toEqual([]);
+  });
+
+  it('drops items that were removed, are unavailable or moved to another restaurant', async () => {
+    const removed = menuItem('Old Special', 200);
+    const unavailable = menuItem('Idli', 60, { isAvailable: false });
+    const moved = menuItem('Vada', 50, { restaurant: new mongoose.Types.ObjectId() });
+    mockMenu([unavailable, moved]);
+
+    const result = await buildCartItemsFromOrder({
+      restaurant: restaurantId,
+      items: [orderLine(removed, 1, 200), orderLine(unavailable, 2, 60), orderLine(moved, 1, 50)]
+    });
+
+    expect(result.items).toEqual([]);
+    expect(result.droppedItems).toEqual([
+      { menuItem: removed._id, name: 'Old Special', reason: 'removed' },
+      { menuItem: unavailable._id, name: 'Idli', reason: 'unavailable' },
+      { menuItem: moved._id, name: 'Vada', reason: 'unavailable' }
+    ]);
+  });
+});
+
+describe('POST /api/orders/:id/reorder', () => {
+  const customer = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+  const restaurantId = new mongoose.Types.ObjectId();
+  const dosa = { _id: new mongoose.Types.ObjectId(), name: 'Masala Dosa', price: 120, isAvailable: true, restaurant: restaurantId, optionGroups: [] };
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    customer: customer._id,
+    restaurant: restaurantId,
+    items: [{ menuItem: dosa._id, name: 'Masala Dosa', quantity: 1, price: 120, options: [] }]
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/orders', orderRoutes);
+
+  beforeEach(() => {
+    mockUser = customer;
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Restaurant, 'findById').mockReturnValue({ select: async () => null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses when nothing from the order can be ordered again', async () => {
+    jest.spyOn(MenuItem, 'find').mockReturnValue({ select: async () => [] });
+
+    const res = await request(app).post(`/api/orders/${order._id}/reorder`).send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.droppedItems).toEqual([{ menuItem: dosa._id.toString(), name: 'Masala Dosa', reason: 'removed' }]);
+  });
+
+  it('asks before replacing a cart from another restaurant', async () => {
+    jest.spyOn(MenuItem, 'find').mockReturnValue({ select: async () => [dosa] });
+    jest.spyOn(Cart, 'findOne').mockResolvedValue({
+      restaurant: new mongoose.Types.ObjectId(),
+      items: [{ menuItem: new mongoose.Types.ObjectId(), quantity: 1 }]
+    });
+
+    const res = await request(app).post(`/api/orders/${order._id}/reorder`).send({});
+
+    expect(res.status).toBe(409);
+    expect(res.body.requiresReplace).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const config = require('../config/scheduling');
+const Order = require('../models/Order');
+const { parseTimeOfDay, getLocalTimeParts } = require('../utils/time');
+const { validateScheduledTime, getReleaseTime } = require('../services/scheduling');
+const { releaseDueScheduledOrders } = require('../jobs/scheduledOrders');
+
+jest.mock('../services/eta', () => ({ updateOrderEta: jest.fn(async () => {}) }));
+
+const MINUTE = 60 * 1000;
+
+describe('time of day helpers', () => {
+  it('parses 24-hour and 12-hour times', () => {
+    expect(parseTimeOfDay('09:30')).toBe(9 * 60 + 30);
+    expect(parseTimeOfDay('9:30 PM')).toBe(21 * 60 + 30);
+    expect(parseTimeOfDay('12:15 am')).toBe(15);
+    expect(parseTimeOfDay('25:00')).toBeNull();
+    expect(parseTimeOfDay('noon')).toBeNull();
+  });
+
+  it('reads the local date and time in a timezone', () => {
+    expect(getLocalTimeParts(new Date('2026-03-02T19:00:00Z'), 'Asia/Kolkata')).toEqual({
+      date: '2026-03-03',
+      weekday: 2,
+      minutes: 30
+    });
+  });
+});
+
+describe('validateScheduledTime', () => {
+  // 10:00 in Kolkata
+  const now = new Date('2026-03-02T04:30:00Z');
+  const restaurant = { timezone: 'Asia/Kolkata', hours: { opening: '09:00', closing: '22:00' } };
+  const later = (minutes) => new Date(now.getTime() + minutes * MINUTE);
+
+  it('accepts slots inside the lead-time window while the restaurant is open', () => {
+    const slot = later(config.minLeadMinutes + 30);
+
+    expect(validateScheduledTime(slot.toISOString(), restaurant, now)).toEqual({ valid: true, scheduledFor: slot });
+  });
+
+  it('rejects invalid dates and slots too soon or too far ahead', () => {
+    expect(validateScheduledTime('tomorrow', restaurant, now).message).toBe('scheduledFor must be a valid date');
+    expect(validateScheduledTime(later(config.minLeadMinutes - 1), restaurant, now).message)
+      .toBe(`Orders must be scheduled at least ${config.minLeadMinutes} minutes ahead`);
+    expect(validateScheduledTime(later(config.maxDaysAhead * 24 * 60 + 1), restaurant, now).message)
+      .toBe(`Orders can be scheduled at most ${config.maxDaysAhead} days ahead`);
+  });
+
+  it('rejects slots outside the restaurant\'s hours', () => {
+    // 23:00 in Kolkata
+    expect(validateScheduledTime(later(13 * 60), restaurant, now).valid).toBe(false);
+  });
+});
+
+describe('scheduled order release', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('hands orders to the restaurant releaseMinutesBefore the slot', () => {
+    const slot = new Date('2026-03-02T13:00:00Z');
+
+    expect(getReleaseTime(slot)).toEqual(new Date(slot.getTime() - config.releaseMinutesBefore * MINUTE));
+  });
+
+  it('moves due scheduled orders to placed with a history entry', async () => {
+    const now = new Date('2026-03-02T12:00:00Z');
+    const due = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(Order, 'find')
+      .mockReturnValueOnce({ select: async () => [due] })
+      .mockResolvedValueOnce([]);
+    const update = jest.spyOn(Order, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(releaseDueScheduledOrders(now)).resolves.toBe(1);
+
+    expect(Order.find.mock.calls[0][0]).toEqual({ status: 'scheduled', releaseAt: { $lte: now } });
+    const [filter, changes] = update.mock.calls[0];
+    expect(filter.status).toBe('scheduled');
+    expect(changes.$set).toEqual({ status: 'placed' });
+    expect(changes.$push.statusHistory).toMatchObject({ status: 'placed', role: 'system', timestamp: now });
+  });
+});
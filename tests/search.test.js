@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const config = require('../config/search');
+const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const { search } = require('../services/search');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Answer find() with the text index hits or the prefix hits, depending on the query
+const mockFind = (Model, { text = [], prefix = [] }) => {
+  return jest.spyOn(Model, 'find').mockImplementation((filter) => {
+    const result = filter.$text ? text : prefix;
+    const chain = { sort: () => chain, limit: () => chain, select: () => chain, lean: async () => result };
+    return chain;
+  });
+};
+
+describe('search', () => {
+  const spice = { _id: id(), name: 'Spice Route', cuisineTypes: ['Indian'], isActive: true };
+  const pasta = { _id: id(), name: 'Pasta Place', cuisineTypes: ['Italian'], isActive: true };
+  const biryani = { _id: id(), name: 'Chicken Biryani', restaurant: spice._id, price: 280, isVegetarian: false, tags: ['rice'] };
+  const vegBiryani = { _id: id(), name: 'Veg Biryani', restaurant: spice._id, price: 220, isVegetarian: true, tags: ['rice'] };
+  const garlicBread = { _id: id(), name: 'Garlic Bread', restaurant: pasta._id, price: 90, isVegetarian: true, tags: ['biryani side'] };
+
+  let menuFind;
+
+  beforeEach(() => {
+    jest.spyOn(Restaurant, 'distinct').mockResolvedValue([spice._id, pasta._id]);
+    jest.spyOn(Restaurant, 'find').mockImplementation((filter) => {
+      const chain = { sort: () => chain, limit: () => chain, select: () => chain };
+      // The lookup of dish restaurants selects by id; everything else is a name match
+      chain.lean = async () => (filter._id ? [spice, pasta] : []);
+      return chain;
+    });
+    menuFind = mockFind(MenuItem, { text: [{ ...biryani, score: 1.1 }], prefix: [biryani, vegBiryani, garlicBread] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only looks for dishes of active restaurants', async () => {
+    await search('biry');
+
+    menuFind.mock.calls.forEach(([filter]) => {
+      expect(filter.restaurant).toEqual({ $in: [spice._id, pasta._id] });
+      expect(filter.isAvailable).toBe(true);
+    });
+  });
+
+  it('ranks name matches above tag matches and merges text and prefix hits', async () => {
+    const results = await search('biry');
+
+    expect(results.dishes.total).toBe(3);
+    expect(results.dishes.capped).toBe(false);
+    expect(results.dishes.hits.map(hit => hit.name)).toEqual(['Chicken Biryani', 'Veg Biryani', 'Garlic Bread']);
+    expect(results.dishes.hits[0].restaurant).toEqual({ _id: spice._id, name: 'Spice Route' });
+  });
+
+  it('counts facets before the cuisine, veg and price filters', async () => {
+    const results = await search('biry', { cuisine: 'indian', vegOnly: true, priceRange: '100-250' });
+
+    expect(results.dishes.hits.map(hit => hit.name)).toEqual(['Veg Biryani']);
+    expect(results.facets.cuisine).toEqual([{ value: 'Indian', count: 1 }, { value: 'Italian', count: 1 }]);
+    expect(results.facets.vegOnly).toEqual({ veg: 2, nonVeg: 1 });
+    expect(results.facets.priceRange.map(range => range.count)).toEqual([1, 1, 1, 0]);
+  });
+
+  it('marks results as capped when a match type reached the candidate limit', async () => {
+    const many = Array.from({ length: config.candidateLimit }, (_, index) => ({
+      _id: id(), name: `Biryani ${index}`, restaurant: spice._id, price: 200, isVegetarian: true
+    }));
+    menuFind.mockRestore();
+    mockFind(MenuItem, { prefix: many });
+
+    const results = await search('biry', { limit: 5 });
+
+    expect(results.dishes.capped).toBe(true);
+    expect(results.dishes.total).toBe(config.candidateLimit);
+    expect(results.dishes.hits).toHaveLength(5);
+    expect(results.restaurants.capped).toBe(false);
+  });
+});
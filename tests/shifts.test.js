@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const config = require('../config/shifts');
+const Shift = require('../models/Shift');
+const Zone = require('../models/Zone');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const { validateShiftTimes, bookShift, checkIn, checkOut, getRoster } = require('../services/shifts');
+
+const MINUTE = 60 * 1000;
+const now = new Date('2026-03-02T08:00:00Z');
+const at = (minutes) => new Date(now.getTime() + minutes * MINUTE);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validateShiftTimes', () => {
+  it('accepts shifts within the booking rules', () => {
+    expect(validateShiftTimes(at(60), at(300), now)).toEqual({ valid: true, startsAt: at(60), endsAt: at(300) });
+  });
+
+  it('rejects invalid, ended, too short, too long and too distant shifts', () => {
+    expect(validateShiftTimes('soon', at(60), now).message).toBe('startsAt and endsAt must be valid dates');
+    expect(validateShiftTimes(at(-120), at(-60), now).message).toBe('Shift has already ended');
+    expect(validateShiftTimes(at(60), at(60 + config.minShiftMinutes - 1), now).valid).toBe(false);
+    expect(validateShiftTimes(at(60), at(60 + config.maxShiftHours * 60 + 1), now).valid).toBe(false);
+
+    const tooFar = at(config.maxDaysAhead * 24 * 60 + 60);
+    expect(validateShiftTimes(tooFar, new Date(tooFar.getTime() + 120 * MINUTE), now).valid).toBe(false);
+  });
+});
+
+describe('bookShift', () => {
+  const agent = { _id: new mongoose.Types.ObjectId() };
+  const zone = { _id: new mongoose.Types.ObjectId(), isActive: true, maxAgents: 2 };
+  const booking = { zone: zone._id, startsAt: at(60), endsAt: at(300) };
+  let session;
+
+  beforeEach(() => {
+    session = { withTransaction: async (fn) => fn(), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Zone, 'findById').mockResolvedValue(zone);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Zone, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Shift.prototype, 'save').mockImplementation(async function () { return this; });
+  });
+
+  const mockShifts = ({ agentOverlaps = false, zoneBookings = 0 } = {}) => {
+    jest.spyOn(Shift, 'exists').mockReturnValue({ session: async () => agentOverlaps });
+    jest.spyOn(Shift, 'countDocuments').mockReturnValue({ session: async () => zoneBookings });
+  };
+
+  it('books the shift after writing to the agent and the zone in the same transaction', async () => {
+    mockShifts({ zoneBookings: 1 });
+
+    const shift = await bookShift(agent, booking, now);
+
+    expect(shift).toMatchObject({ agent: agent._id, zone: zone._id, status: 'booked' });
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: agent._id }, { $inc: { shiftBookingVersion: 1 } }, { session });
+    expect(Zone.updateOne).toHaveBeenCalledWith({ _id: zone._id }, { $inc: { bookingVersion: 1 } }, { session });
+    expect(Shift.prototype.save).toHaveBeenCalledWith({ session });
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('rejects overlapping shifts of the same agent', async () => {
+    mockShifts({ agentOverlaps: true });
+
+    await expect(bookShift(agent, booking, now)).rejects.toMatchObject({
+      status: 409,
+      message: 'You already have a shift at this time'
+    });
+    expect(Shift.prototype.save).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('rejects bookings once the zone has maxAgents overlapping shifts', async () => {
+    mockShifts({ zoneBookings: 2 });
+
+    await expect(bookShift(agent, booking, now)).rejects.toMatchObject({
+      status: 409,
+      message: 'Zone is fully booked for this time'
+    });
+  });
+
+  it('rejects inactive zones and invalid times before starting a transaction', async () => {
+    Zone.findById.mockResolvedValue({ ...zone, isActive: false });
+
+    await expect(bookShift(agent, booking, now)).rejects.toMatchObject({ status: 404 });
+    await expect(bookShift(agent, { ...booking, endsAt: at(-30) }, now)).rejects.toMatchObject({ status: 400 });
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+  });
+});
+
+describe('checking in and out', () => {
+  const newShift = (status) => {
+    const shift = new Shift({ agent: new mongoose.Types.ObjectId(), zone: new mongoose.Types.ObjectId(), startsAt: at(30), endsAt: at(270), status });
+    jest.spyOn(shift, 'save').mockResolvedValue(shift);
+    return shift;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+  });
+
+  it('opens check-in shortly before the shift and makes the agent available', async () => {
+    const early = newShift('booked');
+    await expect(checkIn(early, at(30 - config.checkInEarlyMinutes - 1))).rejects.toMatchObject({ status: 400 });
+
+    const shift = newShift('booked');
+    await checkIn(shift, at(30 - config.checkInEarlyMinutes));
+
+    expect(shift.status).toBe('checked_in');
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(shift.agent, { isAvailable: true });
+  });
+
+  it('keeps agents available while they are checked in to another shift', async () => {
+    const shift = newShift('checked_in');
+    jest.spyOn(Shift, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await checkOut(shift, { now: at(270) });
+
+    expect(shift.status).toBe('completed');
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses to check out of shifts that are not checked in', async () => {
+    await expect(checkOut(newShift('booked'), { now })).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('getRoster', () => {
+  const zone = { _id: new mongoose.Types.ObjectId(), name: 'Indiranagar', city: 'Bengaluru' };
+  const agent = (isAvailable) => ({ _id: new mongoose.Types.ObjectId(), fullName: 'Agent', isAvailable, maxActiveOrders: 4 });
+
+  const mockShifts = (shifts) => {
+    const chain = { populate: () => chain, sort: async () => shifts };
+    jest.spyOn(Shift, 'find').mockReturnValue(chain);
+  };
+
+  it('summarises load for checked-in agents and skips shifts of deleted agents', async () => {
+    const busy = agent(true);
+    const late = agent(false);
+    mockShifts([
+      { _id: new mongoose.Types.ObjectId(), agent: busy, zone, status: 'checked_in' },
+      { _id: new mongoose.Types.ObjectId(), agent: late, zone, status: 'booked' },
+      { _id: new mongoose.Types.ObjectId(), agent: null, zone, status: 'checked_in' }
+    ]);
+    const aggregate = jest.spyOn(Order, 'aggregate').mockResolvedValue([{ _id: busy._id, count: 3 }]);
+
+    const roster = await getRoster({ now });
+
+    expect(aggregate.mock.calls[0][0][0].$match.deliveryAgent).toEqual({ $in: [busy._id, late._id] });
+    expect(roster.agents.map(entry => entry.state)).toEqual(['available', 'not_checked_in']);
+    expect(roster.summary).toEqual({ onShift: 1, notCheckedIn: 1, activeOrders: 3, capacity: 4, utilisation: 0.75 });
+  });
+});
@@ -0,0 +1,141 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const LocationPing = require('../models/LocationPing');
+const { publishOrderEvent, subscribeToOrder, estimateArrival, recordAgentLocation } = require('../services/tracking');
+const orderRoutes = require('../routes/orders');
+
+// Requests are made as mockUser
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+jest.mock('../services/tracking', () => ({
+  ...jest.requireActual('../services/tracking'),
+  getTrackingSnapshot: jest.fn(async (order) => ({ status: order.status, position: null, trail: [], eta: null }))
+}));
+
+describe('estimateArrival', () => {
+  const now = new Date('2026-03-02T12:00:00Z');
+  const deliveryAddress = { coordinates: { latitude: 12.9716, longitude: 77.6150 } };
+
+  it('estimates the remaining trip at the average agent speed', () => {
+    const eta = estimateArrival({ latitude: 12.9716, longitude: 77.5946 }, deliveryAddress, now);
+
+    expect(eta.distanceKm).toBeCloseTo(2.21, 1);
+    expect(eta.etaMinutes).toBeGreaterThan(0);
+    expect(eta.estimatedArrival.getTime()).toBe(now.getTime() + eta.etaMinutes * 60 * 1000);
+  });
+
+  it('returns null without both positions', () => {
+    expect(estimateArrival(null, deliveryAddress, now)).toBeNull();
+    expect(estimateArrival({ latitude: 12.97, longitude: 77.59 }, {}, now)).toBeNull();
+  });
+});
+
+describe('recordAgentLocation', () => {
+  const agent = { _id: new mongoose.Types.ObjectId() };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds the ping to every active order and notifies streams of orders out for delivery', async () => {
+    const pickedUp = { _id: new mongoose.Types.ObjectId(), status: 'picked_up', deliveryAddress: {} };
+    const accepted = { _id: new mongoose.Types.ObjectId(), status: 'accepted', deliveryAddress: {} };
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(agent);
+    jest.spyOn(Order, 'find').mockReturnValue({ select: async () => [pickedUp, accepted] });
+    const insert = jest.spyOn(LocationPing, 'insertMany').mockImplementation(async (pings) => pings);
+
+    const listener = jest.fn();
+    const stopPickedUp = subscribeToOrder(pickedUp._id, listener);
+    const stopAccepted = subscribeToOrder(accepted._id, listener);
+
+    const recorded = await recordAgentLocation(agent, { latitude: 12.97, longitude: 77.59 });
+
+    stopPickedUp();
+    stopAccepted();
+    expect(recorded).toEqual([pickedUp._id, accepted._id]);
+    expect(insert.mock.calls[0][0]).toHaveLength(2);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'location' }));
+  });
+
+  it('records nothing for agents without active orders', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(agent);
+    jest.spyOn(Order, 'find').mockReturnValue({ select: async () => [] });
+    const insert = jest.spyOn(LocationPing, 'insertMany');
+
+    await expect(recordAgentLocation(agent, { latitude: 12.97, longitude: 77.59 })).resolves.toEqual([]);
+    expect(insert).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/orders/:id/track', () => {
+  const customer = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+  let order;
+  let currentStatus;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/orders', orderRoutes);
+
+  beforeEach(() => {
+    mockUser = customer;
+    order = new Order({ customer: customer._id, status: 'picked_up' });
+    currentStatus = 'picked_up';
+
+    // The first load is awaited directly, the re-check after subscribing selects the status
+    jest.spyOn(Order, 'findById').mockImplementation(() => ({
+      select: async () => ({ status: currentStatus }),
+      then: (resolve, reject) => Promise.resolve(order).then(resolve, reject)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const track = () => request(app)
+    .get(`/api/orders/${order._id}/track`)
+    .buffer(true)
+    .parse((res, callback) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => callback(null, body));
+    });
+
+  it('streams a snapshot, then closes when the order is delivered', async () => {
+    const stream = track();
+    setTimeout(() => publishOrderEvent(order._id, 'status', { status: 'delivered' }), 50);
+
+    const res = await stream;
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(res.body).toMatch(/^event: snapshot\n/);
+    expect(res.body).toContain('event: status\ndata: {"status":"delivered"}');
+  });
+
+  it('closes the stream when the order was delivered before the subscription started', async () => {
+    currentStatus = 'delivered';
+
+    const res = await track();
+
+    expect(res.body).toContain('event: snapshot');
+    expect(res.body).toMatch(/event: status\ndata: \{"status":"delivered"/);
+  });
+
+  it('refuses orders that are not out for delivery', async () => {
+    order.status = 'preparing';
+
+    const res = await track();
+
+    expect(res.status).toBe(409);
+  });
+});
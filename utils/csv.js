@@ -0,0 +1,61 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, escaped quotes, CRLF or LF line endings)
+
+// Parse CSV text into an array of rows, each an array of field strings
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Skip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Blank lines are kept by parseCsv so row positions match the file; they carry no data
+const isBlankRow = (row) => row.every(value => value.trim() === '');
+
+const escapeCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise an array of rows (arrays of values) as CSV text
+const toCsv = (rows) => rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, isBlankRow, toCsv };
@@ -0,0 +1,69 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Check that a { latitude, longitude } pair has usable numbers
+const hasCoordinates = (point) => {
+  return !!point &&
+    Number.isFinite(point.latitude) &&
+    Number.isFinite(point.longitude);
+};
+
+// Great-circle distance between two { latitude, longitude } points in kilometres
+const haversineDistanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// GeoJSON Point for a { latitude, longitude } pair (GeoJSON puts longitude first)
+const toGeoPoint = (point) => ({
+  type: 'Point',
+  coordinates: [point.longitude, point.latitude]
+});
+
+// { latitude, longitude } for a GeoJSON Point; null when missing
+const fromGeoPoint = (geoPoint) => {
+  if (!geoPoint || !geoPoint.coordinates || geoPoint.coordinates.length !== 2) return null;
+  return { latitude: geoPoint.coordinates[1], longitude: geoPoint.coordinates[0] };
+};
+
+// GeoJSON Polygon from a list of { latitude, longitude } vertices; the ring is closed automatically
+const toGeoPolygon = (points) => {
+  const ring = points.map(point => [point.longitude, point.latitude]);
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+// Ray casting test of a { latitude, longitude } point against the outer ring of a GeoJSON Polygon
+const isPointInPolygon = (point, polygon) => {
+  const ring = polygon.coordinates[0];
+  const x = point.longitude;
+  const y = point.latitude;
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
+
+module.exports = {
+  hasCoordinates,
+  haversineDistanceKm,
+  toGeoPoint,
+  fromGeoPoint,
+  toGeoPolygon,
+  isPointInPolygon
+};
@@ -0,0 +1,27 @@
+// Start a Server-Sent Events response
+const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering events
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+};
+
+// Write one named event with a JSON payload
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Comment line that keeps idle connections open
+const sendHeartbeat = (res) => {
+  res.write(': heartbeat\n\n');
+};
+
+module.exports = {
+  openEventStream,
+  sendEvent,
+  sendHeartbeat
+};
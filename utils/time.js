@@ -0,0 +1,99 @@
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Parse "HH:MM" (24h) or "h:MM AM/PM" into minutes after midnight; null if unparsable
+const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})\s*(am|pm)?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3] && match[3].toLowerCase();
+
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+};
+
+// Local calendar date, weekday and minutes after midnight of a moment in a timezone
+const getLocalTimeParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// Add days to a "YYYY-MM-DD" calendar date
+const addDays = (localDate, days) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Weekday (0 = Sunday) of a "YYYY-MM-DD" calendar date
+const getWeekday = (localDate) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// The moment at which a timezone's wall clock shows the given date and minutes after midnight
+const toUtcDate = (localDate, minutes, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Correct by the zone offset; the second pass settles DST transitions
+  let guess = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalTimeParts(new Date(guess), timeZone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    const shownAs = Date.UTC(y, m - 1, d, 0, local.minutes);
+    guess += wallClock - shownAs;
+  }
+
+  return new Date(guess);
+};
+
+/*
+ * Whether a recurring window ({ days, open, close }) covers a local weekday and time.
+ * Empty days means every day; a close not after the open runs past midnight,
+ * so the early hours belong to the window of the day before.
+ */
+const isWithinTimeWindow = (window, weekday, minutes) => {
+  const open = parseTimeOfDay(window.open);
+  const close = parseTimeOfDay(window.close);
+  if (open === null || close === null) return false;
+
+  const runsOn = (day) => !window.days || window.days.length === 0 || window.days.includes(WEEKDAYS[day]);
+
+  if (open < close) return runsOn(weekday) && minutes >= open && minutes < close;
+  if (minutes >= open) return runsOn(weekday);
+  return minutes < close && runsOn((weekday + 6) % 7);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  parseTimeOfDay,
+  getLocalTimeParts,
+  addDays,
+  getWeekday,
+  toUtcDate,
+  isWithinTimeWindow
+};